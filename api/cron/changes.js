@@ -0,0 +1,22 @@
+const { publishChanges, createChangeFeedStore } = require('../../server/changeFeed');
+const { sendJson } = require('../../server/router');
+
+// Scheduled function (see "crons" in vercel.json): syncs the open listing and appends
+// the changes to the feed that /events streams from
+let options = null;
+
+module.exports = async (req, res) => {
+    // Vercel sends CRON_SECRET as a bearer token when it is configured
+    if (process.env.CRON_SECRET && req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    try {
+        options = options || { store: createChangeFeedStore() };
+        const result = await publishChanges(options);
+        sendJson(res, 200, { success: true, ...result });
+    } catch (error) {
+        console.error('Change feed publish failed:', error);
+        sendJson(res, 500, { error: error.message });
+    }
+};
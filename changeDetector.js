@@ -0,0 +1,136 @@
+// Field-level diff between two parseEventData() results, turned into typed change
+// events that go out through PolymarketTracker.notifyRealtimeUpdate().
+const CHANGE_TYPES = [
+    'event_added',
+    'event_removed',
+    'market_added',
+    'market_price_changed',
+    'market_closed',
+    'volume_changed'
+];
+
+class ChangeDetector {
+    constructor(options = {}) {
+        this.priceThreshold = options.priceThreshold ?? 0.001;
+        this.volumeThreshold = options.volumeThreshold ?? 1;
+    }
+
+    outcomeKey(outcome, index) {
+        return outcome.tokenId || outcome.outcome || String(index);
+    }
+
+    diffOutcomes(previous, next) {
+        const before = new Map((previous.outcomes || []).map((o, i) => [this.outcomeKey(o, i), o]));
+        const moved = [];
+
+        (next.outcomes || []).forEach((outcome, index) => {
+            const old = before.get(this.outcomeKey(outcome, index));
+            if (!old) return;
+
+            if (Math.abs((outcome.price || 0) - (old.price || 0)) >= this.priceThreshold) {
+                moved.push({
+                    outcome: outcome.outcome,
+                    tokenId: outcome.tokenId,
+                    oldPrice: old.price,
+                    price: outcome.price
+                });
+            }
+        });
+
+        return moved;
+    }
+
+    // Returns the list of change events between two snapshots of the same event.
+    // previous === undefined means the event was not tracked before.
+    diffEvent(previous, next, timestamp = new Date().toISOString()) {
+        if (!previous) {
+            return [{
+                type: 'event_added',
+                eventId: next.id,
+                title: next.title,
+                slug: next.slug,
+                marketsCount: next.marketsCount,
+                totalVolume: next.totalVolume,
+                timestamp
+            }];
+        }
+
+        const changes = [];
+        const previousMarkets = new Map((previous.markets || []).map(m => [m.id, m]));
+        const volumeMarkets = [];
+
+        for (const market of next.markets || []) {
+            const old = previousMarkets.get(market.id);
+
+            if (!old) {
+                changes.push({
+                    type: 'market_added',
+                    eventId: next.id,
+                    marketId: market.id,
+                    question: market.question,
+                    outcomes: market.outcomes,
+                    timestamp
+                });
+                continue;
+            }
+
+            if (old.status !== 'resolved' && market.status === 'resolved') {
+                changes.push({
+                    type: 'market_closed',
+                    eventId: next.id,
+                    marketId: market.id,
+                    question: market.question,
+                    winningOutcome: market.winningOutcome,
+                    timestamp
+                });
+            }
+
+            const moved = this.diffOutcomes(old, market);
+            if (moved.length > 0) {
+                changes.push({
+                    type: 'market_price_changed',
+                    eventId: next.id,
+                    marketId: market.id,
+                    question: market.question,
+                    outcomes: moved,
+                    timestamp
+                });
+            }
+
+            const oldVolume = old.volumeUSD || old.volume || 0;
+            const volume = market.volumeUSD || market.volume || 0;
+            if (Math.abs(volume - oldVolume) >= this.volumeThreshold) {
+                volumeMarkets.push({ marketId: market.id, oldVolume, volume });
+            }
+        }
+
+        if (volumeMarkets.length > 0 || Math.abs(next.totalVolume - previous.totalVolume) >= this.volumeThreshold) {
+            changes.push({
+                type: 'volume_changed',
+                eventId: next.id,
+                title: next.title,
+                oldVolume: previous.totalVolume,
+                volume: next.totalVolume,
+                delta: next.totalVolume - previous.totalVolume,
+                markets: volumeMarkets,
+                timestamp
+            });
+        }
+
+        return changes;
+    }
+
+    removed(previous, reason, timestamp = new Date().toISOString()) {
+        return {
+            type: 'event_removed',
+            eventId: previous.id,
+            title: previous.title,
+            slug: previous.slug,
+            reason,
+            timestamp
+        };
+    }
+}
+
+module.exports = ChangeDetector;
+module.exports.CHANGE_TYPES = CHANGE_TYPES;
@@ -0,0 +1,85 @@
+// Keeps the CLOB market channel subscribed to exactly the set of token IDs we track.
+// The first batch after a (re)connect goes out as the initial { type: 'market' } message,
+// everything after that as incremental subscribe/unsubscribe operations.
+class ClobSubscriptionManager {
+    constructor(options = {}) {
+        this.batchSize = options.batchSize || 100;
+        this.log = options.log || console.log;
+
+        this.desired = new Set();
+        this.subscribed = new Set();
+        this.socket = null;
+        this.initialSent = false;
+    }
+
+    // Called on every 'open'; the server forgets all subscriptions when the socket drops
+    attach(socket) {
+        this.socket = socket;
+        this.subscribed.clear();
+        this.initialSent = false;
+        this.flush();
+    }
+
+    detach() {
+        this.socket = null;
+        this.subscribed.clear();
+        this.initialSent = false;
+    }
+
+    isOpen() {
+        return Boolean(this.socket) && this.socket.readyState === 1;
+    }
+
+    setDesired(tokenIds) {
+        this.desired = new Set(Array.from(tokenIds, String));
+        return this.flush();
+    }
+
+    remove(tokenIds) {
+        for (const tokenId of tokenIds) {
+            this.desired.delete(String(tokenId));
+        }
+        return this.flush();
+    }
+
+    flush() {
+        const toSubscribe = Array.from(this.desired).filter(id => !this.subscribed.has(id));
+        const toUnsubscribe = Array.from(this.subscribed).filter(id => !this.desired.has(id));
+
+        if (!this.isOpen()) {
+            return { subscribed: 0, unsubscribed: 0 };
+        }
+
+        for (let i = 0; i < toSubscribe.length; i += this.batchSize) {
+            const batch = toSubscribe.slice(i, i + this.batchSize);
+            const message = this.initialSent
+                ? { assets_ids: batch, operation: 'subscribe' }
+                : { assets_ids: batch, type: 'market' };
+
+            this.socket.send(JSON.stringify(message));
+            this.initialSent = true;
+            batch.forEach(id => this.subscribed.add(id));
+        }
+
+        for (let i = 0; i < toUnsubscribe.length; i += this.batchSize) {
+            const batch = toUnsubscribe.slice(i, i + this.batchSize);
+            this.socket.send(JSON.stringify({ assets_ids: batch, operation: 'unsubscribe' }));
+            batch.forEach(id => this.subscribed.delete(id));
+        }
+
+        if (toSubscribe.length > 0 || toUnsubscribe.length > 0) {
+            this.log(`📡 CLOB subscriptions: +${toSubscribe.length} -${toUnsubscribe.length} (${this.subscribed.size} tokens live)`);
+        }
+
+        return { subscribed: toSubscribe.length, unsubscribed: toUnsubscribe.length };
+    }
+
+    status() {
+        return {
+            desired: this.desired.size,
+            subscribed: this.subscribed.size
+        };
+    }
+}
+
+module.exports = ClobSubscriptionManager;
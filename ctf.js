@@ -0,0 +1,90 @@
+const { ethers } = require('ethers');
+
+// Position ID math of Gnosis Conditional Tokens (the ERC1155 contract behind Polymarket
+// outcome tokens), ported from CTHelpers.sol:
+//
+//   collectionId = getCollectionId(parentCollectionId, conditionId, indexSet)
+//   positionId   = uint256(keccak256(abi.encodePacked(collateralToken, collectionId)))
+//
+// getCollectionId hashes (conditionId, indexSet) onto the alt_bn128 curve and encodes
+// the point in 256 bits (x plus the parity of y in bit 254), so that collection IDs of
+// nested conditions can be combined by point addition. Polymarket markets are never
+// nested, so only the top-level case (parentCollectionId = 0) is supported here.
+
+// Field modulus of alt_bn128 (y^2 = x^3 + 3)
+const P = 21888242871839275222246405745257275088696311157297823662689037894645226208583n;
+const B = 3n;
+
+// ConditionalTokens (ERC1155 outcome tokens) on Polygon
+const CONDITIONAL_TOKENS_ADDRESS = '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045';
+
+// Polygon USDC.e, the collateral of standard markets, and the NegRiskAdapter's wrapped
+// collateral, which backs the positions of neg-risk (multi-outcome) markets
+const USDC_ADDRESS = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const NEG_RISK_COLLATERAL_ADDRESS = '0x3A3BD7bb9528E159577F7C2e685CC81A765002E2';
+
+// Positions carry the decimals of their collateral
+const USDC_DECIMALS = 6;
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+// P = 3 (mod 4), so a square root (when one exists) is yy^((P + 1) / 4)
+function sqrtMod(yy) {
+    return modPow(yy, (P + 1n) / 4n, P);
+}
+
+// Index set of a single outcome slot: bit `outcomeIndex` set
+function indexSetFor(outcomeIndex) {
+    return 1n << BigInt(outcomeIndex);
+}
+
+function getCollectionId(conditionId, indexSet) {
+    let x = BigInt(ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [conditionId, indexSet]));
+    const odd = (x >> 255n) !== 0n;
+
+    // Walk x up until x^3 + 3 is a square, i.e. (x, y) lies on the curve
+    let y;
+    let yy;
+    do {
+        x = (x + 1n) % P;
+        yy = (x * x % P * x + B) % P;
+        y = sqrtMod(yy);
+    } while (y * y % P !== yy);
+
+    if ((odd && y % 2n === 0n) || (!odd && y % 2n === 1n)) {
+        y = P - y;
+    }
+    if (y % 2n === 1n) {
+        x ^= 1n << 254n;
+    }
+    return ethers.toBeHex(x, 32);
+}
+
+function getPositionId(collateralToken, collectionId) {
+    return BigInt(ethers.solidityPackedKeccak256(['address', 'bytes32'], [collateralToken, collectionId]));
+}
+
+// ERC1155 token ID of outcome `outcomeIndex` of a top-level condition
+function positionIdForOutcome(conditionId, outcomeIndex, collateralToken = USDC_ADDRESS) {
+    return getPositionId(collateralToken, getCollectionId(conditionId, indexSetFor(outcomeIndex)));
+}
+
+module.exports = {
+    CONDITIONAL_TOKENS_ADDRESS,
+    USDC_ADDRESS,
+    NEG_RISK_COLLATERAL_ADDRESS,
+    USDC_DECIMALS,
+    indexSetFor,
+    getCollectionId,
+    getPositionId,
+    positionIdForOutcome
+};
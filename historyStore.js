@@ -0,0 +1,369 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+
+const INTERVALS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+// Per-market JSONL files of snapshots, appended in batches. Points older than
+// HISTORY_RETENTION_DAYS are compacted away (at most every HISTORY_COMPACT_HOURS),
+// and queries stream the file, keeping at most HISTORY_MAX_QUERY_POINTS in range.
+class MarketHistoryStore {
+    constructor(options = {}) {
+        this.historyDir = options.historyDir || path.join('./data', 'history');
+        this.log = options.log || console.log;
+        this.persist = options.persist !== false;
+        this.flushDelay = options.flushDelay || 5000;
+
+        // Snapshots waiting to be appended to disk, keyed by market ID
+        this.pending = new Map();
+        // Recent snapshots kept in memory when persistence is off (serverless)
+        this.memory = new Map();
+        this.maxMemoryPoints = options.maxMemoryPoints || 1000;
+
+        this.retentionMs = (options.retentionDays ?? parseRetentionDays(process.env.HISTORY_RETENTION_DAYS)) * INTERVALS.d;
+        this.compactInterval = (options.compactHours || parseFloat(process.env.HISTORY_COMPACT_HOURS) || 24) * INTERVALS.h;
+        this.maxQueryPoints = options.maxQueryPoints || parseInt(process.env.HISTORY_MAX_QUERY_POINTS) || 50000;
+        this.lastCompaction = 0;
+
+        this.flushTimer = null;
+        // Flushes (and compactions) run one at a time so a rewrite never races an append
+        this.writing = Promise.resolve();
+    }
+
+    static parseInterval(interval) {
+        if (!interval || interval === 'raw') return 0;
+
+        const match = /^(\d+)([mhd])$/.exec(String(interval).trim());
+        if (!match) {
+            throw new Error(`Invalid interval "${interval}" (expected e.g. 5m, 1h, 1d or raw)`);
+        }
+        return parseInt(match[1]) * INTERVALS[match[2]];
+    }
+
+    static parseTime(value, fallback) {
+        if (value === undefined || value === null || value === '') return fallback;
+
+        const time = /^\d+$/.test(String(value)) ? parseInt(value) : Date.parse(value);
+        if (isNaN(time)) {
+            throw new Error(`Invalid timestamp "${value}"`);
+        }
+        return time;
+    }
+
+    marketFile(marketId) {
+        return path.join(this.historyDir, `${String(marketId).replace(/[^\w-]/g, '_')}.jsonl`);
+    }
+
+    // Build one snapshot per outcome of a parsed market (or a single market-level row without outcomes)
+    buildSnapshots(eventId, market, source, timestamp) {
+        const base = {
+            t: timestamp,
+            eventId,
+            marketId: market.id,
+            volume: market.volumeUSD || market.volume || 0,
+            liquidity: market.liquidity || 0,
+            source
+        };
+
+        if (!market.outcomes || market.outcomes.length === 0) {
+            return [{ ...base, outcome: null, tokenId: null, price: null }];
+        }
+
+        return market.outcomes.map(outcome => ({
+            ...base,
+            outcome: outcome.outcome,
+            tokenId: outcome.tokenId,
+            price: outcome.price
+        }));
+    }
+
+    recordEvent(eventData, source = 'sync', timestamp = Date.now()) {
+        for (const market of eventData.markets || []) {
+            this.add(this.buildSnapshots(eventData.id, market, source, timestamp));
+        }
+    }
+
+    recordEvents(events, source = 'sync') {
+        const timestamp = Date.now();
+        let count = 0;
+
+        for (const eventData of events) {
+            this.recordEvent(eventData, source, timestamp);
+            count += eventData.markets?.length || 0;
+        }
+
+        return count;
+    }
+
+    recordPrice({ eventId, marketId, outcome = null, tokenId = null, price, volume = null, liquidity = null, source = 'websocket' }) {
+        this.add([{
+            t: Date.now(),
+            eventId,
+            marketId,
+            volume,
+            liquidity,
+            source,
+            outcome,
+            tokenId,
+            price
+        }]);
+    }
+
+    add(snapshots) {
+        for (const snapshot of snapshots) {
+            const target = this.persist ? this.pending : this.memory;
+            if (!target.has(snapshot.marketId)) {
+                target.set(snapshot.marketId, []);
+            }
+
+            const points = target.get(snapshot.marketId);
+            points.push(snapshot);
+
+            if (!this.persist && points.length > this.maxMemoryPoints) {
+                points.splice(0, points.length - this.maxMemoryPoints);
+            }
+        }
+
+        if (this.persist) {
+            this.scheduleFlush();
+        }
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.pending.size === 0) return 0;
+
+        const batch = this.pending;
+        this.pending = new Map();
+
+        const run = this.writing.then(() => this.writeBatch(batch));
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    async writeBatch(batch) {
+        let written = 0;
+
+        try {
+            await fs.ensureDir(this.historyDir);
+
+            for (const [marketId, points] of batch) {
+                const lines = points.map(point => JSON.stringify(point)).join('\n') + '\n';
+                await fs.appendFile(this.marketFile(marketId), lines);
+                written += points.length;
+            }
+        } catch (error) {
+            this.log(`Error writing market history: ${error.message}`);
+        }
+
+        if (this.retentionMs > 0 && Date.now() - this.lastCompaction >= this.compactInterval) {
+            this.lastCompaction = Date.now();
+            await this.compact();
+        }
+
+        return written;
+    }
+
+    // Rewrites each history file without the points older than the retention window;
+    // files left empty are removed
+    async compact() {
+        const cutoff = Date.now() - this.retentionMs;
+        let files = [];
+        try {
+            files = (await fs.readdir(this.historyDir)).filter(file => file.endsWith('.jsonl'));
+        } catch (error) {
+            return { files: 0, removed: 0 };
+        }
+
+        let removed = 0;
+        for (const file of files) {
+            const source = path.join(this.historyDir, file);
+            const temp = `${source}.tmp`;
+            try {
+                const out = fs.createWriteStream(temp);
+                let kept = 0;
+                let dropped = 0;
+
+                await forEachPoint(source, async (point, line) => {
+                    if (point.t < cutoff) {
+                        dropped++;
+                        return;
+                    }
+                    kept++;
+                    if (!out.write(line + '\n')) await once(out, 'drain');
+                });
+                await new Promise((resolve, reject) => out.end(error => error ? reject(error) : resolve()));
+
+                if (dropped === 0) {
+                    await fs.remove(temp);
+                } else if (kept === 0) {
+                    await fs.remove(temp);
+                    await fs.remove(source);
+                } else {
+                    await fs.move(temp, source, { overwrite: true });
+                }
+                removed += dropped;
+            } catch (error) {
+                await fs.remove(temp).catch(() => {});
+                this.log(`Error compacting market history ${file}: ${error.message}`);
+            }
+        }
+
+        if (removed > 0) {
+            this.log(`🗜️ Compacted market history: dropped ${removed} points older than ${this.retentionMs / INTERVALS.d} days from ${files.length} files`);
+        }
+        return { files: files.length, removed };
+    }
+
+    // Points between from and to (inclusive). The file is streamed line by line and only
+    // the newest maxQueryPoints in range are kept; `truncated` tells whether any were cut.
+    async readMarket(marketId, from = -Infinity, to = Infinity) {
+        const points = [];
+        let truncated = false;
+        const keep = (point) => {
+            if (!(point.t >= from && point.t <= to)) return;
+            points.push(point);
+            if (points.length > this.maxQueryPoints * 2) {
+                points.splice(0, points.length - this.maxQueryPoints);
+                truncated = true;
+            }
+        };
+
+        if (this.persist) {
+            const file = this.marketFile(marketId);
+            if (await fs.pathExists(file)) {
+                await forEachPoint(file, keep);
+            }
+            (this.pending.get(marketId) || []).forEach(keep);
+        } else {
+            (this.memory.get(marketId) || []).forEach(keep);
+        }
+
+        if (points.length > this.maxQueryPoints) {
+            points.splice(0, points.length - this.maxQueryPoints);
+            truncated = true;
+        }
+        return { points, truncated };
+    }
+
+    // Returns one series per outcome, bucketed into OHLC points when an interval is given
+    async query(marketId, options = {}) {
+        const to = MarketHistoryStore.parseTime(options.to, Date.now());
+        const from = MarketHistoryStore.parseTime(options.from, to - INTERVALS.d * 7);
+        const intervalMs = MarketHistoryStore.parseInterval(options.interval);
+
+        const { points, truncated } = await this.readMarket(String(marketId), from, to);
+        points.sort((a, b) => a.t - b.t);
+
+        const seriesMap = new Map();
+        for (const point of points) {
+            const key = point.outcome ?? point.tokenId ?? '';
+            if (!seriesMap.has(key)) {
+                seriesMap.set(key, { outcome: point.outcome, tokenId: point.tokenId, points: [] });
+            }
+            const series = seriesMap.get(key);
+            if (!series.tokenId && point.tokenId) series.tokenId = point.tokenId;
+            series.points.push(point);
+        }
+
+        const series = Array.from(seriesMap.values()).map(s => ({
+            outcome: s.outcome,
+            tokenId: s.tokenId,
+            points: intervalMs ? this.bucket(s.points, intervalMs) : s.points.map(point => ({
+                timestamp: new Date(point.t).toISOString(),
+                price: point.price,
+                volume: point.volume,
+                liquidity: point.liquidity,
+                source: point.source
+            }))
+        }));
+
+        return {
+            marketId: String(marketId),
+            eventId: points.length > 0 ? points[points.length - 1].eventId : null,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            interval: options.interval || 'raw',
+            count: points.length,
+            truncated,
+            series
+        };
+    }
+
+    bucket(points, intervalMs) {
+        const buckets = new Map();
+
+        for (const point of points) {
+            const start = Math.floor(point.t / intervalMs) * intervalMs;
+            let bucket = buckets.get(start);
+            if (!bucket) {
+                bucket = {
+                    timestamp: new Date(start).toISOString(),
+                    open: null,
+                    high: null,
+                    low: null,
+                    close: null,
+                    volume: null,
+                    liquidity: null,
+                    samples: 0
+                };
+                buckets.set(start, bucket);
+            }
+
+            if (point.price !== null && point.price !== undefined) {
+                if (bucket.open === null) bucket.open = point.price;
+                bucket.high = bucket.high === null ? point.price : Math.max(bucket.high, point.price);
+                bucket.low = bucket.low === null ? point.price : Math.min(bucket.low, point.price);
+                bucket.close = point.price;
+            }
+            // Volume and liquidity are cumulative readings, so keep the latest in the bucket
+            if (point.volume !== null && point.volume !== undefined) bucket.volume = point.volume;
+            if (point.liquidity !== null && point.liquidity !== undefined) bucket.liquidity = point.liquidity;
+            bucket.samples++;
+        }
+
+        return Array.from(buckets.values());
+    }
+}
+
+// Calls (and awaits) fn(point, line) for each parsed line of a JSONL file without loading it whole
+async function forEachPoint(file, fn) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line) continue;
+        let point;
+        try {
+            point = JSON.parse(line);
+        } catch (e) {
+            // Skip partially written lines
+            continue;
+        }
+        await fn(point, line);
+    }
+}
+
+// An explicit 0 keeps everything; an empty or invalid value falls back to the default
+// instead of turning the retention into NaN and silently disabling compaction
+function parseRetentionDays(value) {
+    const days = parseFloat(value);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+module.exports = MarketHistoryStore;
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+// Shared query grammar for the list routes (/active, /resolved, /top-*, /multi-outcome):
+// filters, sort and opaque keyset cursors. The sort keys below mirror the SQL sort
+// expressions in storage/sqliteStorage.js so cursors work against either backend.
+const SORT_FIELDS = {
+    totalVolume: (e) => e.totalVolume || 0,
+    volume: (e) => e.volume || 0,
+    liquidity: (e) => e.totalLiquidity || 0,
+    startDate: (e) => e.startDate || '',
+    endDate: (e) => e.endDate || '',
+    title: (e) => e.title || ''
+};
+
+const STATUSES = ['active', 'resolved', 'all'];
+const MAX_LIMIT = 1000;
+
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+        this.statusCode = 400;
+    }
+}
+
+function parseNumber(query, name) {
+    if (query[name] === undefined || query[name] === '') return undefined;
+
+    const value = Number(query[name]);
+    if (isNaN(value)) throw new QueryError(`Invalid ${name}: expected a number`);
+    return value;
+}
+
+function parseDate(query, name) {
+    if (query[name] === undefined || query[name] === '') return undefined;
+
+    const time = Date.parse(query[name]);
+    if (isNaN(time)) throw new QueryError(`Invalid ${name}: expected an ISO date`);
+    return new Date(time).toISOString();
+}
+
+function parseBoolean(query, name) {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    if (query[name] === 'true' || query[name] === '1') return true;
+    if (query[name] === 'false' || query[name] === '0') return false;
+    throw new QueryError(`Invalid ${name}: expected true or false`);
+}
+
+// `sort=endDate`, `sort=endDate:asc` or `sort=-endDate`; `order=asc|desc` also works
+function parseSort(query, defaults) {
+    let field = query.sort || defaults.sort || 'totalVolume';
+    let order = query.order;
+
+    if (field.startsWith('-')) {
+        field = field.slice(1);
+        order = order || 'desc';
+    } else if (field.includes(':')) {
+        [field, order] = field.split(':');
+    }
+    order = order || defaults.order || 'desc';
+
+    if (!SORT_FIELDS[field]) {
+        throw new QueryError(`Invalid sort field "${field}" (expected one of ${Object.keys(SORT_FIELDS).join(', ')})`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        throw new QueryError(`Invalid sort order "${order}" (expected asc or desc)`);
+    }
+    return { sort: field, order };
+}
+
+// Short hash of everything that shapes the result set, so a cursor cannot be
+// replayed against a different query
+function fingerprint(options) {
+    const shape = { ...options };
+    delete shape.limit;
+    delete shape.offset;
+    delete shape.after;
+    return crypto.createHash('sha1').update(JSON.stringify(shape)).digest('hex').slice(0, 12);
+}
+
+function encodeCursor(options, lastEvent) {
+    const payload = { q: fingerprint(options), v: SORT_FIELDS[options.sort](lastEvent), id: String(lastEvent.id) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, options) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new QueryError('Invalid cursor');
+    }
+    if (!payload || payload.id === undefined || payload.v === undefined) {
+        throw new QueryError('Invalid cursor');
+    }
+    if (payload.q !== fingerprint(options)) {
+        throw new QueryError('Cursor does not match this query; keep filters and sort unchanged while paging');
+    }
+    return { value: payload.v, id: payload.id };
+}
+
+// Turns route query parameters into storage query options. `defaults` carries the
+// route's own status, sort and forced filters (e.g. multiOutcome for /multi-outcome).
+function parseListQuery(query = {}, defaults = {}) {
+    const status = query.status || defaults.status || 'active';
+    if (!STATUSES.includes(status)) {
+        throw new QueryError(`Invalid status "${status}" (expected ${STATUSES.join(', ')})`);
+    }
+
+    const limit = query.limit === undefined || query.limit === '' ? (defaults.limit || 10) : parseInt(query.limit);
+    if (isNaN(limit) || limit < 1) throw new QueryError('Invalid limit: expected a positive integer');
+
+    const options = {
+        collection: status === 'all' ? undefined : status,
+        multiOutcome: defaults.multiOutcome ?? parseBoolean(query, 'multiOutcome'),
+        featured: parseBoolean(query, 'featured'),
+        restricted: parseBoolean(query, 'restricted'),
+        minVolume: parseNumber(query, 'minVolume'),
+        maxVolume: parseNumber(query, 'maxVolume'),
+        minLiquidity: parseNumber(query, 'minLiquidity'),
+        maxLiquidity: parseNumber(query, 'maxLiquidity'),
+        minEndDate: parseDate(query, 'minEndDate'),
+        maxEndDate: parseDate(query, 'maxEndDate'),
+        tags: defaults.tags,
+        excludeTags: defaults.excludeTags,
+        ...parseSort(query, defaults),
+        limit: Math.min(limit, MAX_LIMIT),
+        offset: 0
+    };
+
+    for (const key of Object.keys(options)) {
+        if (options[key] === undefined || (Array.isArray(options[key]) && options[key].length === 0)) {
+            delete options[key];
+        }
+    }
+
+    if (query.cursor) {
+        options.after = decodeCursor(query.cursor, options);
+    } else if (query.offset) {
+        options.offset = Math.max(0, parseInt(query.offset) || 0);
+    }
+
+    return options;
+}
+
+// The response envelope shared by every list route
+function listEnvelope(options, result) {
+    const events = result.events;
+    return {
+        count: events.length,
+        total: result.total,
+        limit: options.limit,
+        sort: options.sort,
+        order: options.order,
+        nextCursor: result.hasMore && events.length > 0 ? encodeCursor(options, events[events.length - 1]) : null,
+        events
+    };
+}
+
+module.exports = { parseListQuery, listEnvelope, encodeCursor, decodeCursor, QueryError, SORT_FIELDS, MAX_LIMIT };
@@ -4,22 +4,49 @@ const fs = require('fs-extra');
 const cron = require('node-cron');
 const path = require('path');
 const WebSocket = require('ws');
+const MarketHistoryStore = require('./historyStore');
+const ChangeDetector = require('./changeDetector');
+const ClobSubscriptionManager = require('./clobSubscriptions');
+const { OrderBookStore } = require('./orderBook');
+const RequestScheduler = require('./requestScheduler');
+const TrafficRecorder = require('./trafficRecorder');
+const TagIndex = require('./tagIndex');
+const SearchIndex = require('./searchIndex');
+const { parseListQuery, listEnvelope } = require('./listQuery');
+const { createStorage, isServerless, JsonStorage } = require('./storage');
 
 class PolymarketTracker {
     constructor() {
-        this.baseURL = 'https://gamma-api.polymarket.com';
-        this.dataDir = './data';
+        this.baseURL = (process.env.MARKETS_API_URL || 'https://gamma-api.polymarket.com').replace(/\/$/, '');
+        this.dataDir = process.env.DATA_DIR || './data';
         this.eventsFile = path.join(this.dataDir, 'events.json');
         this.logFile = path.join(this.dataDir, 'tracking.log');
+        // Serverless filesystems are read-only; console output is all we keep there
+        this.logToFile = !isServerless();
         
         this.rateLimits = {
-            general: { limit: 750, window: 10000 },
-            delay: 100
+            general: {
+                limit: parseInt(process.env.API_RATE_LIMIT) || 750,
+                window: parseInt(process.env.API_RATE_WINDOW) || 10000
+            }
         };
         
-        this.requestQueue = [];
-        this.isProcessingQueue = false;
-        this.lastRequestTime = 0;
+        this.scheduler = new RequestScheduler({
+            limit: this.rateLimits.general.limit,
+            window: this.rateLimits.general.window,
+            concurrency: parseInt(process.env.API_CONCURRENCY) || 4,
+            maxRetries: parseInt(process.env.API_MAX_RETRIES) || 3,
+            log: (message) => this.log(message)
+        });
+        // RECORD_DIR captures Gamma responses and CLOB frames as fixtures for replayServer.js
+        this.recorder = TrafficRecorder.fromEnv({
+            meta: { baseURL: this.baseURL, wsUrl: process.env.WEBSOCKET_URL || null }
+        });
+        if (this.recorder) {
+            this.scheduler.httpGet = this.recorder.wrapHttpGet(this.scheduler.httpGet);
+        }
+        // Pages of the open-events listing requested in parallel during a sync
+        this.syncPageConcurrency = parseInt(process.env.SYNC_PAGE_CONCURRENCY) || this.scheduler.concurrency;
         
         this.events = {
             active: new Map(),
@@ -29,105 +56,201 @@ class PolymarketTracker {
         
         this.websocket = null;
         this.wsReconnectAttempts = 0;
-        this.maxReconnectAttempts = parseInt(process.env.WS_MAX_RECONNECT_ATTEMPTS) || 10;
         this.reconnectDelay = parseInt(process.env.WS_RECONNECT_DELAY) || 5000;
+        this.maxReconnectDelay = parseInt(process.env.WS_MAX_RECONNECT_DELAY) || 60000;
+        this.heartbeatInterval = parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 10000;
+        this.staleFeedTimeout = parseInt(process.env.WS_STALE_TIMEOUT) || 60000;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.wsStopped = false;
+        this.wsStats = {
+            connectedAt: null,
+            lastMessageAt: null,
+            lastPongAt: null,
+            reconnects: 0,
+            lastError: null
+        };
         this.enableRealtime = process.env.ENABLE_REALTIME === 'true';
-        this.wsUrl = process.env.WEBSOCKET_URL || 'wss://ws-subscriptions-clob.polymarket.com';
+        this.fetchMissingEvents = false;
+        const wsBase = process.env.WEBSOCKET_URL || 'wss://ws-subscriptions-clob.polymarket.com';
+        this.wsUrl = /\/ws\//.test(wsBase) ? wsBase : `${wsBase.replace(/\/$/, '')}/ws/market`;
+        
+        // Which tracked events get live CLOB prices: all, top (N by volume) or watchlist (event IDs/slugs)
+        this.liveFeed = {
+            mode: process.env.WS_TRACK_MODE || 'all',
+            topN: parseInt(process.env.WS_TOP_EVENTS) || 50,
+            watchlist: new Set((process.env.WS_WATCHLIST || '').split(',').map(item => item.trim()).filter(Boolean))
+        };
+        this.orderBooks = new OrderBookStore();
+        this.subscriptions = new ClobSubscriptionManager({
+            batchSize: parseInt(process.env.WS_SUBSCRIBE_BATCH) || 100,
+            log: (message) => this.log(message)
+        });
         
         this.realtimeCallbacks = new Set();
+        this.resolvedSyncCallbacks = new Set();
+        this.tokenIndex = new Map();
+        // Markets resolved before Gamma lists them as closed: marketId -> { resolvedAt, winningOutcome }
+        this.pendingResolutions = new Map();
+        this.tags = new TagIndex();
+        this.search = new SearchIndex();
+        this.searchIncludeResolved = process.env.SEARCH_INDEX_RESOLVED !== 'false';
+        this.isUpdating = false;
+        this.lastSync = { completedAt: null, durationSeconds: null, error: null };
+        
+        this.resolvedSync = {
+            backfillStart: process.env.RESOLVED_BACKFILL_START || '2024-10-10',
+            pageSize: 100,
+            maxPages: parseInt(process.env.RESOLVED_SYNC_MAX_PAGES) || 50
+        };
+
+        // Open events missing from the listing: eventId -> consecutive syncs missing
+        this.missingEvents = new Map();
+        this.missingEventSyncs = parseInt(process.env.MISSING_EVENT_SYNCS) || 3;
         
-        this.initializeData();
+        this.changeDetector = new ChangeDetector({
+            priceThreshold: parseFloat(process.env.CHANGE_PRICE_THRESHOLD) || 0.001,
+            volumeThreshold: parseFloat(process.env.CHANGE_VOLUME_THRESHOLD) || 1
+        });
+        
+        this.history = new MarketHistoryStore({
+            historyDir: path.join(this.dataDir, 'history'),
+            persist: !isServerless(),
+            log: (message) => this.log(message)
+        });
+        
+        this.storage = createStorage({
+            dataDir: this.dataDir,
+            log: (message) => this.log(message)
+        });
+        
+        this.ready = this.initializeData();
     }
 
     async initializeData() {
         try {
-            // Skip file operations in serverless environment
-            if (process.env.VERCEL || process.env.NODE_ENV === 'production') {
-                console.log('Running in serverless environment - skipping file operations');
-                return;
+            if (isServerless()) {
+                console.log('Running in serverless environment - using in-memory storage');
             }
             
-            await fs.ensureDir(this.dataDir);
+            await this.storage.init();
+            if (this.recorder) {
+                this.log(`🎙️ Recording Gamma API and CLOB WebSocket traffic to ${this.recorder.dir}`);
+            }
+            
+            const data = await this.storage.loadEvents();
+            this.events.active = data.active;
+            this.events.resolved = data.resolved;
+            this.events.lastUpdate = data.lastUpdate;
             
-            if (await fs.pathExists(this.eventsFile)) {
-                const data = await fs.readJson(this.eventsFile);
-                this.events.active = new Map(data.active || []);
-                this.events.resolved = new Map(data.resolved || []);
-                this.events.lastUpdate = data.lastUpdate;
-                this.log(`Loaded ${this.events.active.size} active and ${this.events.resolved.size} resolved events from storage`);
+            if (this.storage.name === 'sqlite' && this.events.active.size === 0 && this.events.resolved.size === 0) {
+                await this.importLegacyData();
+            }
+            
+            this.log(`Loaded ${this.events.active.size} active and ${this.events.resolved.size} resolved events from ${this.storage.name} storage`);
+            for (const eventData of this.events.active.values()) {
+                for (const market of eventData.markets || []) {
+                    if (market.status === 'resolved') this.rememberResolution(market);
+                }
             }
+            this.rebuildTokenIndex();
+            this.tags.rebuild(this.events);
+            this.search.rebuild(this.events, { includeResolved: this.searchIncludeResolved });
+            this.updateSubscriptions();
         } catch (error) {
             this.log(`Error initializing data: ${error.message}`);
         }
     }
 
+    // One-time import of a pre-existing data/events.json into a fresh SQLite database
+    async importLegacyData() {
+        if (!(await fs.pathExists(this.eventsFile))) return;
+
+        const legacy = new JsonStorage({ file: this.eventsFile });
+        const data = await legacy.loadEvents();
+        this.events.active = data.active;
+        this.events.resolved = data.resolved;
+        this.events.lastUpdate = data.lastUpdate;
+        
+        await this.storage.saveEvents(this.events);
+        this.log(`Imported ${data.active.size} active and ${data.resolved.size} resolved events from legacy ${this.eventsFile}`);
+    }
+
     async saveData() {
         try {
-            const data = {
-                active: Array.from(this.events.active.entries()),
-                resolved: Array.from(this.events.resolved.entries()),
-                lastUpdate: this.events.lastUpdate
-            };
-            await fs.writeJson(this.eventsFile, data, { spaces: 2 });
-            this.log(`Saved ${this.events.active.size} active and ${this.events.resolved.size} resolved events to storage`);
+            await this.ready;
+            await this.storage.saveEvents(this.events);
+            this.log(`Saved ${this.events.active.size} active and ${this.events.resolved.size} resolved events to ${this.storage.name} storage`);
         } catch (error) {
             this.log(`Error saving data: ${error.message}`);
         }
     }
 
+    // SQLite rows are only written when a sync saves, so the page is served from the
+    // in-memory events where we hold them: live prices and resolutions from the
+    // WebSocket feed show up between saves, as they do with the JSON backends
+    async queryEvents(options = {}) {
+        await this.ready;
+        const result = await this.storage.queryEvents(options);
+        return {
+            ...result,
+            events: result.events.map(eventData => this.events.active.get(eventData.id) || this.events.resolved.get(eventData.id) || eventData)
+        };
+    }
+
+    // Single events are served from the live in-memory state (current WebSocket prices)
+    // and fall back to storage for anything not held in memory. With fetchMissingEvents
+    // (serverless snapshots hold only part of the resolved events) unknown IDs are looked
+    // up on the Gamma API ahead of any queued sync requests.
+    async getEvent(eventId) {
+        await this.ready;
+        const id = String(eventId);
+        const known = this.events.active.get(id) || this.events.resolved.get(id) || await this.storage.getEvent(id);
+        if (known || !this.fetchMissingEvents) return known;
+
+        try {
+            const event = await this.fetchEvent(id, { priority: 'interactive' });
+            return event && event.markets ? this.parseEventData(event) : null;
+        } catch (error) {
+            this.log(`Error fetching event ${id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async getEventBySlug(slug) {
+        await this.ready;
+        const stored = await this.storage.getEventBySlug(slug);
+        return stored ? this.getEvent(stored.id) : null;
+    }
+
+    // { event, market } for a market ID, or null
+    async getMarket(marketId) {
+        await this.ready;
+        const eventId = await this.storage.getMarketEventId(marketId);
+        const eventData = eventId ? await this.getEvent(eventId) : null;
+        const market = eventData ? (eventData.markets || []).find(m => String(m.id) === String(marketId)) : null;
+        return market ? { event: eventData, market } : null;
+    }
+
+    async getStats() {
+        await this.ready;
+        return this.storage.getStats();
+    }
+
     log(message) {
         const timestamp = new Date().toISOString();
         const logMessage = `[${timestamp}] ${message}`;
         console.log(logMessage);
+        if (!this.logToFile) return;
         
         fs.appendFile(this.logFile, logMessage + '\n').catch(err => 
             console.error('Failed to write to log file:', err)
         );
     }
 
-    async makeRequest(url, retries = 3) {
-        return new Promise((resolve, reject) => {
-            this.requestQueue.push({ url, retries, resolve, reject });
-            this.processQueue();
-        });
-    }
-
-    async processQueue() {
-        if (this.isProcessingQueue || this.requestQueue.length === 0) return;
-        
-        this.isProcessingQueue = true;
-        
-        while (this.requestQueue.length > 0) {
-            const { url, retries, resolve, reject } = this.requestQueue.shift();
-            
-            const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-            if (timeSinceLastRequest < this.rateLimits.delay) {
-                await new Promise(resolve => setTimeout(resolve, this.rateLimits.delay - timeSinceLastRequest));
-            }
-            
-            try {
-                this.lastRequestTime = Date.now();
-                const response = await axios.get(url, {
-                    timeout: 30000,
-                    headers: {
-                        'User-Agent': 'PolymarketTracker/1.0',
-                        'Accept': 'application/json'
-                    }
-                });
-                resolve(response.data);
-            } catch (error) {
-                if (retries > 0 && (error.response?.status === 429 || error.code === 'ECONNRESET')) {
-                    this.log(`Rate limited or connection error, retrying... (${retries} retries left)`);
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                    this.requestQueue.unshift({ url, retries: retries - 1, resolve, reject });
-                } else {
-                    this.log(`Request failed: ${error.message}`);
-                    reject(error);
-                }
-            }
-        }
-        
-        this.isProcessingQueue = false;
+    // priority: 'interactive' (user-facing), 'normal' or 'bulk' (background sync)
+    async makeRequest(url, options = {}) {
+        return this.scheduler.request(url, options);
     }
 
     parseEventData(event) {
@@ -137,6 +260,7 @@ class PolymarketTracker {
             // Parse outcome prices to determine winners for resolved markets
             let outcomePrices = [];
             let outcomesList = [];
+            let clobTokenIds = [];
             try {
                 if (market.outcomePrices && typeof market.outcomePrices === 'string') {
                     outcomePrices = JSON.parse(market.outcomePrices);
@@ -144,10 +268,14 @@ class PolymarketTracker {
                 if (market.outcomes && typeof market.outcomes === 'string') {
                     outcomesList = JSON.parse(market.outcomes);
                 }
+                if (market.clobTokenIds && typeof market.clobTokenIds === 'string') {
+                    clobTokenIds = JSON.parse(market.clobTokenIds);
+                }
             } catch (e) {
                 // Fallback if parsing fails
                 outcomePrices = [];
                 outcomesList = [];
+                clobTokenIds = [];
             }
 
             // Build outcomes from either tokens or direct outcome data
@@ -160,7 +288,7 @@ class PolymarketTracker {
                     const winner = price > 0.9; // Winner is outcome with price closest to 1.0
                     
                     return {
-                        tokenId: tokens[index]?.token_id || null,
+                        tokenId: tokens[index]?.token_id || clobTokenIds[index] || null,
                         outcome: outcome,
                         price: price,
                         winner: winner
@@ -186,6 +314,14 @@ class PolymarketTracker {
                         winner: winner
                     };
                 });
+            } else if (outcomesList.length > 0) {
+                // Gamma events payload: outcome names, prices and CLOB token IDs as parallel JSON arrays
+                outcomes = outcomesList.map((outcome, index) => ({
+                    tokenId: clobTokenIds[index] || null,
+                    outcome: outcome,
+                    price: parseFloat(outcomePrices[index] || 0),
+                    winner: false
+                }));
             } else {
                 // Fallback: create basic structure
                 outcomes = [];
@@ -193,14 +329,14 @@ class PolymarketTracker {
 
             return {
                 id: market.id,
-                questionId: market.question_id,
+                questionId: market.question_id || market.questionID,
                 question: market.question,
                 description: market.description,
                 slug: market.slug,
                 
                 status: market.closed ? 'resolved' : 'active',
-                startDate: market.start_date,
-                endDate: market.end_date,
+                startDate: market.start_date || market.startDate,
+                endDate: market.end_date || market.endDate,
                 
                 volume: parseFloat(market.volume || 0),
                 volumeUSD: parseFloat(market.volume_usd || 0),
@@ -214,8 +350,10 @@ class PolymarketTracker {
                 winningOutcome: market.closed && outcomes.length > 0 ? 
                     outcomes.find(o => o.winner)?.outcome || null : null,
                 
-                conditionId: market.condition_id,
+                conditionId: market.condition_id || market.conditionId,
+                negRisk: Boolean(market.neg_risk ?? market.negRisk),
                 fpmm: market.fpmm,
+                resolvedAt: market.closed && market.closedTime ? market.closedTime : undefined,
                 
                 polymarketURL: event.slug ? 
                     `https://polymarket.com/event/${event.slug}?tid=${Date.now()}` : 
@@ -284,14 +422,26 @@ class PolymarketTracker {
         this.log(`Fetching events: ${url}`);
         
         try {
-            const data = await this.makeRequest(url);
+            const data = await this.makeRequest(url, { priority: options.priority });
             return data;
         } catch (error) {
             this.log(`Error fetching events: ${error.message}`);
+            if (options.throwOnError) throw error;
             return [];
         }
     }
 
+    async fetchEvent(eventId, options = {}) {
+        const url = `${this.baseURL}/events/${encodeURIComponent(eventId)}`;
+        
+        try {
+            return await this.makeRequest(url, { priority: options.priority });
+        } catch (error) {
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+    }
+
     async fetchMarkets(options = {}) {
         const params = new URLSearchParams({
             limit: options.limit || 100,
@@ -303,7 +453,7 @@ class PolymarketTracker {
         this.log(`Fetching markets: ${url}`);
         
         try {
-            const data = await this.makeRequest(url);
+            const data = await this.makeRequest(url, { priority: options.priority });
             return data;
         } catch (error) {
             this.log(`Error fetching markets: ${error.message}`);
@@ -311,46 +461,68 @@ class PolymarketTracker {
         }
     }
 
-    async trackActiveEvents() {
+    // priority: scheduler lane for the page requests ('bulk' for background syncs)
+    async trackActiveEvents(priority = 'bulk') {
         this.log('Starting to track active events...');
         let offset = 0;
         let hasMore = true;
+        let completed = false;
         let newEvents = 0;
         let updatedEvents = 0;
+        const seenIds = new Set();
+        // Without a previous state every event would look new, so the first sync only sets the baseline
+        const emitChanges = this.events.active.size > 0;
+        const changeCounts = {};
 
         while (hasMore) {
             try {
-                const events = await this.fetchEvents({
+                // Fetch a wave of consecutive pages at once; the scheduler keeps us within the rate limit
+                const offsets = Array.from({ length: this.syncPageConcurrency }, (_, i) => offset + i * 100);
+                const pages = await Promise.all(offsets.map(pageOffset => this.fetchEvents({
                     limit: 100,
-                    offset,
-                    params: { closed: 'false' }
-                });
+                    offset: pageOffset,
+                    params: { closed: 'false' },
+                    priority,
+                    throwOnError: true
+                })));
+
+                for (const events of pages) {
+                    if (!events || events.length === 0) {
+                        hasMore = false;
+                        completed = true;
+                        break;
+                    }
 
-                if (!events || events.length === 0) {
-                    hasMore = false;
-                    break;
-                }
+                    for (const event of events) {
+                        const eventData = this.parseEventData(event);
+                        this.keepPendingResolutions(eventData);
+                        const previous = this.events.active.get(eventData.id);
+                        seenIds.add(eventData.id);
+
+                        if (previous) {
+                            updatedEvents++;
+                        } else {
+                            newEvents++;
+                        }
 
-                for (const event of events) {
-                    const eventData = this.parseEventData(event);
+                        this.events.active.set(eventData.id, eventData);
+                        this.indexEventTokens(eventData);
+                        this.indexEvent(eventData, 'active');
 
-                    if (this.events.active.has(eventData.id)) {
-                        updatedEvents++;
-                    } else {
-                        newEvents++;
+                        if (emitChanges) {
+                            this.emitEventChanges(previous, eventData, changeCounts);
+                        }
                     }
 
-                    this.events.active.set(eventData.id, eventData);
-                }
-
-                offset += events.length;
-                
-                if (events.length < 100) {
-                    hasMore = false;
+                    offset += events.length;
+                    
+                    if (events.length < 100) {
+                        hasMore = false;
+                        completed = true;
+                        break;
+                    }
                 }
 
-                await new Promise(resolve => setTimeout(resolve, 200));
-
             } catch (error) {
                 this.log(`Error tracking active events at offset ${offset}: ${error.message}`);
                 break;
@@ -358,85 +530,378 @@ class PolymarketTracker {
         }
 
         this.log(`Active events tracking complete: ${newEvents} new, ${updatedEvents} updated`);
+        if (Object.keys(changeCounts).length > 0) {
+            this.log(`Change events emitted: ${Object.entries(changeCounts).map(([type, count]) => `${type}=${count}`).join(', ')}`);
+        }
+
+        // Only a full pass over the listing tells us which events are gone
+        if (completed) {
+            await this.reconcileMissingActiveEvents(seenIds);
+            this.prunePendingResolutions();
+        } else {
+            this.log('Active listing incomplete - skipping check for events that left the open listing');
+        }
+        this.rebuildTokenIndex();
     }
 
+    // Emits the diff between two snapshots of an event. Markets that closed since the
+    // previous sync are also announced as market_resolved, so resolutions reach
+    // subscribers even when the WebSocket feed is off.
+    emitEventChanges(previous, eventData, counts = {}) {
+        for (const change of this.changeDetector.diffEvent(previous, eventData)) {
+            counts[change.type] = (counts[change.type] || 0) + 1;
+            this.notifyRealtimeUpdate(change);
+
+            if (change.type === 'market_closed') {
+                const market = eventData.markets.find(m => m.id === change.marketId);
+                market.resolvedAt = market.resolvedAt || change.timestamp;
+                this.log(`🔴 MARKET RESOLVED (poll): ${market.question} → ${market.winningOutcome || 'unknown'}`);
+                this.announceResolution(eventData, market, 'poll');
+                this.subscriptions.remove(market.outcomes.map(o => o.tokenId).filter(Boolean));
+            }
+        }
+        return counts;
+    }
+
+    rememberResolution(market) {
+        this.pendingResolutions.set(String(market.id), {
+            resolvedAt: market.resolvedAt,
+            winningOutcome: market.winningOutcome || null
+        });
+    }
+
+    // Gamma can list a market as open for a while after the WebSocket feed resolved it.
+    // Such markets stay resolved until Gamma closes them too, so a sync neither reopens
+    // them nor announces the resolution a second time.
+    keepPendingResolutions(eventData) {
+        for (const market of eventData.markets) {
+            const resolution = this.pendingResolutions.get(String(market.id));
+            if (!resolution) continue;
+
+            if (market.status === 'resolved') {
+                this.pendingResolutions.delete(String(market.id));
+                continue;
+            }
+
+            market.status = 'resolved';
+            market.resolvedAt = resolution.resolvedAt;
+            market.winningOutcome = resolution.winningOutcome;
+            if (resolution.winningOutcome) {
+                for (const outcome of market.outcomes) {
+                    outcome.winner = outcome.outcome === resolution.winningOutcome;
+                }
+            }
+            eventData.activeMarketsCount--;
+            eventData.resolvedMarketsCount++;
+            eventData.hasActiveMarkets = eventData.activeMarketsCount > 0;
+            eventData.hasResolvedMarkets = true;
+        }
+    }
+
+    // Forgets pending resolutions of markets no longer in an active event
+    prunePendingResolutions() {
+        if (this.pendingResolutions.size === 0) return;
+
+        const tracked = new Set();
+        for (const eventData of this.events.active.values()) {
+            for (const market of eventData.markets || []) tracked.add(String(market.id));
+        }
+        for (const marketId of this.pendingResolutions.keys()) {
+            if (!tracked.has(marketId)) this.pendingResolutions.delete(marketId);
+        }
+    }
+
+    // Events that dropped out of the closed=false listing are looked up one by one:
+    // closed ones move to resolved, ones the API no longer knows are dropped. Events that
+    // are still open but stay out of the listing (archived, hidden) or whose lookup keeps
+    // failing are dropped after MISSING_EVENT_SYNCS syncs instead of being checked forever.
+    async reconcileMissingActiveEvents(seenIds) {
+        for (const eventId of this.missingEvents.keys()) {
+            if (seenIds.has(eventId) || !this.events.active.has(eventId)) this.missingEvents.delete(eventId);
+        }
+
+        const missing = Array.from(this.events.active.keys()).filter(id => !seenIds.has(id));
+        if (missing.length === 0) return;
+
+        this.log(`${missing.length} tracked events left the open listing, checking their status...`);
+        let moved = 0;
+        let removed = 0;
+
+        for (const eventId of missing) {
+            const previous = this.events.active.get(eventId);
+            let event;
+            try {
+                event = await this.fetchEvent(eventId, { priority: 'bulk' });
+            } catch (error) {
+                this.log(`Error checking event ${eventId}: ${error.message}`);
+                if (this.countMissing(eventId)) {
+                    this.dropActiveEvent(previous);
+                    removed++;
+                }
+                continue;
+            }
+
+            if (!event) {
+                this.dropActiveEvent(previous);
+                removed++;
+            } else if (event.closed) {
+                const eventData = this.parseEventData(event);
+                this.missingEvents.delete(eventId);
+                this.events.active.delete(eventId);
+                this.events.resolved.set(eventData.id, eventData);
+                this.indexEvent(eventData, 'resolved');
+                this.emitEventChanges(previous, eventData);
+                this.notifyRealtimeUpdate(this.changeDetector.removed(previous, 'resolved'));
+                moved++;
+            } else if (this.countMissing(eventId)) {
+                this.dropActiveEvent(previous);
+                removed++;
+            }
+        }
+
+        this.log(`Moved ${moved} events to resolved, removed ${removed} unlisted events`);
+    }
+
+    // True once an event has been missing from the open listing for MISSING_EVENT_SYNCS syncs
+    countMissing(eventId) {
+        const count = (this.missingEvents.get(eventId) || 0) + 1;
+        this.missingEvents.set(eventId, count);
+        return count >= this.missingEventSyncs;
+    }
+
+    dropActiveEvent(previous) {
+        this.missingEvents.delete(previous.id);
+        this.events.active.delete(previous.id);
+        this.search.removeEvent(previous.id);
+        this.notifyRealtimeUpdate(this.changeDetector.removed(previous, 'delisted'));
+    }
+
+    // Resolved sync position: the closedTime reached so far, plus how many events with
+    // exactly that closedTime were already read (a tie-breaker for the next request)
+    async loadResolvedCursor() {
+        const stored = await this.storage.getMeta('resolvedCursor');
+        const cursor = stored ? JSON.parse(stored) : null;
+
+        // A changed backfill start invalidates the position we were at
+        if (!cursor || cursor.backfillStart !== this.resolvedSync.backfillStart) {
+            return {
+                backfillStart: this.resolvedSync.backfillStart,
+                lastClosedTime: null,
+                offset: 0,
+                updatedAt: null
+            };
+        }
+        // Cursors saved without lastClosedTime hold a plain offset into the whole listing,
+        // which is also how one without a closed_time_min is read
+        return {
+            backfillStart: cursor.backfillStart,
+            lastClosedTime: cursor.lastClosedTime || null,
+            offset: cursor.offset || 0,
+            updatedAt: cursor.updatedAt
+        };
+    }
+
+    // Moves the cursor past one event of the closedTime-ordered listing
+    advanceResolvedCursor(cursor, event) {
+        const closedTime = Date.parse(event.closedTime);
+        if (isNaN(closedTime) || (cursor.lastClosedTime && closedTime <= Date.parse(cursor.lastClosedTime))) {
+            cursor.offset++;
+            return;
+        }
+        cursor.lastClosedTime = new Date(closedTime).toISOString();
+        cursor.offset = 1;
+    }
+
+    async saveResolvedCursor(cursor) {
+        cursor.updatedAt = new Date().toISOString();
+        await this.storage.setMeta('resolvedCursor', JSON.stringify(cursor));
+    }
+
+    // Walks closed events oldest-first from the persisted cursor, so each run picks up
+    // where the previous one stopped and newly closed events are appended at the end.
     async trackResolvedMarkets() {
+        await this.ready;
         this.log('Starting to track resolved markets...');
-        let offset = 0;
-        let hasMore = true;
+
+        const { pageSize, maxPages } = this.resolvedSync;
+        const backfillStart = new Date(this.resolvedSync.backfillStart);
+        if (isNaN(backfillStart)) {
+            this.log(`Invalid RESOLVED_BACKFILL_START "${this.resolvedSync.backfillStart}" - skipping resolved sync`);
+            return;
+        }
+
+        const cursor = await this.loadResolvedCursor();
+        this.log(`Resuming resolved sync after ${cursor.lastClosedTime || 'the backfill start'} (offset ${cursor.offset})`);
+
+        let pages = 0;
         let newMarkets = 0;
         let updatedMarkets = 0;
 
-        const octDate = new Date('2024-10-10');
-
-        while (hasMore) {
+        while (pages < maxPages) {
             try {
+                // Events closing meanwhile sort after lastClosedTime, so they don't shift the offset
+                const params = {
+                    closed: 'true',
+                    order: 'closedTime',
+                    ascending: 'true',
+                    end_date_min: backfillStart.toISOString()
+                };
+                if (cursor.lastClosedTime) {
+                    params.closed_time_min = cursor.lastClosedTime;
+                }
+
                 const events = await this.fetchEvents({
-                    limit: 100,
-                    offset,
-                    params: { closed: 'true' }
+                    limit: pageSize,
+                    offset: cursor.offset,
+                    params,
+                    priority: 'bulk',
+                    throwOnError: true
                 });
 
                 if (!events || events.length === 0) {
-                    hasMore = false;
                     break;
                 }
 
                 for (const event of events) {
-                    const eventEndDate = new Date(event.end_date);
+                    this.advanceResolvedCursor(cursor, event);
+                    const closedTime = event.closedTime || event.endDate;
+                    if (closedTime && new Date(closedTime) < backfillStart) continue;
+                    if (!event.markets) continue;
+
+                    const eventData = this.parseEventData(event);
                     
-                    if (eventEndDate >= octDate && event.markets) {
-                        const eventData = this.parseEventData(event);
+                    if (eventData.status === 'resolved') {
+                        const isNew = !this.events.resolved.has(eventData.id);
+                        if (isNew) {
+                            newMarkets++;
+                        } else {
+                            updatedMarkets++;
+                        }
+
+                        this.events.resolved.set(eventData.id, eventData);
+                        this.indexEvent(eventData, 'resolved');
                         
-                        if (eventData.status === 'resolved') {
-                            if (this.events.resolved.has(eventData.id)) {
-                                updatedMarkets++;
-                            } else {
-                                newMarkets++;
-                            }
-
-                            this.events.resolved.set(eventData.id, eventData);
-                            
-                            if (this.events.active.has(eventData.id)) {
-                                this.events.active.delete(eventData.id);
-                            }
+                        const previous = this.events.active.get(eventData.id);
+                        if (previous) {
+                            this.events.active.delete(eventData.id);
+                            this.emitEventChanges(previous, eventData);
+                            this.notifyRealtimeUpdate(this.changeDetector.removed(previous, 'resolved'));
+                        }
+                        if (isNew) {
+                            this.notifyResolvedSync(eventData);
                         }
                     }
                 }
 
-                offset += events.length;
+                pages++;
+                await this.saveResolvedCursor(cursor);
                 
-                if (events.length < 100) {
-                    hasMore = false;
+                if (events.length < pageSize) {
+                    break;
                 }
 
-                await new Promise(resolve => setTimeout(resolve, 200));
-
             } catch (error) {
-                this.log(`Error tracking resolved markets at offset ${offset}: ${error.message}`);
+                this.log(`Error tracking resolved markets at offset ${cursor.offset}: ${error.message}`);
                 break;
             }
         }
 
-        this.log(`Resolved markets tracking complete: ${newMarkets} new, ${updatedMarkets} updated`);
+        this.log(`Resolved markets tracking complete: ${newMarkets} new, ${updatedMarkets} updated (cursor at ${cursor.lastClosedTime || 'start'}, offset ${cursor.offset})`);
     }
 
     async performFullUpdate() {
+        if (this.isUpdating) {
+            this.log('Full update already in progress - skipping');
+            return;
+        }
+        this.isUpdating = true;
+        
         this.log('=== Starting full events update ===');
         const startTime = Date.now();
 
         try {
             await this.trackActiveEvents();
+            await this.trackResolvedMarkets();
+            this.rebuildTokenIndex();
+            this.log(`🏷️ Tag index rebuilt: ${this.tags.rebuild(this.events)} tags`);
+            this.updateSubscriptions();
+
+            const snapshots = this.history.recordEvents(this.events.active.values());
+            await this.history.flush();
+            this.log(`Recorded history snapshots for ${snapshots} markets`);
 
             this.events.lastUpdate = new Date().toISOString();
             await this.saveData();
 
             const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+            this.lastSync = { completedAt: new Date().toISOString(), durationSeconds: parseFloat(duration), error: null };
             this.log(`=== Full update completed in ${duration}s ===`);
             this.printStats();
 
         } catch (error) {
+            this.lastSync.error = error.message;
             this.log(`Error during full update: ${error.message}`);
+        } finally {
+            this.isUpdating = false;
+        }
+    }
+
+    // On-demand snapshot for serverless instances: the open listing plus the most recently
+    // closed events, without the persisted resolved cursor or live subscriptions
+    async refreshSnapshot(options = {}) {
+        await this.ready;
+        if (this.isUpdating) {
+            this.log('Full update already in progress - skipping snapshot refresh');
+            return;
+        }
+        this.isUpdating = true;
+
+        const startTime = Date.now();
+        try {
+            await this.trackActiveEvents(options.priority);
+            await this.trackRecentResolved(options.resolvedPages || 1, options.priority);
+            this.rebuildTokenIndex();
+            this.tags.rebuild(this.events);
+            this.history.recordEvents(this.events.active.values());
+
+            this.events.lastUpdate = new Date().toISOString();
+            await this.saveData();
+
+            const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+            this.lastSync = { completedAt: new Date().toISOString(), durationSeconds: parseFloat(duration), error: null };
+            this.log(`Snapshot refreshed in ${duration}s: ${this.events.active.size} active, ${this.events.resolved.size} resolved events`);
+        } catch (error) {
+            this.lastSync.error = error.message;
+            this.log(`Error refreshing snapshot: ${error.message}`);
+        } finally {
+            this.isUpdating = false;
+        }
+    }
+
+    // Newest-first pages of closed events
+    async trackRecentResolved(maxPages, priority = 'bulk') {
+        const { pageSize } = this.resolvedSync;
+
+        for (let page = 0; page < maxPages; page++) {
+            const events = await this.fetchEvents({
+                limit: pageSize,
+                offset: page * pageSize,
+                params: { closed: 'true', order: 'closedTime', ascending: 'false' },
+                priority
+            });
+
+            for (const event of events || []) {
+                if (!event.markets) continue;
+
+                const eventData = this.parseEventData(event);
+                if (eventData.status !== 'resolved') continue;
+
+                this.events.resolved.set(eventData.id, eventData);
+                this.events.active.delete(eventData.id);
+                this.indexEvent(eventData, 'resolved');
+            }
+
+            if (!events || events.length < pageSize) break;
         }
     }
 
@@ -459,19 +924,59 @@ class PolymarketTracker {
         this.log(`   Last Update: ${this.events.lastUpdate}`);
     }
 
-    getTopMarkets(type = 'active', limit = 10) {
-        const events = type === 'active' ? this.events.active : this.events.resolved;
-        return Array.from(events.values())
-            .sort((a, b) => b.totalVolume - a.totalVolume)
-            .slice(0, limit);
+    async getTopMarkets(type = 'active', limit = 10, offset = 0, filters = {}) {
+        const { events } = await this.queryEvents({ ...filters, collection: type, limit, offset });
+        return events;
     }
 
-    getMultiOutcomeMarkets(type = 'active', limit = 10) {
-        const events = type === 'active' ? this.events.active : this.events.resolved;
-        return Array.from(events.values())
-            .filter(e => e.multiOutcomeMarketsCount > 0)
-            .sort((a, b) => b.totalVolume - a.totalVolume)
-            .slice(0, limit);
+    async getMultiOutcomeMarkets(type = 'active', limit = 10, offset = 0, filters = {}) {
+        const { events } = await this.queryEvents({ ...filters, collection: type, multiOutcome: true, limit, offset });
+        return events;
+    }
+
+    // Parses list-route query parameters, runs the query and wraps the page in the shared envelope
+    async listEvents(query = {}, defaults = {}) {
+        const options = parseListQuery(query, { ...defaults, ...this.getTagFilters(query) });
+        const result = await this.queryEvents(options);
+        return listEnvelope(options, result);
+    }
+
+    // `tag` / `excludeTag` query values (comma-separated slugs, labels or IDs) as storage filters
+    getTagFilters(query = {}) {
+        const split = (value) => (Array.isArray(value) ? value.join(',') : value || '').split(',').filter(Boolean);
+        return {
+            tags: this.tags.resolve(split(query.tag)),
+            excludeTags: this.tags.resolve(split(query.excludeTag))
+        };
+    }
+
+    // Tag keys of a tracked event, as used by TagIndex and the tag filters
+    getEventTagKeys(eventId) {
+        const eventData = this.events.active.get(eventId) || this.events.resolved.get(eventId);
+        return eventData ? TagIndex.eventTags(eventData).map(tag => tag.key) : [];
+    }
+
+    // Keeps the search index in step with an ingested event
+    indexEvent(eventData, collection) {
+        if (collection === 'resolved' && !this.searchIncludeResolved) {
+            this.search.removeEvent(eventData.id);
+        } else {
+            this.search.upsertEvent(eventData, collection);
+        }
+    }
+
+    async searchEvents(q, options = {}) {
+        await this.ready;
+        return this.search.search(q, options);
+    }
+
+    async getTags(options = {}) {
+        await this.ready;
+        return {
+            count: this.tags.size,
+            updatedAt: this.tags.updatedAt,
+            tags: this.tags.list(options)
+        };
     }
 
     startScheduler() {
@@ -489,8 +994,8 @@ class PolymarketTracker {
         this.performFullUpdate();
     }
 
-    async exportData() {
-        const exportData = {
+    getExportData() {
+        return {
             active: Array.from(this.events.active.values()),
             resolved: Array.from(this.events.resolved.values()),
             stats: {
@@ -499,9 +1004,11 @@ class PolymarketTracker {
                 lastUpdate: this.events.lastUpdate
             }
         };
+    }
 
+    async exportData() {
         const exportFile = path.join(this.dataDir, `export_${Date.now()}.json`);
-        await fs.writeJson(exportFile, exportData, { spaces: 2 });
+        await fs.writeJson(exportFile, this.getExportData(), { spaces: 2 });
         this.log(`Data exported to: ${exportFile}`);
         return exportFile;
     }
@@ -517,133 +1024,372 @@ class PolymarketTracker {
     }
 
     connectWebSocket() {
+        this.reconnectTimer = null;
+        if (this.wsStopped) return;
+
+        let socket;
         try {
-            this.websocket = new WebSocket(this.wsUrl);
+            socket = new WebSocket(this.wsUrl);
+        } catch (error) {
+            this.log(`Failed to create WebSocket connection: ${error.message}`);
+            this.wsStats.lastError = error.message;
+            this.scheduleReconnect();
+            return;
+        }
+        this.websocket = socket;
 
-            this.websocket.on('open', () => {
-                this.log('✅ WebSocket connected to Polymarket real-time feed');
-                this.wsReconnectAttempts = 0;
+        socket.on('open', () => {
+            this.log('✅ WebSocket connected to Polymarket real-time feed');
+            this.wsStats.connectedAt = new Date().toISOString();
+            this.wsStats.lastMessageAt = Date.now();
+            this.wsStats.lastPongAt = Date.now();
 
-                const subscriptionMessage = {
-                    auth: {},
-                    channel: 'market',
-                    types: ['price_change', 'last_trade_price', 'book']
-                };
+            // Fresh connection: replay the whole tracked token set; the server
+            // answers each subscription with a new book snapshot
+            this.orderBooks.clear();
+            this.subscriptions.attach(socket);
+            this.log(`📡 Subscribed to market channel for ${this.subscriptions.status().subscribed} tracked tokens`);
 
-                this.websocket.send(JSON.stringify(subscriptionMessage));
-                this.log('📡 Subscribed to market channel for real-time updates');
-            });
+            this.startHeartbeat(socket);
+        });
 
-            this.websocket.on('message', (data) => {
-                try {
-                    const message = JSON.parse(data.toString());
-                    this.handleWebSocketMessage(message);
-                } catch (error) {
-                    this.log(`Error parsing WebSocket message: ${error.message}`);
+        socket.on('pong', () => {
+            this.wsStats.lastPongAt = Date.now();
+        });
+
+        socket.on('message', (data) => {
+            const text = data.toString();
+            if (text === 'PONG') {
+                this.wsStats.lastPongAt = Date.now();
+                return;
+            }
+            if (this.recorder) this.recorder.recordWsFrame(text);
+
+            this.wsStats.lastMessageAt = Date.now();
+            // Only a connection that actually delivers data resets the backoff
+            this.wsReconnectAttempts = 0;
+
+            try {
+                const message = JSON.parse(text);
+                this.handleWebSocketMessage(message);
+            } catch (error) {
+                this.log(`Error parsing WebSocket message: ${error.message}`);
+            }
+        });
+
+        // 'error' is always followed by 'close', so 'close' is the single reconnect path
+        socket.on('error', (error) => {
+            this.log(`❌ WebSocket error: ${error.message}`);
+            this.wsStats.lastError = error.message;
+        });
+
+        socket.on('close', (code, reason) => {
+            if (socket !== this.websocket) return;
+
+            this.log(`🔌 WebSocket disconnected: ${code} - ${reason}`);
+            this.stopHeartbeat();
+            this.subscriptions.detach();
+            this.websocket = null;
+            this.scheduleReconnect();
+        });
+    }
+
+    // Ping every heartbeat interval; a missing pong or a feed that has gone quiet
+    // for longer than the stale timeout gets the socket terminated (and reconnected)
+    startHeartbeat(socket) {
+        this.stopHeartbeat();
+
+        this.heartbeatTimer = setInterval(() => {
+            const now = Date.now();
+
+            if (now - this.wsStats.lastPongAt > this.heartbeatInterval * 3) {
+                this.log('💀 WebSocket heartbeat missed - terminating connection');
+                socket.terminate();
+                return;
+            }
+
+            if (this.subscriptions.status().subscribed > 0 && now - this.wsStats.lastMessageAt > this.staleFeedTimeout) {
+                this.log(`💀 No WebSocket data for ${((now - this.wsStats.lastMessageAt) / 1000).toFixed(1)}s - terminating stale connection`);
+                socket.terminate();
+                return;
+            }
+
+            try {
+                socket.ping();
+                socket.send('PING');
+            } catch (error) {
+                this.log(`Error sending WebSocket heartbeat: ${error.message}`);
+            }
+        }, this.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    // Index from CLOB token ID to the tracked event, market and outcome it prices.
+    // Event objects are replaced wholesale by a sync, so each replaced event is re-indexed
+    // right away (feed updates must land on the object in events.active) and the whole
+    // index is rebuilt once a sync is done to drop tokens that went away.
+    rebuildTokenIndex() {
+        const index = new Map();
+
+        for (const eventData of this.events.active.values()) {
+            this.indexEventTokens(eventData, index);
+        }
+
+        this.tokenIndex = index;
+        this.log(`Token index rebuilt: ${index.size} outcome tokens`);
+        return index;
+    }
+
+    indexEventTokens(eventData, index = this.tokenIndex) {
+        for (const market of eventData.markets || []) {
+            (market.outcomes || []).forEach((outcome, outcomeIndex) => {
+                if (outcome.tokenId) {
+                    index.set(String(outcome.tokenId), { eventId: eventData.id, event: eventData, market, outcome, outcomeIndex });
                 }
             });
+        }
+    }
 
-            this.websocket.on('close', (code, reason) => {
-                this.log(`🔌 WebSocket disconnected: ${code} - ${reason}`);
-                this.scheduleReconnect();
-            });
+    selectLiveEvents() {
+        const events = Array.from(this.events.active.values());
+        const { mode, topN, watchlist } = this.liveFeed;
 
-            this.websocket.on('error', (error) => {
-                this.log(`❌ WebSocket error: ${error.message}`);
-                this.scheduleReconnect();
-            });
+        if (mode === 'top') {
+            return events.sort((a, b) => b.totalVolume - a.totalVolume).slice(0, topN);
+        }
+        if (mode === 'watchlist') {
+            return events.filter(e => watchlist.has(String(e.id)) || watchlist.has(e.slug));
+        }
+        return events;
+    }
 
-        } catch (error) {
-            this.log(`Failed to create WebSocket connection: ${error.message}`);
-            this.scheduleReconnect();
+    // Token IDs of every unresolved market in the live-feed selection
+    selectLiveTokens() {
+        const tokens = [];
+        for (const eventData of this.selectLiveEvents()) {
+            for (const market of eventData.markets || []) {
+                if (market.status === 'resolved') continue;
+                for (const outcome of market.outcomes || []) {
+                    if (outcome.tokenId) tokens.push(outcome.tokenId);
+                }
+            }
         }
+        return tokens;
+    }
+
+    updateSubscriptions() {
+        const tokens = this.selectLiveTokens();
+        this.orderBooks.retain(tokens);
+        return this.subscriptions.setDesired(tokens);
+    }
+
+    getOrderBook(tokenId, options = {}) {
+        const book = this.orderBooks.get(tokenId);
+        if (!book) return null;
+
+        const entry = this.lookupToken(tokenId);
+        return {
+            ...book.summary(options),
+            eventId: entry?.eventId || null,
+            marketId: entry?.market.id || null,
+            outcome: entry?.outcome.outcome || null
+        };
+    }
+
+    // Adds live spread/mid from the order book of each market's first outcome token
+    withQuotes(events) {
+        return events.map(eventData => ({
+            ...eventData,
+            markets: (eventData.markets || []).map(market => {
+                const tokenId = market.outcomes?.[0]?.tokenId;
+                const book = tokenId ? this.orderBooks.get(tokenId) : null;
+                return {
+                    ...market,
+                    spread: book ? book.spread() : null,
+                    mid: book ? book.mid() : null
+                };
+            })
+        }));
+    }
+
+    lookupToken(tokenId) {
+        return this.tokenIndex.get(String(tokenId)) || null;
     }
 
+    // The CLOB feed sends either a single message, an array of messages, or the
+    // older { channel, data } envelope.
     handleWebSocketMessage(message) {
-        if (message.channel === 'market' && message.data) {
-            const { asset_id, event_type, price, status } = message.data;
+        if (Array.isArray(message)) {
+            message.forEach(item => this.handleWebSocketMessage(item));
+            return;
+        }
 
-            if (event_type === 'price_change' || event_type === 'last_trade_price') {
-                this.updateMarketPrice(asset_id, price);
-            }
+        const data = message.channel === 'market' && message.data ? message.data : message;
+        const { asset_id, event_type, price, status } = data;
+        // Books are keyed by token; a message without one would create a book for "undefined"
+        const hasAsset = (id) => id !== undefined && id !== null && id !== '';
 
-            if (status && (status === 'resolved' || status === 'closed')) {
-                this.handleMarketResolution(asset_id, message.data);
+        if (event_type === 'book' && hasAsset(asset_id)) {
+            const book = this.orderBooks.applySnapshot(asset_id, data);
+            if (book.mid() !== null) {
+                this.updateMarketPrice(asset_id, book.mid());
+            }
+        } else if (event_type === 'last_trade_price') {
+            this.updateMarketPrice(asset_id, price);
+        } else if (event_type === 'price_change') {
+            if (Array.isArray(data.price_changes)) {
+                for (const change of data.price_changes) {
+                    if (!hasAsset(change.asset_id)) continue;
+                    const book = this.orderBooks.applyChange(change.asset_id, { ...change, timestamp: data.timestamp });
+                    this.updateMarketPrice(change.asset_id, book.mid() ?? this.quotePrice(change));
+                }
+            } else if (Array.isArray(data.changes) && hasAsset(asset_id)) {
+                // Older feed format: level changes for a single asset
+                let book = null;
+                for (const change of data.changes) {
+                    book = this.orderBooks.applyChange(asset_id, { ...change, timestamp: data.timestamp });
+                }
+                if (book && book.mid() !== null) {
+                    this.updateMarketPrice(asset_id, book.mid());
+                }
+            } else {
+                this.updateMarketPrice(asset_id, this.quotePrice(data));
             }
         }
+
+        if (event_type === 'market_resolved') {
+            this.handleMarketResolution(data.winning_asset_id || asset_id, data);
+        } else if (status && (status === 'resolved' || status === 'closed')) {
+            this.handleMarketResolution(asset_id, data);
+        }
     }
 
-    updateMarketPrice(marketId, price) {
-        for (const [eventId, eventData] of this.events.active) {
-            const market = eventData.markets.find(m => m.id === marketId);
-            if (market) {
-                const oldPrice = market.price || 0;
-                market.price = parseFloat(price);
-                
-                this.log(`💹 Market price update: ${market.question} - ${oldPrice} → ${price}`);
-                
-                this.notifyRealtimeUpdate({
-                    type: 'price_update',
-                    eventId,
-                    marketId,
-                    price: parseFloat(price),
-                    oldPrice,
-                    timestamp: new Date().toISOString()
-                });
-                break;
-            }
+    // Midpoint of the best quotes when the feed sends them, otherwise the reported price
+    quotePrice(change) {
+        const bid = parseFloat(change.best_bid);
+        const ask = parseFloat(change.best_ask);
+        if (!isNaN(bid) && !isNaN(ask) && bid > 0 && ask > 0) {
+            return (bid + ask) / 2;
         }
+        return change.price;
     }
 
-    async handleMarketResolution(marketId, data) {
-        for (const [eventId, eventData] of this.events.active) {
-            const marketIndex = eventData.markets.findIndex(m => m.id === marketId);
-            if (marketIndex !== -1) {
-                const market = eventData.markets[marketIndex];
-                
-                this.log(`🔴 REAL-TIME MARKET RESOLVED: ${market.question}`);
-                
-                market.status = 'resolved';
-                market.resolvedAt = new Date().toISOString();
-                
-                eventData.resolvedMarketsCount++;
-                eventData.activeMarketsCount--;
-                
-                this.notifyRealtimeUpdate({
-                    type: 'market_resolved',
-                    eventId,
-                    marketId,
-                    market: market,
-                    eventData: {
-                        title: eventData.title,
-                        activeMarketsCount: eventData.activeMarketsCount,
-                        resolvedMarketsCount: eventData.resolvedMarketsCount
-                    },
-                    timestamp: new Date().toISOString()
-                });
+    updateMarketPrice(tokenId, price) {
+        const entry = tokenId !== undefined && tokenId !== null ? this.lookupToken(tokenId) : null;
+        const newPrice = parseFloat(price);
+        if (!entry || isNaN(newPrice)) return;
 
-                await this.saveData();
-                break;
+        const { eventId, market, outcome, outcomeIndex } = entry;
+        const oldPrice = outcome.price || 0;
+        if (oldPrice === newPrice) return;
+
+        outcome.price = newPrice;
+        
+        this.log(`💹 Price update: ${market.question} [${outcome.outcome}] - ${oldPrice} → ${newPrice}`);
+        
+        this.history.recordPrice({
+            eventId,
+            marketId: market.id,
+            outcome: outcome.outcome,
+            tokenId: outcome.tokenId,
+            price: newPrice,
+            volume: market.volumeUSD || market.volume,
+            liquidity: market.liquidity
+        });
+        
+        this.notifyRealtimeUpdate({
+            type: 'price_update',
+            eventId,
+            marketId: market.id,
+            tokenId: outcome.tokenId,
+            outcome: outcome.outcome,
+            outcomeIndex,
+            price: newPrice,
+            oldPrice,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    async handleMarketResolution(tokenId, data) {
+        const entry = this.lookupToken(tokenId);
+        if (!entry || entry.market.status === 'resolved') return;
+
+        const { event: eventData, market } = entry;
+        
+        this.log(`🔴 REAL-TIME MARKET RESOLVED: ${market.question}`);
+        
+        market.status = 'resolved';
+        market.resolvedAt = new Date().toISOString();
+        
+        // market_resolved messages name the winning token directly
+        if (data.winning_asset_id) {
+            for (const outcome of market.outcomes) {
+                outcome.winner = String(outcome.tokenId) === String(data.winning_asset_id);
             }
+            market.winningOutcome = market.outcomes.find(o => o.winner)?.outcome || data.winning_outcome || null;
+        }
+        
+        eventData.resolvedMarketsCount++;
+        eventData.activeMarketsCount--;
+        this.rememberResolution(market);
+        
+        this.announceResolution(eventData, market, 'websocket');
+        this.updateSubscriptions();
+
+        // Called without await from the WebSocket handler, so storage errors stop here
+        try {
+            await this.storage.saveEvent(eventData, 'active');
+        } catch (error) {
+            this.log(`Error saving resolved market ${market.id}: ${error.message}`);
         }
     }
 
+    // Same market_resolved payload whether the resolution came from the WebSocket feed or a sync
+    announceResolution(eventData, market, source) {
+        this.notifyRealtimeUpdate({
+            type: 'market_resolved',
+            source,
+            eventId: eventData.id,
+            marketId: market.id,
+            market: market,
+            eventData: {
+                title: eventData.title,
+                activeMarketsCount: eventData.activeMarketsCount,
+                resolvedMarketsCount: eventData.resolvedMarketsCount
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Capped exponential backoff with jitter; never gives up
     scheduleReconnect() {
-        if (this.wsReconnectAttempts >= this.maxReconnectAttempts) {
-            this.log(`❌ Max WebSocket reconnection attempts (${this.maxReconnectAttempts}) reached. Giving up.`);
-            return;
-        }
+        if (this.wsStopped || this.reconnectTimer) return;
 
         this.wsReconnectAttempts++;
-        const delay = this.reconnectDelay * Math.pow(2, this.wsReconnectAttempts - 1);
+        this.wsStats.reconnects++;
+        const ceiling = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, this.wsReconnectAttempts - 1));
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
         
-        this.log(`🔄 Reconnecting WebSocket in ${delay}ms (attempt ${this.wsReconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.log(`🔄 Reconnecting WebSocket in ${delay}ms (attempt ${this.wsReconnectAttempts})`);
         
-        setTimeout(() => {
+        this.reconnectTimer = setTimeout(() => {
             this.connectWebSocket();
         }, delay);
     }
 
+    getWebSocketState() {
+        const states = ['connecting', 'open', 'closing', 'closed'];
+        if (!this.enableRealtime) return 'disabled';
+        if (this.websocket) return states[this.websocket.readyState];
+        return this.reconnectTimer ? 'reconnecting' : 'closed';
+    }
+
     addRealtimeCallback(callback) {
         this.realtimeCallbacks.add(callback);
     }
@@ -652,6 +1398,21 @@ class PolymarketTracker {
         this.realtimeCallbacks.delete(callback);
     }
 
+    // Called with each resolved event the resolved sync sees for the first time
+    addResolvedSyncCallback(callback) {
+        this.resolvedSyncCallbacks.add(callback);
+    }
+
+    notifyResolvedSync(eventData) {
+        for (const callback of this.resolvedSyncCallbacks) {
+            try {
+                callback(eventData);
+            } catch (error) {
+                this.log(`Error in resolved sync callback: ${error.message}`);
+            }
+        }
+    }
+
     notifyRealtimeUpdate(data) {
         for (const callback of this.realtimeCallbacks) {
             try {
@@ -670,10 +1431,72 @@ class PolymarketTracker {
         }
     }
 
+    async getMarketHistory(marketId, options = {}) {
+        return this.history.query(marketId, options);
+    }
+
+    async getHealth() {
+        const now = Date.now();
+        const websocket = {
+            enabled: this.enableRealtime,
+            state: this.getWebSocketState(),
+            connectedAt: this.wsStats.connectedAt,
+            lastMessageAt: this.wsStats.lastMessageAt ? new Date(this.wsStats.lastMessageAt).toISOString() : null,
+            secondsSinceLastMessage: this.wsStats.lastMessageAt ? Math.round((now - this.wsStats.lastMessageAt) / 1000) : null,
+            reconnectAttempts: this.wsReconnectAttempts,
+            totalReconnects: this.wsStats.reconnects,
+            lastError: this.wsStats.lastError,
+            subscriptions: this.subscriptions.status(),
+            orderBooks: this.orderBooks.size
+        };
+
+        let storage;
+        try {
+            await this.ready;
+            await this.storage.ping();
+            storage = { ok: true, ...this.storage.describe() };
+        } catch (error) {
+            storage = { ok: false, error: error.message };
+        }
+
+        const sync = {
+            inProgress: this.isUpdating,
+            lastSuccessfulSync: this.lastSync.completedAt,
+            lastDurationSeconds: this.lastSync.durationSeconds,
+            lastError: this.lastSync.error
+        };
+
+        let status = 'ok';
+        if (!storage.ok) {
+            status = 'down';
+        } else if ((this.enableRealtime && websocket.state !== 'open') || sync.lastError) {
+            status = 'degraded';
+        }
+
+        return {
+            status,
+            timestamp: new Date(now).toISOString(),
+            uptimeSeconds: Math.round(process.uptime()),
+            websocket,
+            sync,
+            requestQueue: this.scheduler.getStats(),
+            storage,
+            recording: this.recorder ? this.recorder.status() : null
+        };
+    }
+
     stopRealTimeTracking() {
+        this.wsStopped = true;
+        this.stopHeartbeat();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
         if (this.websocket) {
-            this.websocket.close();
+            const socket = this.websocket;
             this.websocket = null;
+            socket.close();
+            this.subscriptions.detach();
             this.log('🔌 WebSocket connection closed');
         }
     }
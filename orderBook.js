@@ -0,0 +1,165 @@
+// In-memory order books for CLOB tokens, fed by `book` snapshots and `price_change` level updates.
+// Prices and sizes arrive as strings; levels are keyed by the normalized number so "0.5" and
+// "0.50" update the same level.
+class OrderBook {
+    constructor(tokenId) {
+        this.tokenId = tokenId;
+        this.bids = new Map();
+        this.asks = new Map();
+        this.updatedAt = null;
+        this.hash = null;
+    }
+
+    applySnapshot(snapshot) {
+        this.bids.clear();
+        this.asks.clear();
+
+        for (const level of snapshot.bids || snapshot.buys || []) {
+            this.setLevel('BUY', level.price, level.size);
+        }
+        for (const level of snapshot.asks || snapshot.sells || []) {
+            this.setLevel('SELL', level.price, level.size);
+        }
+
+        this.touch(snapshot);
+    }
+
+    applyChange(change) {
+        this.setLevel(change.side, change.price, change.size);
+        this.touch(change);
+    }
+
+    setLevel(side, price, size) {
+        const levels = String(side).toUpperCase() === 'BUY' ? this.bids : this.asks;
+        const value = Number(price);
+        if (price === null || price === '' || !Number.isFinite(value)) return;
+        const key = String(value);
+
+        if (parseFloat(size) > 0) {
+            levels.set(key, parseFloat(size));
+        } else {
+            levels.delete(key);
+        }
+    }
+
+    touch(message) {
+        this.updatedAt = message.timestamp ? new Date(parseInt(message.timestamp)).toISOString() : new Date().toISOString();
+        if (message.hash) this.hash = message.hash;
+    }
+
+    // Sorted [{ price, size }] levels, best first
+    sortedLevels(side) {
+        const levels = Array.from(side === 'bids' ? this.bids : this.asks, ([price, size]) => ({ price: parseFloat(price), size }));
+        return levels.sort((a, b) => side === 'bids' ? b.price - a.price : a.price - b.price);
+    }
+
+    bestBid() {
+        const levels = this.sortedLevels('bids');
+        return levels.length > 0 ? levels[0].price : null;
+    }
+
+    bestAsk() {
+        const levels = this.sortedLevels('asks');
+        return levels.length > 0 ? levels[0].price : null;
+    }
+
+    spread() {
+        const bid = this.bestBid();
+        const ask = this.bestAsk();
+        return bid !== null && ask !== null ? round(ask - bid) : null;
+    }
+
+    mid() {
+        const bid = this.bestBid();
+        const ask = this.bestAsk();
+        return bid !== null && ask !== null ? round((bid + ask) / 2) : null;
+    }
+
+    // Total size resting within `cents` of the mid price on each side
+    depthWithin(cents) {
+        const mid = this.mid();
+        if (mid === null) return { cents, bids: 0, asks: 0, bidsNotional: 0, asksNotional: 0 };
+
+        const range = cents / 100;
+        const bids = this.sortedLevels('bids').filter(l => mid - l.price <= range + 1e-9);
+        const asks = this.sortedLevels('asks').filter(l => l.price - mid <= range + 1e-9);
+
+        return {
+            cents,
+            bids: round(bids.reduce((sum, l) => sum + l.size, 0)),
+            asks: round(asks.reduce((sum, l) => sum + l.size, 0)),
+            bidsNotional: round(bids.reduce((sum, l) => sum + l.size * l.price, 0)),
+            asksNotional: round(asks.reduce((sum, l) => sum + l.size * l.price, 0))
+        };
+    }
+
+    summary(options = {}) {
+        const depth = options.depth || 10;
+
+        return {
+            tokenId: this.tokenId,
+            bestBid: this.bestBid(),
+            bestAsk: this.bestAsk(),
+            spread: this.spread(),
+            mid: this.mid(),
+            bids: this.sortedLevels('bids').slice(0, depth),
+            asks: this.sortedLevels('asks').slice(0, depth),
+            depthWithin: this.depthWithin(options.cents || 5),
+            levels: { bids: this.bids.size, asks: this.asks.size },
+            updatedAt: this.updatedAt,
+            hash: this.hash
+        };
+    }
+}
+
+class OrderBookStore {
+    constructor() {
+        this.books = new Map();
+    }
+
+    get(tokenId) {
+        return this.books.get(String(tokenId)) || null;
+    }
+
+    getOrCreate(tokenId) {
+        const key = String(tokenId);
+        if (!this.books.has(key)) {
+            this.books.set(key, new OrderBook(key));
+        }
+        return this.books.get(key);
+    }
+
+    applySnapshot(tokenId, snapshot) {
+        const book = this.getOrCreate(tokenId);
+        book.applySnapshot(snapshot);
+        return book;
+    }
+
+    applyChange(tokenId, change) {
+        const book = this.getOrCreate(tokenId);
+        book.applyChange(change);
+        return book;
+    }
+
+    // Drop books for tokens we no longer subscribe to
+    retain(tokenIds) {
+        const keep = new Set(Array.from(tokenIds, String));
+        for (const tokenId of this.books.keys()) {
+            if (!keep.has(tokenId)) this.books.delete(tokenId);
+        }
+    }
+
+    clear() {
+        this.books.clear();
+    }
+
+    get size() {
+        return this.books.size;
+    }
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = { OrderBook, OrderBookStore };
@@ -0,0 +1,263 @@
+const http = require('http');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// Local stand-in for the Gamma API and the CLOB market WebSocket that serves a
+// fixture written with RECORD_DIR. HTTP requests are matched by path and query
+// and answered in recorded order (the last response repeats); WebSocket frames
+// are streamed with their recorded spacing, divided by `speed`, starting when the
+// client sends its first subscription.
+class ReplayServer {
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.port = options.port ?? 4100;
+        this.speed = ReplayServer.parseSpeed(options.speed);
+        this.log = options.log || console.log;
+
+        this.responses = new Map();
+        this.frames = [];
+        this.cursor = 0;
+        this.streamSocket = null;
+        this.streamTimer = null;
+        this.stats = { requests: 0, unmatched: 0, framesSent: 0 };
+    }
+
+    // "max" (or 0) replays without any delays
+    static parseSpeed(value) {
+        if (value === undefined || value === null || value === '') return 1;
+        if (value === 'max' || Number(value) === 0) return Infinity;
+
+        const speed = parseFloat(value);
+        if (isNaN(speed) || speed < 0) {
+            throw new Error(`Invalid replay speed "${value}" (expected a positive number or "max")`);
+        }
+        return speed;
+    }
+
+    // Path plus sorted query string, so parameter order does not matter
+    static requestKey(rawUrl) {
+        const parsed = new URL(rawUrl, 'http://replay.local');
+        const params = Array.from(parsed.searchParams.entries())
+            .sort(([a, av], [b, bv]) => a === b ? (av < bv ? -1 : av > bv ? 1 : 0) : (a < b ? -1 : 1));
+        return `${parsed.pathname}?${new URLSearchParams(params)}`;
+    }
+
+    async load() {
+        const httpFile = path.join(this.dir, 'http.jsonl');
+        const wsFile = path.join(this.dir, 'ws.jsonl');
+
+        if (!await fs.pathExists(httpFile) && !await fs.pathExists(wsFile)) {
+            throw new Error(`No recording found in ${this.dir} (expected http.jsonl and/or ws.jsonl)`);
+        }
+
+        for (const entry of await this.readEntries(httpFile)) {
+            const key = ReplayServer.requestKey(entry.url);
+            if (!this.responses.has(key)) {
+                this.responses.set(key, { entries: [], next: 0 });
+            }
+            this.responses.get(key).entries.push(entry);
+        }
+
+        this.frames = await this.readEntries(wsFile);
+        this.frames.sort((a, b) => a.t - b.t);
+
+        const requests = Array.from(this.responses.values()).reduce((sum, r) => sum + r.entries.length, 0);
+        this.log(`📼 Loaded ${requests} HTTP responses (${this.responses.size} distinct requests) and ${this.frames.length} WebSocket frames from ${this.dir}`);
+    }
+
+    async readEntries(file) {
+        if (!await fs.pathExists(file)) return [];
+
+        const content = await fs.readFile(file, 'utf8');
+        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    delay(ms) {
+        return this.speed === Infinity ? 0 : Math.max(0, Math.round(ms / this.speed));
+    }
+
+    async start() {
+        await this.load();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss.on('connection', (socket) => this.handleConnection(socket));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, '127.0.0.1', () => {
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+
+        this.log(`📼 Replay server listening on ${this.httpUrl()} (speed: ${this.speed === Infinity ? 'max' : `${this.speed}x`})`);
+    }
+
+    httpUrl() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    wsUrl() {
+        return `ws://127.0.0.1:${this.port}/ws/market`;
+    }
+
+    handleRequest(req, res) {
+        const key = ReplayServer.requestKey(req.url);
+        const recorded = this.responses.get(key);
+        this.stats.requests++;
+
+        if (!recorded) {
+            this.stats.unmatched++;
+            this.log(`📼 No recorded response for ${key}`);
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'No recorded response', request: key }));
+            return;
+        }
+
+        const entry = recorded.entries[Math.min(recorded.next, recorded.entries.length - 1)];
+        recorded.next++;
+
+        setTimeout(() => {
+            // Recorded network failures are replayed as dropped connections
+            if (!entry.status) {
+                req.socket.destroy();
+                return;
+            }
+            res.writeHead(entry.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(entry.data));
+        }, this.delay(entry.latency || 0));
+    }
+
+    handleConnection(socket) {
+        this.log('📼 WebSocket client connected');
+
+        socket.on('message', (data) => {
+            const text = data.toString();
+            if (text === 'PING') {
+                socket.send('PONG');
+                return;
+            }
+            if (this.streamSocket !== socket) {
+                this.startStream(socket);
+            }
+        });
+
+        socket.on('close', () => {
+            if (this.streamSocket === socket) {
+                this.stopStream();
+            }
+        });
+    }
+
+    // Frames continue from where the previous connection left off
+    startStream(socket) {
+        this.stopStream();
+        if (this.cursor >= this.frames.length) return;
+
+        this.streamSocket = socket;
+        this.streamBase = Date.now();
+        this.streamOffset = this.frames[this.cursor].t;
+        this.log(`📼 Streaming WebSocket frames from #${this.cursor} of ${this.frames.length}`);
+        this.scheduleFrame();
+    }
+
+    stopStream() {
+        if (this.streamTimer) {
+            clearTimeout(this.streamTimer);
+            this.streamTimer = null;
+        }
+        this.streamSocket = null;
+    }
+
+    scheduleFrame() {
+        if (this.cursor >= this.frames.length) {
+            this.log(`📼 Replay finished: ${this.stats.framesSent} frames sent, ${this.stats.requests} HTTP requests served`);
+            this.streamTimer = null;
+            return;
+        }
+
+        const frame = this.frames[this.cursor];
+        const due = this.streamBase + this.delay(frame.t - this.streamOffset);
+
+        this.streamTimer = setTimeout(() => {
+            if (!this.streamSocket || this.streamSocket.readyState !== WebSocket.OPEN) return;
+
+            this.streamSocket.send(frame.data);
+            this.stats.framesSent++;
+            this.cursor++;
+            this.scheduleFrame();
+        }, Math.max(0, due - Date.now()));
+    }
+
+    async stop() {
+        this.stopStream();
+        if (this.wss) {
+            this.wss.clients.forEach(client => client.terminate());
+            this.wss.close();
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
+    }
+}
+
+function parseArgs(argv) {
+    const args = { dir: null, speed: process.env.REPLAY_SPEED, port: process.env.REPLAY_PORT, serverOnly: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--speed') args.speed = argv[++i];
+        else if (argv[i] === '--port') args.port = argv[++i];
+        else if (argv[i] === '--server-only') args.serverOnly = true;
+        else args.dir = argv[i];
+    }
+    args.dir = args.dir || process.env.REPLAY_DIR;
+    return args;
+}
+
+// node replayServer.js <fixtureDir> [--speed 10|max] [--port 4100] [--server-only]
+// Starts the stand-in server and, unless --server-only, the full app pointed at it
+// with in-memory storage and a throwaway data directory.
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.dir) {
+        console.error('Usage: node replayServer.js <fixtureDir> [--speed <n>|max] [--port <n>] [--server-only]');
+        process.exit(1);
+    }
+
+    const server = new ReplayServer({
+        dir: args.dir,
+        speed: args.speed,
+        port: args.port !== undefined ? parseInt(args.port) : undefined
+    });
+    await server.start();
+
+    if (args.serverOnly) {
+        console.log(`   MARKETS_API_URL=${server.httpUrl()}`);
+        console.log(`   WEBSOCKET_URL=${server.wsUrl()}`);
+        return;
+    }
+
+    // Set before the tracker loads .env so the replay targets win
+    process.env.MARKETS_API_URL = server.httpUrl();
+    process.env.WEBSOCKET_URL = server.wsUrl();
+    process.env.ENABLE_REALTIME = 'true';
+    process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+    process.env.DATA_DIR = process.env.DATA_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'polymarket-replay-'));
+    delete process.env.RECORD_DIR;
+
+    const { PolymarketApp } = require('./index');
+    const app = new PolymarketApp();
+    await app.start();
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Replay failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = ReplayServer;
@@ -0,0 +1,236 @@
+const axios = require('axios');
+
+const PRIORITIES = ['interactive', 'normal', 'bulk'];
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+// Token-bucket HTTP scheduler for the Gamma API. Requests wait in one of three
+// priority lanes, run up to `concurrency` at a time, and are only started when the
+// bucket (limit requests per window) has a token left.
+class RequestScheduler {
+    constructor(options = {}) {
+        this.limit = options.limit || 750;
+        this.window = options.window || 10000;
+        this.concurrency = options.concurrency || 4;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelay = options.baseDelay || 500;
+        this.maxDelay = options.maxDelay || 30000;
+        this.timeout = options.timeout || 30000;
+        this.log = options.log || console.log;
+        this.httpGet = options.httpGet || ((url) => axios.get(url, {
+            timeout: this.timeout,
+            headers: {
+                'User-Agent': 'PolymarketTracker/1.0',
+                'Accept': 'application/json'
+            }
+        }));
+
+        this.tokens = this.limit;
+        this.lastRefill = Date.now();
+        this.lanes = new Map(PRIORITIES.map(priority => [priority, []]));
+        this.running = 0;
+        this.wakeTimer = null;
+        this.pausedUntil = 0;
+
+        this.endpoints = new Map();
+    }
+
+    request(url, options = {}) {
+        const priority = PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+
+        return new Promise((resolve, reject) => {
+            this.lanes.get(priority).push({
+                url,
+                priority,
+                attempt: 0,
+                maxRetries: options.retries ?? this.maxRetries,
+                resolve,
+                reject
+            });
+            this.pump();
+        });
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = now - this.lastRefill;
+        if (elapsed > 0) {
+            this.tokens = Math.min(this.limit, this.tokens + elapsed * this.limit / this.window);
+            this.lastRefill = now;
+        }
+    }
+
+    nextJob() {
+        for (const priority of PRIORITIES) {
+            const lane = this.lanes.get(priority);
+            if (lane.length > 0) return lane.shift();
+        }
+        return null;
+    }
+
+    pump() {
+        while (this.running < this.concurrency && this.queueLength() > 0) {
+            const now = Date.now();
+            if (now < this.pausedUntil) {
+                this.wakeAt(this.pausedUntil - now);
+                return;
+            }
+
+            this.refill();
+            if (this.tokens < 1) {
+                this.wakeAt(Math.ceil((1 - this.tokens) * this.window / this.limit));
+                return;
+            }
+
+            this.tokens -= 1;
+            this.execute(this.nextJob());
+        }
+    }
+
+    wakeAt(delay) {
+        if (this.wakeTimer) return;
+        this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.pump();
+        }, Math.max(delay, 1));
+    }
+
+    async execute(job) {
+        this.running++;
+        const endpoint = this.endpointKey(job.url);
+        const startTime = Date.now();
+
+        try {
+            const response = await this.httpGet(job.url);
+            this.record(endpoint, Date.now() - startTime, null);
+            job.resolve(response.data);
+        } catch (error) {
+            this.record(endpoint, Date.now() - startTime, error);
+
+            const delay = this.retryDelay(error, job.attempt);
+            if (delay !== null && job.attempt < job.maxRetries) {
+                job.attempt++;
+                this.endpoints.get(endpoint).retries++;
+                this.log(`Request to ${endpoint} failed (${this.describeError(error)}), retry ${job.attempt}/${job.maxRetries} in ${delay}ms`);
+
+                // Retry-After applies to the whole API, not just this request
+                if (error.response?.status === 429) {
+                    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+                }
+                setTimeout(() => {
+                    this.lanes.get(job.priority).unshift(job);
+                    this.pump();
+                }, delay);
+            } else {
+                this.log(`Request failed: ${error.message}`);
+                job.reject(error);
+            }
+        } finally {
+            this.running--;
+            this.pump();
+        }
+    }
+
+    // Milliseconds to wait before retrying, or null when the error is not retryable
+    retryDelay(error, attempt) {
+        const status = error.response?.status;
+
+        if (status === 429) {
+            const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+            if (retryAfter !== null) return Math.min(retryAfter, this.maxDelay);
+        } else if (!(status >= 500) && !RETRYABLE_CODES.has(error.code)) {
+            return null;
+        }
+
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const seconds = Number(value);
+        if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    describeError(error) {
+        return error.response?.status ? `HTTP ${error.response.status}` : (error.code || error.message);
+    }
+
+    // Group metrics by path with numeric IDs collapsed, e.g. /events/:id
+    endpointKey(url) {
+        try {
+            return new URL(url).pathname.replace(/\/\d+(?=\/|$)/g, '/:id');
+        } catch (e) {
+            return url;
+        }
+    }
+
+    record(endpoint, latency, error) {
+        if (!this.endpoints.has(endpoint)) {
+            this.endpoints.set(endpoint, {
+                requests: 0,
+                errors: 0,
+                retries: 0,
+                totalLatency: 0,
+                maxLatency: 0,
+                lastLatency: 0,
+                lastError: null,
+                errorsByType: {}
+            });
+        }
+
+        const stats = this.endpoints.get(endpoint);
+        stats.requests++;
+        stats.totalLatency += latency;
+        stats.maxLatency = Math.max(stats.maxLatency, latency);
+        stats.lastLatency = latency;
+
+        if (error) {
+            const type = this.describeError(error);
+            stats.errors++;
+            stats.errorsByType[type] = (stats.errorsByType[type] || 0) + 1;
+            stats.lastError = { type, message: error.message, at: new Date().toISOString() };
+        }
+    }
+
+    queueLength() {
+        let length = 0;
+        for (const lane of this.lanes.values()) length += lane.length;
+        return length;
+    }
+
+    getStats() {
+        this.refill();
+
+        const endpoints = {};
+        for (const [endpoint, stats] of this.endpoints) {
+            endpoints[endpoint] = {
+                requests: stats.requests,
+                errors: stats.errors,
+                retries: stats.retries,
+                avgLatencyMs: stats.requests > 0 ? Math.round(stats.totalLatency / stats.requests) : 0,
+                maxLatencyMs: stats.maxLatency,
+                lastLatencyMs: stats.lastLatency,
+                errorsByType: stats.errorsByType,
+                lastError: stats.lastError
+            };
+        }
+
+        return {
+            length: this.queueLength(),
+            lanes: Object.fromEntries(Array.from(this.lanes, ([priority, lane]) => [priority, lane.length])),
+            running: this.running,
+            concurrency: this.concurrency,
+            tokensAvailable: Math.floor(this.tokens),
+            rateLimit: { limit: this.limit, window: this.window },
+            pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+            endpoints
+        };
+    }
+}
+
+module.exports = RequestScheduler;
+module.exports.PRIORITIES = PRIORITIES;
@@ -0,0 +1,385 @@
+// In-memory inverted index over tracked events and their markets. Events are indexed
+// by title, ticker and description, markets by question and outcome names. Postings
+// keep token positions per field so quoted phrases can be matched, and scoring is
+// BM25 with per-field weights.
+const EVENT_FIELDS = { title: 3, ticker: 2, description: 1 };
+const MARKET_FIELDS = { question: 3, outcomes: 2 };
+const SHORT_FIELDS = new Set(['title', 'ticker', 'question', 'outcomes']);
+
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_PENALTY = 0.7;
+const PHRASE_BOOST = 1.5;
+const SNIPPET_WORDS = 30;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function normalize(token) {
+    return token.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return (String(text || '').match(TOKEN_PATTERN) || []).map(normalize);
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map();
+        this.docs = new Map();
+        this.eventMarkets = new Map();
+        this.fieldTotals = new Map();
+        this.sortedTerms = null;
+    }
+
+    // Splits a query into required clauses: quoted phrases, exact terms and prefix terms.
+    // A trailing `*` makes a term a prefix, and so does the last bare word (search-as-you-type).
+    static parseQuery(q) {
+        const clauses = [];
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(String(q || ''))) !== null) {
+            if (match[1] !== undefined) {
+                const terms = tokenize(match[1]);
+                if (terms.length > 1) clauses.push({ type: 'phrase', terms });
+                else if (terms.length === 1) clauses.push({ type: 'term', term: terms[0] });
+                continue;
+            }
+
+            const prefix = match[2].endsWith('*');
+            for (const term of tokenize(match[2])) {
+                clauses.push({ type: prefix ? 'prefix' : 'term', term });
+            }
+        }
+
+        const last = clauses[clauses.length - 1];
+        if (last && last.type === 'term' && !/["\s]$/.test(String(q))) {
+            last.type = 'prefix';
+        }
+        return clauses;
+    }
+
+    rebuild(events, options = {}) {
+        this.postings.clear();
+        this.docs.clear();
+        this.eventMarkets.clear();
+        this.fieldTotals.clear();
+        this.sortedTerms = null;
+
+        for (const eventData of events.active.values()) {
+            this.upsertEvent(eventData, 'active');
+        }
+        if (options.includeResolved !== false) {
+            for (const eventData of events.resolved.values()) {
+                this.upsertEvent(eventData, 'resolved');
+            }
+        }
+        return this.docs.size;
+    }
+
+    // Re-indexes only documents whose text changed; ranking metadata is always refreshed
+    upsertEvent(eventData, collection = 'active') {
+        const eventId = String(eventData.id);
+        const meta = {
+            eventId,
+            collection,
+            eventTitle: eventData.title || '',
+            slug: eventData.slug || null,
+            volume: eventData.totalVolume || 0
+        };
+
+        this.upsertDoc(`event:${eventId}`, 'event', {
+            title: eventData.title,
+            ticker: eventData.ticker,
+            description: eventData.description
+        }, meta);
+
+        const marketIds = new Set();
+        for (const market of eventData.markets || []) {
+            const marketId = String(market.id);
+            marketIds.add(marketId);
+            this.upsertDoc(`market:${marketId}`, 'market', {
+                question: market.question,
+                outcomes: (market.outcomes || []).map(o => o.outcome).filter(Boolean).join(' / ')
+            }, {
+                ...meta,
+                marketId,
+                status: market.status || null,
+                volume: market.volume || 0
+            });
+        }
+
+        for (const marketId of this.eventMarkets.get(eventId) || []) {
+            if (!marketIds.has(marketId)) this.removeDoc(`market:${marketId}`);
+        }
+        this.eventMarkets.set(eventId, marketIds);
+    }
+
+    removeEvent(eventId) {
+        const id = String(eventId);
+        this.removeDoc(`event:${id}`);
+        for (const marketId of this.eventMarkets.get(id) || []) {
+            this.removeDoc(`market:${marketId}`);
+        }
+        this.eventMarkets.delete(id);
+    }
+
+    upsertDoc(key, type, fields, meta) {
+        const texts = {};
+        for (const [field, text] of Object.entries(fields)) {
+            texts[field] = text ? String(text) : '';
+        }
+        const signature = JSON.stringify(texts);
+
+        const existing = this.docs.get(key);
+        if (existing && existing.signature === signature) {
+            existing.meta = meta;
+            return;
+        }
+        if (existing) this.removeDoc(key);
+
+        const doc = { key, type, texts, signature, meta, lengths: {}, terms: new Set() };
+        for (const [field, text] of Object.entries(texts)) {
+            const tokens = tokenize(text);
+            doc.lengths[field] = tokens.length;
+            this.addFieldTotal(field, tokens.length, 1);
+
+            tokens.forEach((term, position) => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                    this.sortedTerms = null;
+                }
+                const docPostings = this.postings.get(term);
+                if (!docPostings.has(key)) docPostings.set(key, {});
+                const fieldPositions = docPostings.get(key);
+                (fieldPositions[field] = fieldPositions[field] || []).push(position);
+                doc.terms.add(term);
+            });
+        }
+        this.docs.set(key, doc);
+    }
+
+    removeDoc(key) {
+        const doc = this.docs.get(key);
+        if (!doc) return;
+
+        for (const term of doc.terms) {
+            const docPostings = this.postings.get(term);
+            docPostings.delete(key);
+            if (docPostings.size === 0) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        }
+        for (const [field, length] of Object.entries(doc.lengths)) {
+            this.addFieldTotal(field, -length, -1);
+        }
+        this.docs.delete(key);
+    }
+
+    addFieldTotal(field, length, docs) {
+        const totals = this.fieldTotals.get(field) || { length: 0, docs: 0 };
+        totals.length += length;
+        totals.docs += docs;
+        this.fieldTotals.set(field, totals);
+    }
+
+    expandPrefix(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = Array.from(this.postings.keys()).sort();
+        }
+
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedTerms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const terms = [];
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+            terms.push(this.sortedTerms[i]);
+        }
+        return terms;
+    }
+
+    idf(term) {
+        const df = this.postings.get(term)?.size || 0;
+        return Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+    }
+
+    termScore(term, key, doc) {
+        const fieldPositions = this.postings.get(term)?.get(key);
+        if (!fieldPositions) return 0;
+
+        const weights = doc.type === 'event' ? EVENT_FIELDS : MARKET_FIELDS;
+        let score = 0;
+        for (const [field, positions] of Object.entries(fieldPositions)) {
+            const totals = this.fieldTotals.get(field);
+            const avgLength = totals && totals.docs > 0 ? totals.length / totals.docs : 1;
+            const tf = positions.length;
+            score += weights[field] * tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.lengths[field] / avgLength));
+        }
+        return this.idf(term) * score;
+    }
+
+    hasPhrase(terms, key) {
+        const first = this.postings.get(terms[0])?.get(key);
+        if (!first) return false;
+
+        return Object.entries(first).some(([field, starts]) => starts.some(start =>
+            terms.every((term, i) => {
+                const positions = this.postings.get(term)?.get(key)?.[field];
+                return positions && positions.includes(start + i);
+            })
+        ));
+    }
+
+    // Candidate docs for a clause, mapped to { score, terms } for that clause
+    matchClause(clause) {
+        const matches = new Map();
+
+        if (clause.type === 'phrase') {
+            const [rarest] = [...clause.terms].sort((a, b) => (this.postings.get(a)?.size || 0) - (this.postings.get(b)?.size || 0));
+            for (const key of this.postings.get(rarest)?.keys() || []) {
+                if (!this.hasPhrase(clause.terms, key)) continue;
+                const doc = this.docs.get(key);
+                const score = clause.terms.reduce((sum, term) => sum + this.termScore(term, key, doc), 0) * PHRASE_BOOST;
+                matches.set(key, { score, terms: clause.terms });
+            }
+            return matches;
+        }
+
+        const expansions = clause.type === 'prefix' ? this.expandPrefix(clause.term) : [clause.term];
+        for (const term of expansions) {
+            const factor = term === clause.term ? 1 : PREFIX_PENALTY;
+            for (const key of this.postings.get(term)?.keys() || []) {
+                const score = this.termScore(term, key, this.docs.get(key)) * factor;
+                const match = matches.get(key);
+                if (!match) {
+                    matches.set(key, { score, terms: [term] });
+                } else {
+                    match.score = Math.max(match.score, score);
+                    match.terms.push(term);
+                }
+            }
+        }
+        return matches;
+    }
+
+    search(q, options = {}) {
+        const clauses = SearchIndex.parseQuery(q);
+        const limit = options.limit ?? 20;
+        const offset = options.offset || 0;
+        if (clauses.length === 0) {
+            return { query: q, total: 0, offset, hits: [] };
+        }
+
+        // Every clause must match; start from the smallest candidate set
+        const clauseMatches = clauses.map(clause => this.matchClause(clause)).sort((a, b) => a.size - b.size);
+        const results = [];
+
+        for (const [key, first] of clauseMatches[0]) {
+            const doc = this.docs.get(key);
+            if (options.type && doc.type !== options.type) continue;
+            if (options.collection && doc.meta.collection !== options.collection) continue;
+
+            let score = first.score;
+            const terms = new Set(first.terms);
+            let matchesAll = true;
+            for (const matches of clauseMatches.slice(1)) {
+                const match = matches.get(key);
+                if (!match) {
+                    matchesAll = false;
+                    break;
+                }
+                score += match.score;
+                match.terms.forEach(term => terms.add(term));
+            }
+            if (matchesAll) results.push({ doc, score, terms });
+        }
+
+        results.sort((a, b) => b.score - a.score || b.doc.meta.volume - a.doc.meta.volume);
+
+        return {
+            query: q,
+            total: results.length,
+            offset,
+            hits: results.slice(offset, offset + limit).map(result => this.formatHit(result))
+        };
+    }
+
+    formatHit({ doc, score, terms }) {
+        const highlights = {};
+        for (const [field, text] of Object.entries(doc.texts)) {
+            const snippet = this.highlight(text, terms, SHORT_FIELDS.has(field) ? Infinity : SNIPPET_WORDS);
+            if (snippet) highlights[field] = snippet;
+        }
+
+        const hit = {
+            type: doc.type,
+            score: Math.round(score * 1000) / 1000,
+            eventId: doc.meta.eventId,
+            collection: doc.meta.collection,
+            eventTitle: doc.meta.eventTitle,
+            slug: doc.meta.slug,
+            volume: doc.meta.volume,
+            highlights
+        };
+        if (doc.type === 'market') {
+            hit.marketId = doc.meta.marketId;
+            hit.question = doc.texts.question;
+            hit.status = doc.meta.status;
+        }
+        return hit;
+    }
+
+    // HTML-escaped text with matched words wrapped in <mark>, cut to a window of
+    // `maxWords` around the first match. Null when the field has no match.
+    highlight(text, terms, maxWords) {
+        const words = [];
+        let match;
+        TOKEN_PATTERN.lastIndex = 0;
+        while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+            words.push({ start: match.index, end: match.index + match[0].length, hit: terms.has(normalize(match[0])) });
+        }
+
+        const firstHit = words.findIndex(word => word.hit);
+        if (firstHit === -1) return null;
+
+        let from = 0;
+        let to = words.length;
+        if (words.length > maxWords) {
+            from = Math.max(0, firstHit - Math.floor(maxWords / 3));
+            to = Math.min(words.length, from + maxWords);
+        }
+
+        const startChar = from === 0 ? 0 : words[from].start;
+        const endChar = to === words.length ? text.length : words[to - 1].end;
+        let snippet = '';
+        let cursor = startChar;
+        for (const word of words.slice(from, to)) {
+            if (!word.hit) continue;
+            snippet += escapeHtml(text.slice(cursor, word.start)) + '<mark>' + escapeHtml(text.slice(word.start, word.end)) + '</mark>';
+            cursor = word.end;
+        }
+        snippet += escapeHtml(text.slice(cursor, endChar));
+
+        return (startChar > 0 ? '…' : '') + snippet.trim() + (endChar < text.length ? '…' : '');
+    }
+
+    getStats() {
+        let events = 0;
+        for (const doc of this.docs.values()) {
+            if (doc.type === 'event') events++;
+        }
+        return { documents: this.docs.size, events, markets: this.docs.size - events, terms: this.postings.size };
+    }
+}
+
+module.exports = SearchIndex;
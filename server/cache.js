@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const KvRestClient = require('./kvClient');
+
+// Per-instance LRU with expiry. Also the first layer in front of any shared adapter.
+class MemoryCacheAdapter {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.maxEntries = options.maxEntries || 500;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+        if (item.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.value;
+    }
+
+    async set(key, value, ttlSeconds) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Shared cache over a KV REST store, so warm instances and cold starts reuse each
+// other's responses
+class KvRestCacheAdapter {
+    constructor(options = {}) {
+        this.name = 'kv';
+        this.client = options.client;
+        this.prefix = options.prefix || 'polymarket-tracker:';
+    }
+
+    async get(key) {
+        const value = await this.client.command(['GET', this.prefix + key]);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(key, value, ttlSeconds) {
+        await this.client.command(['SET', this.prefix + key, JSON.stringify(value), 'EX', Math.ceil(ttlSeconds)]);
+    }
+
+    async delete(key) {
+        await this.client.command(['DEL', this.prefix + key]);
+    }
+}
+
+// Pick the shared cache from CACHE_BACKEND (memory | kv). `memory` means no shared layer,
+// only the per-instance one; `kv` needs KV_REST_API_URL and KV_REST_API_TOKEN.
+function createCacheAdapter(options = {}) {
+    const backend = options.backend || process.env.CACHE_BACKEND || (process.env.KV_REST_API_URL ? 'kv' : 'memory');
+
+    switch (backend) {
+        case 'memory':
+            return null;
+        case 'kv': {
+            const client = KvRestClient.fromEnv(options);
+            if (!client) {
+                throw new Error('CACHE_BACKEND=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+            }
+            return new KvRestCacheAdapter({ client, prefix: process.env.CACHE_KEY_PREFIX });
+        }
+        default:
+            throw new Error(`Unknown cache backend "${backend}" (expected memory or kv)`);
+    }
+}
+
+// Response cache with stale-while-revalidate: fresh entries are served as-is, entries
+// within the stale window are served while one background producer call refreshes them,
+// and anything older is produced inline. Entries are { status, body, etag, storedAt }
+// with the body already serialized, so the ETag is computed once per refresh.
+class ResponseCache {
+    constructor(options = {}) {
+        this.ttl = options.ttl ?? (parseInt(process.env.CACHE_TTL_SECONDS) || 30);
+        this.staleWhileRevalidate = options.staleWhileRevalidate ?? (parseInt(process.env.CACHE_STALE_SECONDS) || 300);
+        this.local = new MemoryCacheAdapter({ maxEntries: options.maxEntries });
+        this.adapter = options.adapter === undefined ? createCacheAdapter() : options.adapter;
+        this.log = options.log || ((message) => console.log(message));
+        this.pending = new Map();
+        this.stats = { hits: 0, stale: 0, misses: 0, errors: 0 };
+    }
+
+    static etag(body) {
+        return `W/"${crypto.createHash('sha1').update(body).digest('base64url').slice(0, 27)}"`;
+    }
+
+    policy(options = {}) {
+        return {
+            ttl: options.ttl ?? this.ttl,
+            staleWhileRevalidate: options.staleWhileRevalidate ?? this.staleWhileRevalidate
+        };
+    }
+
+    async read(key) {
+        const local = await this.local.get(key);
+        if (local || !this.adapter) return local;
+
+        try {
+            const shared = await this.adapter.get(key);
+            if (shared) {
+                const remaining = (shared.expiresAt - Date.now()) / 1000;
+                if (remaining > 0) await this.local.set(key, shared, remaining);
+            }
+            return shared;
+        } catch (error) {
+            this.stats.errors++;
+            this.log(`⚠️ Cache read failed (${this.adapter.name}): ${error.message}`);
+            return null;
+        }
+    }
+
+    async write(key, entry, retainSeconds) {
+        await this.local.set(key, entry, retainSeconds);
+        if (!this.adapter) return;
+
+        try {
+            await this.adapter.set(key, entry, retainSeconds);
+        } catch (error) {
+            this.stats.errors++;
+            this.log(`⚠️ Cache write failed (${this.adapter.name}): ${error.message}`);
+        }
+    }
+
+    // producer() resolves to { status, body }; only 200 responses are stored
+    async get(key, options, producer) {
+        const policy = this.policy(options);
+        const entry = await this.read(key);
+        const age = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+
+        if (age < policy.ttl) {
+            this.stats.hits++;
+            return { entry, state: 'HIT', policy };
+        }
+
+        if (age < policy.ttl + policy.staleWhileRevalidate) {
+            this.stats.stale++;
+            this.revalidate(key, policy, producer).catch(error => {
+                this.log(`⚠️ Background revalidation of ${key} failed: ${error.message}`);
+            });
+            return { entry, state: 'STALE', policy };
+        }
+
+        this.stats.misses++;
+        return { entry: await this.revalidate(key, policy, producer), state: 'MISS', policy };
+    }
+
+    // One producer call per key at a time; concurrent misses share its result
+    revalidate(key, policy, producer) {
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const promise = (async () => {
+            const { status, body } = await producer();
+            const entry = {
+                status,
+                body,
+                etag: ResponseCache.etag(body),
+                storedAt: Date.now(),
+                expiresAt: Date.now() + (policy.ttl + policy.staleWhileRevalidate) * 1000
+            };
+            if (status === 200) {
+                await this.write(key, entry, policy.ttl + policy.staleWhileRevalidate);
+            }
+            return entry;
+        })().finally(() => {
+            this.pending.delete(key);
+        });
+
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    getStats() {
+        return {
+            backend: this.adapter ? this.adapter.name : 'memory',
+            ttlSeconds: this.ttl,
+            staleSeconds: this.staleWhileRevalidate,
+            entries: this.local.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = { ResponseCache, MemoryCacheAdapter, KvRestCacheAdapter, createCacheAdapter };
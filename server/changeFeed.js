@@ -0,0 +1,476 @@
+const fs = require('fs-extra');
+const path = require('path');
+const KvRestClient = require('./kvClient');
+const SseHub = require('./sse');
+const { isServerless } = require('../storage');
+
+// Persisted change feed for serverless deployments. A scheduled function
+// (api/cron/changes.js) syncs the open listing, diffs it against the baseline saved by
+// the previous run and appends the change events; the serverless /events handler
+// streams entries after the client's Last-Event-ID. Entries are { id, t, data } with
+// increasing numeric ids; `data` is the same payload the local tracker broadcasts.
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 60000;
+
+async function writeFileAtomic(file, content) {
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, content);
+    await fs.rename(temp, file);
+}
+
+// Append-only JSONL file plus a baseline.json next to it; a local stand-in. The last
+// id is kept in feed.seq, and appends and prunes hold feed.lock so overlapping
+// publishers never hand out the same id.
+class FileChangeFeedStore {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.dir = options.dir || path.join(process.env.DATA_DIR || './data', 'change-feed');
+        this.feedFile = path.join(this.dir, 'feed.jsonl');
+        this.seqFile = path.join(this.dir, 'feed.seq');
+        this.lockFile = path.join(this.dir, 'feed.lock');
+        this.baselineFile = path.join(this.dir, 'baseline.json');
+    }
+
+    async init() {
+        await fs.ensureDir(this.dir);
+    }
+
+    // Complete lines only, so an append in progress is picked up on the next read
+    async readAll() {
+        if (!await fs.pathExists(this.feedFile)) return [];
+
+        const content = await fs.readFile(this.feedFile, 'utf8');
+        return content.slice(0, content.lastIndexOf('\n') + 1)
+            .split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    async latestId() {
+        if (await fs.pathExists(this.seqFile)) {
+            return parseInt(await fs.readFile(this.seqFile, 'utf8')) || 0;
+        }
+
+        // Feeds written before feed.seq existed: the last entry holds the newest id
+        const entries = await this.readAll();
+        return entries.length > 0 ? entries[entries.length - 1].id : 0;
+    }
+
+    // The lock file is created exclusively; one left behind by a crashed run is taken
+    // over once it is older than LOCK_STALE_MS
+    async withLock(fn) {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        for (;;) {
+            try {
+                await fs.writeFile(this.lockFile, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+
+                const stat = await fs.stat(this.lockFile).catch(() => null);
+                if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+                    await fs.remove(this.lockFile);
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`Change feed is locked by another writer (${this.lockFile})`);
+                }
+                await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.remove(this.lockFile);
+        }
+    }
+
+    async append(items) {
+        if (items.length === 0) return [];
+
+        return this.withLock(async () => {
+            let id = await this.latestId();
+            const t = new Date().toISOString();
+            const entries = items.map(data => ({ id: ++id, t, data }));
+
+            // The id is claimed before the entries are written: a crash in between leaves
+            // a gap in the ids rather than reusing them
+            await writeFileAtomic(this.seqFile, String(id));
+            await fs.appendFile(this.feedFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+            return entries;
+        });
+    }
+
+    async readSince(lastId, limit = 100) {
+        const entries = await this.readAll();
+        return entries.filter(entry => entry.id > lastId).slice(0, limit);
+    }
+
+    async prune(maxEntries) {
+        return this.withLock(async () => {
+            const entries = await this.readAll();
+            if (entries.length <= maxEntries) return 0;
+
+            // Written aside and renamed, so readers see either the old or the pruned feed
+            const kept = entries.slice(-maxEntries);
+            await writeFileAtomic(this.feedFile, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+            return entries.length - kept.length;
+        });
+    }
+
+    async loadBaseline() {
+        if (!await fs.pathExists(this.baselineFile)) return null;
+        return new Map(Object.entries(await fs.readJson(this.baselineFile)));
+    }
+
+    async saveBaseline(events) {
+        await fs.writeJson(this.baselineFile, Object.fromEntries(events.map(event => [event.id, event])));
+    }
+}
+
+// Same feed in a SQLite file; the autoincrement key doubles as the event id
+class SqliteChangeFeedStore {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.file = options.file || path.join(process.env.DATA_DIR || './data', 'change-feed.db');
+        this.db = null;
+    }
+
+    async init() {
+        if (this.db) return;
+
+        const Database = require('better-sqlite3');
+        await fs.ensureDir(path.dirname(this.file));
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS change_feed (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS change_feed_baseline (
+                event_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+        `);
+    }
+
+    async latestId() {
+        return this.db.prepare('SELECT coalesce(max(id), 0) AS id FROM change_feed').get().id;
+    }
+
+    async append(items) {
+        const t = new Date().toISOString();
+        const insert = this.db.prepare('INSERT INTO change_feed (created_at, data) VALUES (?, ?)');
+
+        return this.db.transaction(() => items.map(data => ({
+            id: Number(insert.run(t, JSON.stringify(data)).lastInsertRowid),
+            t,
+            data
+        })))();
+    }
+
+    async readSince(lastId, limit = 100) {
+        return this.db.prepare('SELECT id, created_at, data FROM change_feed WHERE id > ? ORDER BY id LIMIT ?')
+            .all(lastId, limit)
+            .map(row => ({ id: row.id, t: row.created_at, data: JSON.parse(row.data) }));
+    }
+
+    async prune(maxEntries) {
+        return this.db.prepare('DELETE FROM change_feed WHERE id <= (SELECT max(id) FROM change_feed) - ?')
+            .run(maxEntries).changes;
+    }
+
+    async loadBaseline() {
+        const rows = this.db.prepare('SELECT event_id, data FROM change_feed_baseline').all();
+        if (rows.length === 0) return null;
+        return new Map(rows.map(row => [row.event_id, JSON.parse(row.data)]));
+    }
+
+    async saveBaseline(events) {
+        const insert = this.db.prepare('INSERT INTO change_feed_baseline (event_id, data) VALUES (?, ?)');
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM change_feed_baseline').run();
+            for (const event of events) {
+                insert.run(String(event.id), JSON.stringify(event));
+            }
+        })();
+    }
+}
+
+// Shared feed in a KV REST store (Vercel KV / Upstash): a counter for ids, a sorted
+// set scored by id for the entries and a hash for the baseline
+class KvChangeFeedStore {
+    constructor(options = {}) {
+        this.name = 'kv';
+        this.client = options.client;
+        const prefix = options.prefix || 'polymarket-tracker:';
+        this.keys = {
+            seq: `${prefix}feed:seq`,
+            entries: `${prefix}feed:entries`,
+            baseline: `${prefix}feed:baseline`
+        };
+        this.batchSize = 200;
+    }
+
+    async init() {}
+
+    async latestId() {
+        return parseInt(await this.client.command(['GET', this.keys.seq])) || 0;
+    }
+
+    async append(items) {
+        if (items.length === 0) return [];
+
+        const last = parseInt(await this.client.command(['INCRBY', this.keys.seq, items.length]));
+        const t = new Date().toISOString();
+        const entries = items.map((data, i) => ({ id: last - items.length + 1 + i, t, data }));
+
+        const commands = [];
+        for (let i = 0; i < entries.length; i += this.batchSize) {
+            const args = ['ZADD', this.keys.entries];
+            for (const entry of entries.slice(i, i + this.batchSize)) {
+                args.push(entry.id, JSON.stringify(entry));
+            }
+            commands.push(args);
+        }
+        await this.client.pipeline(commands);
+        return entries;
+    }
+
+    async readSince(lastId, limit = 100) {
+        const members = await this.client.command(['ZRANGEBYSCORE', this.keys.entries, `(${lastId}`, '+inf', 'LIMIT', 0, limit]);
+        return (members || []).map(member => JSON.parse(member));
+    }
+
+    async prune(maxEntries) {
+        return this.client.command(['ZREMRANGEBYRANK', this.keys.entries, 0, -(maxEntries + 1)]);
+    }
+
+    async loadBaseline() {
+        const flat = await this.client.command(['HGETALL', this.keys.baseline]);
+        if (!flat || flat.length === 0) return null;
+
+        const baseline = new Map();
+        for (let i = 0; i < flat.length; i += 2) {
+            baseline.set(flat[i], JSON.parse(flat[i + 1]));
+        }
+        return baseline;
+    }
+
+    async saveBaseline(events) {
+        const commands = [['DEL', this.keys.baseline]];
+        for (let i = 0; i < events.length; i += this.batchSize) {
+            const args = ['HSET', this.keys.baseline];
+            for (const event of events.slice(i, i + this.batchSize)) {
+                args.push(event.id, JSON.stringify(event));
+            }
+            commands.push(args);
+        }
+        await this.client.pipeline(commands);
+    }
+}
+
+// Pick the feed store from CHANGE_FEED_BACKEND (file | sqlite | kv | none). Defaults to
+// kv when KV_REST_API_URL is set; otherwise a local file, except on serverless platforms
+// where local disk is not shared between instances (none: /events keeps its old behavior).
+function createChangeFeedStore(options = {}) {
+    const fallback = process.env.KV_REST_API_URL ? 'kv' : (isServerless() ? 'none' : 'file');
+    const backend = options.backend || process.env.CHANGE_FEED_BACKEND || fallback;
+    const location = options.path || process.env.CHANGE_FEED_PATH;
+
+    switch (backend) {
+        case 'none':
+            return null;
+        case 'file':
+            return new FileChangeFeedStore({ dir: location });
+        case 'sqlite':
+            return new SqliteChangeFeedStore({ file: location });
+        case 'kv': {
+            const client = KvRestClient.fromEnv({ timeout: 10000 });
+            if (!client) {
+                throw new Error('CHANGE_FEED_BACKEND=kv needs KV_REST_API_URL and KV_REST_API_TOKEN');
+            }
+            return new KvChangeFeedStore({ client, prefix: process.env.CACHE_KEY_PREFIX });
+        }
+        default:
+            throw new Error(`Unknown change feed backend "${backend}" (expected file, sqlite, kv or none)`);
+    }
+}
+
+// The fields ChangeDetector.diffEvent() and removed() look at, so the baseline stays small.
+// missingSyncs carries the tracker's count of syncs the event has been out of the open
+// listing, since every scheduled run starts with a new tracker.
+function compactEvent(eventData, missingSyncs) {
+    return {
+        id: eventData.id,
+        ...(missingSyncs ? { missingSyncs } : {}),
+        title: eventData.title,
+        slug: eventData.slug,
+        totalVolume: eventData.totalVolume,
+        marketsCount: eventData.marketsCount,
+        markets: (eventData.markets || []).map(market => ({
+            id: market.id,
+            question: market.question,
+            status: market.status,
+            winningOutcome: market.winningOutcome,
+            volume: market.volume,
+            volumeUSD: market.volumeUSD,
+            outcomes: (market.outcomes || []).map(outcome => ({
+                outcome: outcome.outcome,
+                tokenId: outcome.tokenId,
+                price: outcome.price
+            }))
+        }))
+    };
+}
+
+// One scheduled run: sync the open listing against the stored baseline and append every
+// change the tracker reports. The first run only stores the baseline.
+async function publishChanges(options = {}) {
+    const store = options.store || createChangeFeedStore();
+    if (!store) {
+        throw new Error('No change feed store configured (set CHANGE_FEED_BACKEND or KV_REST_API_URL)');
+    }
+    await store.init();
+
+    const PolymarketTracker = require('../marketTracker');
+    const tracker = options.tracker || new PolymarketTracker();
+    tracker.enableRealtime = false;
+    await tracker.ready;
+
+    const startTime = Date.now();
+    const baseline = await store.loadBaseline();
+    tracker.events.active = new Map(baseline || []);
+    tracker.missingEvents = new Map();
+    for (const [eventId, eventData] of tracker.events.active) {
+        if (eventData.missingSyncs) tracker.missingEvents.set(eventId, eventData.missingSyncs);
+    }
+
+    const changes = [];
+    const collect = (data) => changes.push(data);
+    tracker.addRealtimeCallback(collect);
+    try {
+        await tracker.trackActiveEvents();
+    } finally {
+        tracker.removeRealtimeCallback(collect);
+    }
+
+    const entries = await store.append(changes);
+    await store.saveBaseline(Array.from(tracker.events.active.values())
+        .map(eventData => compactEvent(eventData, tracker.missingEvents.get(eventData.id))));
+    const pruned = await store.prune(options.maxEntries || parseInt(process.env.CHANGE_FEED_MAX_ENTRIES) || 5000);
+
+    const result = {
+        published: entries.length,
+        lastId: entries.length > 0 ? entries[entries.length - 1].id : await store.latestId(),
+        baselineEvents: tracker.events.active.size,
+        firstRun: !baseline,
+        pruned: pruned || 0,
+        durationSeconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+    };
+    tracker.log(`📰 Change feed (${store.name}): published ${result.published} changes, last id ${result.lastId}${result.firstRun ? ' (baseline stored)' : ''}`);
+    return result;
+}
+
+// Streams feed entries after lastEventId as SSE until durationMs runs out, then ends the
+// response with a retry hint; EventSource reconnects and resumes with Last-Event-ID.
+// Messages use the same ids, event names and filters (options.query) as SseHub.
+async function streamChangeFeed(req, res, options) {
+    const { store, durationMs, pollMs } = options;
+    await store.init();
+
+    const filter = SseHub.parseFilter(options.query, options.tags);
+    const eventTags = options.tags ? (eventId) => options.tags.forEvent(eventId) : null;
+
+    let lastId = parseInt(options.lastEventId);
+    if (isNaN(lastId)) {
+        lastId = await store.latestId();
+    }
+
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+    });
+    const deadline = Date.now() + durationMs;
+
+    // Like SseHub, stop writing while the socket buffer is full; here the read loop
+    // waits for 'drain' (or the client leaving, or the deadline) before going on
+    const write = async (chunk) => {
+        if (res.write(chunk) || closed) return;
+
+        await new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                res.off('drain', done);
+                req.off('close', done);
+                resolve();
+            };
+            timer = setTimeout(done, Math.max(0, deadline - Date.now()));
+            res.on('drain', done);
+            req.on('close', done);
+        });
+    };
+
+    SseHub.writeHead(res);
+    await write('retry: 1000\n');
+    await write(SseHub.formatMessage(lastId, { type: 'connected', message: 'SSE connected to the change feed', lastEventId: lastId }));
+
+    while (!closed && Date.now() < deadline) {
+        try {
+            const entries = await store.readSince(lastId, 100);
+            for (const entry of entries) {
+                if (closed || Date.now() >= deadline) break;
+                if (SseHub.matchesFilter(filter, entry.data, eventTags)) {
+                    await write(SseHub.formatMessage(entry.id, entry.data));
+                }
+                lastId = entry.id;
+            }
+            if (entries.length === 100) continue;
+        } catch (error) {
+            console.log('Error reading change feed:', error.message);
+        }
+
+        await write(`: heartbeat ${new Date().toISOString()}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, Math.min(pollMs, Math.max(0, deadline - Date.now()))));
+    }
+
+    if (!closed) res.end();
+}
+
+// `node server/changeFeed.js [--every <seconds>]`: publish once, or keep publishing on
+// an interval (the local stand-in for the scheduled function)
+async function main() {
+    const index = process.argv.indexOf('--every');
+    const interval = index > -1 ? parseInt(process.argv[index + 1]) : 0;
+
+    const PolymarketTracker = require('../marketTracker');
+    const options = { store: createChangeFeedStore({ backend: process.env.CHANGE_FEED_BACKEND || 'file' }), tracker: new PolymarketTracker() };
+
+    do {
+        try {
+            console.log(JSON.stringify(await publishChanges(options)));
+        } catch (error) {
+            console.error('Change feed publish failed:', error.message);
+            process.exitCode = 1;
+        }
+        if (interval) await new Promise(resolve => setTimeout(resolve, interval * 1000));
+    } while (interval);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    FileChangeFeedStore,
+    SqliteChangeFeedStore,
+    KvChangeFeedStore,
+    createChangeFeedStore,
+    compactEvent,
+    publishChanges,
+    streamChangeFeed
+};
@@ -0,0 +1,235 @@
+const PolymarketTracker = require('../marketTracker');
+const PolymarketWinnerTracker = require('../winnerTracker');
+const SseHub = require('./sse');
+const WebSocketApi = require('./wsApi');
+const WinnerJobQueue = require('../winnerJobs');
+const WinnerAutoTracker = require('../winnerAutoTracker');
+const { HttpError } = require('./errors');
+const { createChangeFeedStore, streamChangeFeed } = require('./changeFeed');
+
+// Lets the SSE tag filter accept tag labels and IDs and look up an event's tags
+function trackerTags(tracker) {
+    return {
+        resolve: (values) => tracker.tags.resolve(values),
+        forEvent: (eventId) => tracker.getEventTagKeys(eventId)
+    };
+}
+
+// Data sources give the routes a ready PolymarketTracker (plus winner tracker) and
+// cover the few operations that differ between deployment modes: keeping data fresh,
+// manual updates, exports, the SSE stream and on-chain winner tracking.
+
+// Long-lived process: the tracker syncs on its own schedule and streams live updates.
+class TrackerDataSource {
+    constructor(options = {}) {
+        this.mode = 'tracker';
+        this.tracker = options.tracker || new PolymarketTracker();
+        this.winnerTracker = options.winnerTracker || new PolymarketWinnerTracker({
+            storage: this.tracker.storage,
+            ready: this.tracker.ready,
+            tracker: this.tracker
+        });
+
+        this.sse = new SseHub({ tags: trackerTags(this.tracker) });
+        this.tracker.addRealtimeCallback((data) => this.sse.broadcast(data));
+        this.wsApi = null;
+
+        // Winner tracking runs as background jobs; progress goes out as job_progress updates
+        this.jobs = options.jobs === undefined ? new WinnerJobQueue({
+            winnerTracker: this.winnerTracker,
+            storage: this.tracker.storage,
+            ready: this.winnerTracker.ready,
+            notify: (data) => this.tracker.notifyRealtimeUpdate(data)
+        }) : options.jobs;
+
+        // Newly resolved markets that pass the auto-tracking policy are queued as jobs
+        this.autoWinners = this.jobs ? new WinnerAutoTracker({
+            tracker: this.tracker,
+            winnerTracker: this.winnerTracker,
+            jobs: this.jobs
+        }) : null;
+    }
+
+    // WebSocket API on the given HTTP server (long-running mode only)
+    attachWebSocketApi(server) {
+        this.wsApi = new WebSocketApi({ source: this, tags: trackerTags(this.tracker) });
+        this.wsApi.attach(server);
+        return this.wsApi;
+    }
+
+    async prepare() {
+        await this.tracker.ready;
+        await this.winnerTracker.ready;
+    }
+
+    async getHealth() {
+        const health = await this.tracker.getHealth();
+        return {
+            ...health,
+            mode: this.mode,
+            sseClients: this.sse.size,
+            sse: this.sse.getStats(),
+            websocketApi: this.wsApi ? this.wsApi.getStats() : null,
+            winnerJobs: this.jobs ? this.jobs.getStats() : null,
+            autoWinnerTracking: this.autoWinners ? this.autoWinners.getStats() : null
+        };
+    }
+
+    async update() {
+        this.tracker.performFullUpdate();
+        return { success: true, message: 'Manual update triggered' };
+    }
+
+    async exportData() {
+        const file = await this.tracker.exportData();
+        return { success: true, file, message: 'Data exported successfully' };
+    }
+
+    openEventStream(req, res, query) {
+        this.sse.open(req, res, query);
+    }
+
+    async trackWinners(marketId, winningOutcome, blockNumber) {
+        console.log(`🎯 Triggering winner tracking for market ${marketId}, outcome: ${winningOutcome}`);
+
+        const { job, created } = await this.requireJobs().enqueue(marketId, winningOutcome, blockNumber);
+        return {
+            success: true,
+            message: created ?
+                `Winner tracking queued for market ${marketId}` :
+                `Winner tracking for market ${marketId} is already ${job.state}`,
+            marketId,
+            winningOutcome,
+            blockNumber,
+            jobId: job.id,
+            job
+        };
+    }
+
+    async listJobs(query) {
+        const jobs = this.requireJobs();
+        await jobs.ready;
+        const list = jobs.list({ state: query.state, marketId: query.marketId, limit: parseInt(query.limit) || 100 });
+        return { jobs: list, count: list.length, stats: jobs.getStats() };
+    }
+
+    async getJob(id) {
+        const jobs = this.requireJobs();
+        await jobs.ready;
+        const job = jobs.get(id);
+        if (!job) throw new HttpError(404, `Job ${id} not found`);
+        return job;
+    }
+
+    async cancelJob(id) {
+        const job = await this.requireJobs().cancel(id);
+        if (!job) throw new HttpError(404, `Job ${id} not found`);
+        if (['done', 'failed'].includes(job.state)) {
+            throw new HttpError(409, `Job ${id} already ${job.state}`, { job });
+        }
+        return { success: true, message: `Job ${id} cancelled`, job };
+    }
+
+    requireJobs() {
+        if (!this.jobs) {
+            throw new HttpError(501, 'Winner jobs need the long-running tracker and are not available in serverless mode');
+        }
+        return this.jobs;
+    }
+}
+
+// Serverless: no scheduler or WebSocket, so each warm instance fetches a snapshot from
+// the Gamma API on demand and refreshes it once it is older than SERVERLESS_REFRESH_SECONDS.
+// Rendered responses are cached separately by the router (see cache.js).
+class OnDemandDataSource extends TrackerDataSource {
+    constructor(options = {}) {
+        const tracker = options.tracker || new PolymarketTracker();
+        tracker.enableRealtime = false;
+        tracker.fetchMissingEvents = true;
+        super({ ...options, tracker, jobs: null });
+
+        this.mode = 'on-demand';
+        this.maxAge = (parseInt(process.env.SERVERLESS_REFRESH_SECONDS) || 60) * 1000;
+        this.resolvedPages = parseInt(process.env.SERVERLESS_RESOLVED_PAGES) || 1;
+        this.loadedAt = 0;
+        this.refreshing = null;
+
+        // Change events come from the persisted feed written by the scheduled function
+        this.feed = options.feed === undefined ? createChangeFeedStore() : options.feed;
+        this.streamSeconds = parseInt(process.env.SERVERLESS_SSE_SECONDS) || 25;
+        this.feedPollMs = parseInt(process.env.CHANGE_FEED_POLL_MS) || 2000;
+    }
+
+    // Only the first request waits for the Gamma API; after that a stale snapshot keeps
+    // being served while the refresh runs
+    async prepare() {
+        await super.prepare();
+        if (this.loadedAt === 0) {
+            await this.refresh('interactive');
+        } else if (Date.now() - this.loadedAt >= this.maxAge) {
+            this.refresh('normal');
+        }
+    }
+
+    // Concurrent requests share one refresh. A request waiting on it uses the
+    // 'interactive' lane; background refreshes of a stale snapshot use 'normal'.
+    refresh(priority = 'normal') {
+        if (!this.refreshing) {
+            this.refreshing = this.tracker.refreshSnapshot({ resolvedPages: this.resolvedPages, priority })
+                .then(() => {
+                    this.loadedAt = Date.now();
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    async update() {
+        await this.refresh('interactive');
+        return { success: true, message: 'Snapshot refreshed from the Gamma API' };
+    }
+
+    async exportData() {
+        // No writable disk; return the data directly instead of saving to file
+        return { success: true, data: this.tracker.getExportData(), message: 'Data exported successfully (serverless mode)' };
+    }
+
+    async openEventStream(req, res, query = {}) {
+        if (this.feed) {
+            await streamChangeFeed(req, res, {
+                store: this.feed,
+                query,
+                tags: trackerTags(this.tracker),
+                // EventSource sends Last-Event-ID on its own reconnects; the query parameter
+                // covers clients that open a fresh connection
+                lastEventId: req.headers['last-event-id'] || query.lastEventId,
+                durationMs: this.streamSeconds * 1000,
+                pollMs: this.feedPollMs
+            });
+            return;
+        }
+
+        SseHub.writeHead(res);
+        res.write('data: {"type":"connected","message":"SSE connected in serverless mode"}\n\n');
+        // Keep connection alive for a bit
+        const timer = setTimeout(() => {
+            res.write('data: {"type":"info","message":"Serverless SSE timeout"}\n\n');
+            res.end();
+        }, 30000);
+        req.on('close', () => clearTimeout(timer));
+    }
+
+    async getHealth() {
+        const health = await super.getHealth();
+        health.changeFeed = this.feed ? { backend: this.feed.name, lastId: await this.feed.init().then(() => this.feed.latestId()).catch(() => null) } : null;
+        return health;
+    }
+
+    async trackWinners() {
+        throw new HttpError(501, 'Winner tracking needs the long-running tracker and is not available in serverless mode');
+    }
+}
+
+module.exports = { TrackerDataSource, OnDemandDataSource };
@@ -0,0 +1,14 @@
+// Errors carrying an HTTP status; the router turns them into JSON error responses
+class HttpError extends Error {
+    constructor(statusCode, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+const badRequest = (message, details) => new HttpError(400, message, details);
+const notFound = (message = 'Not found', details) => new HttpError(404, message, details);
+
+module.exports = { HttpError, badRequest, notFound };
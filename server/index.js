@@ -0,0 +1,46 @@
+const { Router, sendJson } = require('./router');
+const { ResponseCache, MemoryCacheAdapter, KvRestCacheAdapter } = require('./cache');
+const { createRouter } = require('./routes');
+const { TrackerDataSource, OnDemandDataSource } = require('./dataSources');
+const { HttpError, badRequest, notFound } = require('./errors');
+const SseHub = require('./sse');
+
+// Request handler for the Vercel functions. One on-demand data source and response
+// cache are shared by every request a warm instance serves; `options.cacheAdapter`
+// replaces the shared cache layer picked from CACHE_BACKEND (null for none).
+function createServerlessHandler(options = {}) {
+    const router = createRouter();
+    let source = null;
+    let cache = null;
+
+    return async (req, res) => {
+        try {
+            source = source || new OnDemandDataSource();
+            cache = cache || new ResponseCache({ adapter: options.cacheAdapter });
+            // Rewrites may hand us either /active or /api/active
+            req.url = req.url.replace(/^\/api(\/|\?|$)/, (_, next) => (next === '/' ? '/' : `/${next}`));
+            await router.handle(req, res, { source, cache });
+        } catch (error) {
+            console.error('Serverless handler error:', error);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    };
+}
+
+module.exports = {
+    Router,
+    sendJson,
+    createRouter,
+    createServerlessHandler,
+    TrackerDataSource,
+    OnDemandDataSource,
+    SseHub,
+    ResponseCache,
+    MemoryCacheAdapter,
+    KvRestCacheAdapter,
+    HttpError,
+    badRequest,
+    notFound
+};
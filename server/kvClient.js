@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+// Client for an Upstash-compatible Redis REST API (Vercel KV exposes the same API).
+// Commands are sent as JSON arrays, e.g. ['SET', key, value, 'EX', 60].
+class KvRestClient {
+    constructor(options = {}) {
+        this.url = options.url.replace(/\/$/, '');
+        this.token = options.token;
+        this.timeout = options.timeout || 1500;
+    }
+
+    static fromEnv(options = {}) {
+        const url = options.url || process.env.KV_REST_API_URL;
+        const token = options.token || process.env.KV_REST_API_TOKEN;
+        if (!url || !token) return null;
+        return new KvRestClient({ url, token, timeout: options.timeout });
+    }
+
+    async post(path, body) {
+        const response = await axios.post(`${this.url}${path}`, body, {
+            timeout: this.timeout,
+            headers: { Authorization: `Bearer ${this.token}` }
+        });
+        return response.data;
+    }
+
+    async command(args) {
+        const data = await this.post('', args.map(String));
+        if (data.error) throw new Error(`KV ${args[0]} failed: ${data.error}`);
+        return data.result;
+    }
+
+    // Several commands in one round trip; resolves to their results in order
+    async pipeline(commands) {
+        if (commands.length === 0) return [];
+
+        const data = await this.post('/pipeline', commands.map(args => args.map(String)));
+        return data.map((item, i) => {
+            if (item.error) throw new Error(`KV ${commands[i][0]} failed: ${item.error}`);
+            return item.result;
+        });
+    }
+}
+
+module.exports = KvRestClient;
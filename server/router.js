@@ -0,0 +1,183 @@
+const url = require('url');
+const { badRequest } = require('./errors');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Cache-Control, Last-Event-ID'
+};
+
+// Minimal method + path router shared by the local server and the Vercel functions.
+// Paths use `:name` segments for params; handlers get a context and either return a
+// JSON body or write the response themselves (static files, SSE). Routes registered with
+// `{ cache: true }` (or a { ttl, staleWhileRevalidate } policy) go through the
+// ResponseCache in context.cache when one is given.
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    add(methods, path, handler, options = {}) {
+        const names = [];
+        const pattern = path.replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+
+        this.routes.push({
+            methods: [].concat(methods).map(method => method.toUpperCase()),
+            path,
+            regex: new RegExp(`^${pattern}$`),
+            names,
+            handler,
+            cache: options.cache || null
+        });
+        return this;
+    }
+
+    get(path, handler, options) {
+        return this.add('GET', path, handler, options);
+    }
+
+    // { route, params } for the first route matching path and method, or { allowed }
+    // with the methods the path does support (empty when nothing matches the path).
+    // Params are still URI-encoded; handle() decodes them.
+    match(method, pathname) {
+        const allowed = new Set();
+
+        for (const route of this.routes) {
+            const match = pathname.match(route.regex);
+            if (!match) continue;
+
+            if (route.methods.includes(method) || (method === 'HEAD' && route.methods.includes('GET'))) {
+                const params = {};
+                route.names.forEach((name, i) => {
+                    params[name] = match[i + 1];
+                });
+                return { route, params };
+            }
+            route.methods.forEach(m => allowed.add(m));
+        }
+
+        return { allowed: Array.from(allowed) };
+    }
+
+    async handle(req, res, context = {}) {
+        const parsedUrl = url.parse(req.url, true);
+        const pathname = parsedUrl.pathname.length > 1 ? parsedUrl.pathname.replace(/\/$/, '') : parsedUrl.pathname;
+        const method = (req.method || 'GET').toUpperCase();
+
+        for (const [header, value] of Object.entries(CORS_HEADERS)) {
+            res.setHeader(header, value);
+        }
+
+        if (method === 'OPTIONS') {
+            res.statusCode = 204;
+            res.end();
+            return;
+        }
+
+        const { route, params, allowed } = this.match(method, pathname);
+        if (!route) {
+            if (allowed.length > 0) {
+                res.setHeader('Allow', [...allowed, 'OPTIONS'].join(', '));
+                return sendJson(res, 405, { error: `Method ${method} not allowed on ${pathname}` });
+            }
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+
+        const ctx = { ...context, req, res, method, pathname, params: {}, query: parsedUrl.query, status: 200 };
+
+        try {
+            ctx.params = decodeParams(params);
+
+            if (context.cache && route.cache && (method === 'GET' || method === 'HEAD')) {
+                await this.sendCached(route, ctx, context.cache);
+                return;
+            }
+
+            const body = await route.handler(ctx);
+            if (!res.headersSent && !res.writableEnded) {
+                sendJson(res, ctx.status, body === undefined ? {} : body);
+            }
+        } catch (error) {
+            const status = error.statusCode || 500;
+            if (status >= 500) {
+                console.error(`Error handling ${method} ${pathname}:`, error);
+            }
+            if (!res.headersSent) {
+                sendJson(res, status, { error: error.message, ...error.details });
+            } else if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    }
+
+    async sendCached(route, ctx, cache) {
+        const { req, res } = ctx;
+        const policy = route.cache === true ? {} : route.cache;
+
+        const { entry, state, policy: applied } = await cache.get(cacheKey(ctx.pathname, ctx.query), policy, async () => {
+            const body = await route.handler(ctx);
+            return { status: ctx.status, body: JSON.stringify(body === undefined ? {} : body, null, 2) };
+        });
+
+        res.setHeader('X-Cache', state);
+        if (entry.status !== 200) {
+            res.setHeader('Cache-Control', 'no-store');
+        } else {
+            res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${applied.ttl}, stale-while-revalidate=${applied.staleWhileRevalidate}`);
+            res.setHeader('ETag', entry.etag);
+            res.setHeader('Age', Math.floor((Date.now() - entry.storedAt) / 1000));
+
+            if (etagMatches(req.headers['if-none-match'], entry.etag)) {
+                res.statusCode = 304;
+                res.end();
+                return;
+            }
+        }
+
+        res.statusCode = entry.status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(entry.body);
+    }
+}
+
+// Malformed escapes (e.g. /events/%E0%A4%A) are a client error, not a crash
+function decodeParams(params) {
+    const decoded = {};
+    for (const [name, value] of Object.entries(params)) {
+        try {
+            decoded[name] = decodeURIComponent(value);
+        } catch (error) {
+            throw badRequest(`Malformed ${name} in path`);
+        }
+    }
+    return decoded;
+}
+
+// Path plus query parameters in a stable order
+function cacheKey(pathname, query) {
+    const params = new URLSearchParams();
+    for (const name of Object.keys(query).sort()) {
+        for (const value of [].concat(query[name])) {
+            params.append(name, value);
+        }
+    }
+    const search = params.toString();
+    return search ? `${pathname}?${search}` : pathname;
+}
+
+function etagMatches(header, etag) {
+    if (!header) return false;
+    const strip = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => tag.trim() === '*' || strip(tag) === strip(etag));
+}
+
+function sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body, null, 2));
+}
+
+module.exports = { Router, sendJson, cacheKey };
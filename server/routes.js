@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const { Router } = require('./router');
+const { badRequest, notFound } = require('./errors');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Read-only JSON routes; cached only where the adapter passes a ResponseCache (serverless)
+const CACHED = { cache: true };
+
+// Every HTTP route, shared by the local server (index.js) and the Vercel functions (api/).
+// Handlers read through ctx.source, so the payloads are the same in both modes.
+function createRouter() {
+    const router = new Router();
+
+    router.get('/', (ctx) => serveStaticFile(ctx.res, 'public/index.html'));
+    router.get('/stats', handleStats, CACHED);
+    router.get('/health', handleHealth);
+
+    // Every list route shares the query grammar and response envelope from listQuery.js;
+    // the defaults only set the route's status, sort and forced filters
+    router.get('/active', (ctx) => sendEventList(ctx, { status: 'active' }), CACHED);
+    router.get('/resolved', (ctx) => sendEventList(ctx, { status: 'resolved' }), CACHED);
+    // `type` is the older name for `status` on this route
+    router.get('/multi-outcome', (ctx) => sendEventList(ctx, { status: ctx.query.type || 'active', multiOutcome: true }), CACHED);
+    router.get('/top-active', (ctx) => sendEventList(ctx, { status: 'active', sort: 'totalVolume' }), CACHED);
+    router.get('/top-resolved', (ctx) => sendEventList(ctx, { status: 'resolved', sort: 'totalVolume' }), CACHED);
+
+    router.get('/tags', handleTags, CACHED);
+    router.get('/search', handleSearch, CACHED);
+    router.get('/history', handleHistory, CACHED);
+    router.get('/orderbook', handleOrderBook);
+    router.get('/export', (ctx) => ctx.source.exportData());
+    router.add(['GET', 'POST'], '/update', (ctx) => ctx.source.update());
+    router.get('/events', handleEventStream);
+
+    router.get('/events/slug/:slug', handleEventBySlug, CACHED);
+    router.get('/events/:id', handleEvent, CACHED);
+    router.get('/markets/:id/outcomes', handleMarketOutcomes, CACHED);
+    router.get('/markets/:id', handleMarket, CACHED);
+
+    router.get('/winners', handleWinners, CACHED);
+    router.get('/winner-stats', handleWinnerStats, CACHED);
+    router.add(['GET', 'POST'], '/track-winners', handleTrackWinners);
+    router.get('/positions', handlePositions, CACHED);
+    router.get('/jobs', (ctx) => ctx.source.listJobs({ ...ctx.query, limit: parseCount(ctx.query, 'limit', 100, 1) }));
+    router.get('/jobs/:id', (ctx) => ctx.source.getJob(ctx.params.id));
+    router.add('DELETE', '/jobs/:id', (ctx) => ctx.source.cancelJob(ctx.params.id));
+
+    return router;
+}
+
+async function serveStaticFile(res, filePath) {
+    let content;
+    try {
+        content = await fs.promises.readFile(path.join(ROOT_DIR, filePath));
+    } catch (err) {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'text/html');
+        res.end('<h1>404 Not Found</h1>');
+        return;
+    }
+
+    const ext = path.extname(filePath);
+    let contentType = 'text/html';
+
+    if (ext === '.css') contentType = 'text/css';
+    else if (ext === '.js') contentType = 'application/javascript';
+    else if (ext === '.json') contentType = 'application/json';
+
+    res.setHeader('Content-Type', contentType);
+    res.end(content);
+}
+
+// Integer query parameter of at least `min`; absent or empty gives the fallback
+function parseCount(query, name, fallback, min = 0) {
+    const raw = query[name];
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+        throw badRequest(`Invalid ${name}: expected an integer of at least ${min}`);
+    }
+    return value;
+}
+
+function getPaging(query) {
+    return {
+        limit: parseCount(query, 'limit', 10, 1),
+        offset: parseCount(query, 'offset', 0)
+    };
+}
+
+async function handleStats({ source }) {
+    await source.prepare();
+    const stats = await source.tracker.getStats();
+
+    return {
+        totalEvents: stats.activeEvents + stats.resolvedEvents,
+        events: {
+            active: stats.activeEvents,
+            resolved: stats.resolvedEvents
+        },
+        markets: {
+            total: stats.activeMarkets + stats.resolvedMarkets,
+            active: stats.activeMarkets,
+            resolved: stats.resolvedMarkets,
+            multiOutcome: stats.multiOutcomeMarkets,
+            binary: stats.activeMarkets - stats.multiOutcomeMarkets
+        },
+        totalVolume: stats.totalVolume,
+        lastUpdate: stats.lastUpdate
+    };
+}
+
+async function handleHealth(ctx) {
+    const health = await ctx.source.getHealth();
+    if (ctx.cache) {
+        health.cache = ctx.cache.getStats();
+    }
+    ctx.status = health.status === 'down' ? 503 : 200;
+    return health;
+}
+
+async function sendEventList({ source, query }, defaults) {
+    await source.prepare();
+    const list = await source.tracker.listEvents(query, defaults);
+    list.events = source.tracker.withQuotes(list.events);
+    return list;
+}
+
+async function handleTags({ source, query }) {
+    await source.prepare();
+    return source.tracker.getTags({
+        sort: query.sort,
+        limit: parseCount(query, 'limit', 0)
+    });
+}
+
+async function handleSearch({ source, query }) {
+    if (!query.q || !query.q.trim()) {
+        throw badRequest('Missing required parameter: q');
+    }
+    if (query.type && !['event', 'market'].includes(query.type)) {
+        throw badRequest('Invalid type (expected event or market)');
+    }
+
+    await source.prepare();
+    const { limit, offset } = getPaging(query);
+    const results = await source.tracker.searchEvents(query.q, {
+        type: query.type,
+        collection: query.status,
+        limit,
+        offset
+    });
+
+    return { count: results.hits.length, ...results };
+}
+
+async function handleHistory({ source, query }) {
+    if (!query.marketId) {
+        throw badRequest('Missing required parameter: marketId');
+    }
+
+    await source.prepare();
+    try {
+        return await source.tracker.getMarketHistory(query.marketId, {
+            from: query.from,
+            to: query.to,
+            interval: query.interval
+        });
+    } catch (error) {
+        throw badRequest(error.message);
+    }
+}
+
+async function handleOrderBook({ source, query }) {
+    if (!query.tokenId) {
+        throw badRequest('Missing required parameter: tokenId');
+    }
+
+    await source.prepare();
+    const book = source.tracker.getOrderBook(query.tokenId, {
+        depth: parseInt(query.depth) || 10,
+        cents: parseFloat(query.cents) || 5
+    });
+    if (!book) {
+        throw notFound('No order book for this token (is it subscribed on the live feed?)');
+    }
+    return book;
+}
+
+function handleEventStream({ source, req, res, query }) {
+    return source.openEventStream(req, res, query);
+}
+
+async function handleEvent({ source, query, params }) {
+    await source.prepare();
+    const eventData = await source.tracker.getEvent(params.id);
+    if (!eventData) throw notFound(`Event ${params.id} not found`);
+
+    return { event: await buildEventDetail(source, eventData, query) };
+}
+
+async function handleEventBySlug({ source, query, params }) {
+    await source.prepare();
+    const eventData = await source.tracker.getEventBySlug(params.slug);
+    if (!eventData) throw notFound(`Event with slug "${params.slug}" not found`);
+
+    return { event: await buildEventDetail(source, eventData, query) };
+}
+
+async function handleMarket({ source, query, params }) {
+    await source.prepare();
+    const found = await source.tracker.getMarket(params.id);
+    if (!found) throw notFound(`Market ${params.id} not found`);
+
+    return { market: await buildMarketDetail(source, found.event, found.market, query) };
+}
+
+async function handleMarketOutcomes({ source, query, params }) {
+    await source.prepare();
+    const found = await source.tracker.getMarket(params.id);
+    if (!found) throw notFound(`Market ${params.id} not found`);
+
+    const { market } = found;
+    return {
+        marketId: market.id,
+        eventId: found.event.id,
+        question: market.question,
+        status: market.status,
+        winningOutcome: market.winningOutcome || null,
+        outcomes: buildOutcomes(source, market, query)
+    };
+}
+
+async function buildEventDetail(source, eventData, query) {
+    const [quoted] = source.tracker.withQuotes([eventData]);
+    const markets = [];
+    for (const market of quoted.markets) {
+        markets.push(await buildMarketDetail(source, eventData, market, query));
+    }
+    return { ...quoted, markets };
+}
+
+// A market with live order books per outcome, its price history (unless history=false)
+// and the tracked winner summary when winners have been computed
+async function buildMarketDetail(source, eventData, market, query) {
+    const [quoted] = source.tracker.withQuotes([{ ...eventData, markets: [market] }])[0].markets;
+    const winners = source.winnerTracker.getMarketWinners(String(market.id));
+
+    const detail = {
+        ...quoted,
+        eventId: eventData.id,
+        eventTitle: eventData.title,
+        outcomes: buildOutcomes(source, market, query),
+        winners: winners ? {
+            winningOutcome: winners.winningOutcome,
+            positionId: winners.positionId,
+            resolutionBlock: winners.resolutionBlock,
+            totalBalance: winners.totalBalance,
+            totalPayout: winners.totalPayout,
+            winnerCount: winners.winnerCount,
+            verification: winners.verification,
+            timestamp: winners.timestamp
+        } : null
+    };
+
+    if (query.history !== 'false') {
+        let history;
+        try {
+            history = await source.tracker.getMarketHistory(market.id, {
+                from: query.from,
+                to: query.to,
+                interval: query.interval || '1h'
+            });
+        } catch (error) {
+            throw badRequest(error.message);
+        }
+        detail.history = { from: history.from, to: history.to, interval: history.interval, series: history.series };
+    }
+    return detail;
+}
+
+function buildOutcomes(source, market, query) {
+    const depth = parseInt(query.depth) || 5;
+    return (market.outcomes || []).map(outcome => ({
+        ...outcome,
+        orderBook: outcome.tokenId ? source.tracker.getOrderBook(outcome.tokenId, { depth, cents: parseFloat(query.cents) || 5 }) : null
+    }));
+}
+
+async function handleWinners({ source, query }) {
+    await source.winnerTracker.ready;
+    const marketId = query.marketId;
+    const limit = parseCount(query, 'limit', 1000, 1); // Increased default from 50 to 1000
+
+    if (marketId) {
+        // Get winners for specific market
+        const winners = source.winnerTracker.getMarketWinners(marketId);
+        if (!winners) throw notFound('Market winners not found');
+        return winners;
+    }
+
+    // Get top winners across all markets
+    const topWinners = source.winnerTracker.getTopWinners(limit);
+    return {
+        topWinners,
+        count: topWinners.length,
+        limit
+    };
+}
+
+async function handleWinnerStats({ source }) {
+    return source.winnerTracker.getWinnerStats();
+}
+
+async function handleTrackWinners(ctx) {
+    const { source, query } = ctx;
+    const marketId = query.marketId;
+    const winningOutcome = query.outcome;
+
+    if (!marketId || !winningOutcome) {
+        throw badRequest('Missing required parameters: marketId and outcome');
+    }
+    const blockNumber = parseCount(query, 'blockNumber', null);
+
+    const result = await source.trackWinners(marketId, winningOutcome, blockNumber);
+    ctx.status = 202;
+    return result;
+}
+
+// Outcome -> ERC1155 position ID mapping of a market, to check what /track-winners scans
+async function handlePositions({ source, query }) {
+    if (!query.marketId) throw badRequest('Missing required parameter: marketId');
+
+    const mapping = await source.winnerTracker.getPositionMapping(query.marketId);
+    if (!mapping) throw notFound('Market not found');
+    return mapping;
+}
+
+module.exports = { createRouter, buildEventDetail, buildMarketDetail };
@@ -0,0 +1,245 @@
+// Server-Sent Events for tracker updates (the GET /events stream).
+//
+// Every message gets an increasing `id:` and is named after its payload type
+// (`event: market_resolved`, `event: price_update`, ...). The last SSE_BUFFER_SIZE
+// messages are kept in a ring buffer, so a client reconnecting with Last-Event-ID
+// (or ?lastEventId=) gets what it missed. IDs start at the process start time in
+// milliseconds, so an ID from before a restart is older than anything buffered and
+// the client gets replay_incomplete instead of reused IDs. Clients can narrow the
+// stream with ?eventId=, ?marketId=, ?types= and ?tag= (comma-separated lists).
+
+function splitList(value) {
+    return [].concat(value || [])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Filter sets from the query string; `tags` maps tag query values to index keys
+function parseFilter(query = {}, tags = null) {
+    const tagValues = splitList(query.tag);
+    const filter = {
+        eventIds: new Set(splitList(query.eventId)),
+        marketIds: new Set(splitList(query.marketId)),
+        types: new Set(splitList(query.types)),
+        tags: new Set(tags ? tags.resolve(tagValues) : tagValues.map(tag => tag.toLowerCase()))
+    };
+    filter.empty = Object.values(filter).every(set => set.size === 0);
+    return filter;
+}
+
+// `eventTags(eventId)` returns the tag keys of a tracked event (for the tag filter)
+function matchesFilter(filter, data, eventTags) {
+    if (!filter || filter.empty) return true;
+    if (filter.types.size > 0 && !filter.types.has(data.type)) return false;
+    if (filter.eventIds.size > 0 && !filter.eventIds.has(String(data.eventId))) return false;
+    if (filter.marketIds.size > 0 && !filter.marketIds.has(String(data.marketId))) return false;
+
+    if (filter.tags.size > 0) {
+        const keys = data.eventId !== undefined && eventTags ? eventTags(String(data.eventId)) : [];
+        if (!keys.some(key => filter.tags.has(key))) return false;
+    }
+    return true;
+}
+
+// id === null leaves the client's last event ID untouched
+function formatMessage(id, data) {
+    const idLine = id === null ? '' : `id: ${id}\n`;
+    const event = data.type ? `event: ${data.type}\n` : '';
+    return `${idLine}${event}data: ${JSON.stringify(data)}\n\n`;
+}
+
+class SseHub {
+    constructor(options = {}) {
+        this.clients = new Set();
+        this.bufferSize = options.bufferSize || parseInt(process.env.SSE_BUFFER_SIZE) || 1000;
+        this.heartbeatInterval = (options.heartbeatSeconds || parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 15) * 1000;
+        this.maxQueue = options.maxQueue || parseInt(process.env.SSE_MAX_QUEUE) || 1000;
+        this.tags = options.tags || null;
+
+        this.buffer = new Array(this.bufferSize);
+        this.lastId = options.startId ?? Date.now();
+        this.startId = this.lastId;
+        this.heartbeatTimer = null;
+        this.stats = { sent: 0, queued: 0, dropped: 0 };
+    }
+
+    static writeHead(res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
+        });
+    }
+
+    static lastEventId(req, query = {}) {
+        const id = parseInt(req.headers['last-event-id'] || query.lastEventId);
+        return isNaN(id) ? null : id;
+    }
+
+    open(req, res, query = {}) {
+        const client = {
+            res,
+            filter: parseFilter(query, this.tags),
+            queue: [],
+            blocked: false
+        };
+
+        SseHub.writeHead(res);
+
+        const since = SseHub.lastEventId(req, query);
+        if (since !== null) {
+            this.replay(client, since);
+        }
+        this.send(client, formatMessage(this.lastId, { type: 'connected', message: 'SSE connection established', lastEventId: this.lastId }));
+
+        res.on('drain', () => this.flush(client));
+        this.clients.add(client);
+        this.startHeartbeat();
+        console.log(`📡 New SSE client connected. Total clients: ${this.clients.size}`);
+
+        req.on('close', () => {
+            this.remove(client);
+            console.log(`📡 SSE client disconnected. Total clients: ${this.clients.size}`);
+        });
+
+        req.on('error', (error) => {
+            console.log('SSE client error:', error.message);
+            this.remove(client);
+        });
+    }
+
+    // Buffered messages after `since` that pass the client's filter. When the buffer no
+    // longer reaches back that far, or `since` is not an ID of this process (ahead of
+    // lastId), the client is told so it can reload instead.
+    replay(client, since) {
+        const entries = this.bufferedSince(since);
+        const oldestId = entries.length > 0 ? entries[0].id : this.lastId + 1;
+
+        if (since < oldestId - 1 || since > this.lastId) {
+            this.send(client, formatMessage(null, {
+                type: 'replay_incomplete',
+                requestedId: since,
+                oldestAvailableId: Math.max(oldestId, 1),
+                timestamp: new Date().toISOString()
+            }));
+        }
+
+        for (const entry of entries) {
+            if (matchesFilter(client.filter, entry.data, this.eventTags)) {
+                this.send(client, entry.message);
+            }
+        }
+    }
+
+    bufferedSince(since) {
+        const entries = [];
+        const first = Math.max(since + 1, this.lastId - this.bufferSize + 1, 1);
+        for (let id = first; id <= this.lastId; id++) {
+            const entry = this.buffer[id % this.bufferSize];
+            if (entry && entry.id === id) entries.push(entry);
+        }
+        return entries;
+    }
+
+    broadcast(data) {
+        const id = ++this.lastId;
+        const entry = { id, data, message: formatMessage(id, data) };
+        this.buffer[id % this.bufferSize] = entry;
+
+        for (const client of this.clients) {
+            if (matchesFilter(client.filter, data, this.eventTags)) {
+                this.send(client, entry.message);
+            }
+        }
+
+        if (data.type === 'market_resolved') {
+            console.log(`📡 Broadcasting market resolution to ${this.clients.size} clients: ${data.market.question}`);
+        }
+    }
+
+    // Writes until the socket buffer is full, then queues until 'drain'. A client whose
+    // queue overflows is dropped; it reconnects with Last-Event-ID and replays the gap.
+    send(client, message) {
+        if (client.blocked) {
+            if (client.queue.length >= this.maxQueue) {
+                this.stats.dropped++;
+                console.log(`📡 Dropping slow SSE client (${client.queue.length} messages queued)`);
+                this.remove(client);
+                client.res.end();
+                return;
+            }
+            client.queue.push(message);
+            this.stats.queued++;
+            return;
+        }
+
+        try {
+            this.stats.sent++;
+            if (!client.res.write(message)) {
+                client.blocked = true;
+            }
+        } catch (error) {
+            console.log('Error sending SSE data to client:', error.message);
+            this.remove(client);
+        }
+    }
+
+    flush(client) {
+        if (!this.clients.has(client)) return;
+        client.blocked = false;
+        while (client.queue.length > 0 && !client.blocked) {
+            this.send(client, client.queue.shift());
+        }
+    }
+
+    remove(client) {
+        this.clients.delete(client);
+        if (this.clients.size === 0) {
+            this.stopHeartbeat();
+        }
+    }
+
+    // Comment lines keep proxies and load balancers from closing idle streams
+    startHeartbeat() {
+        if (this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() => {
+            const comment = `: heartbeat ${new Date().toISOString()}\n\n`;
+            for (const client of this.clients) {
+                if (!client.blocked) this.send(client, comment);
+            }
+        }, this.heartbeatInterval);
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    get eventTags() {
+        return this.tags ? (eventId) => this.tags.forEvent(eventId) : null;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    getStats() {
+        return {
+            clients: this.clients.size,
+            lastEventId: this.lastId,
+            buffered: Math.min(this.lastId - this.startId, this.bufferSize),
+            slowClients: Array.from(this.clients).filter(client => client.blocked).length,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = SseHub;
+module.exports.parseFilter = parseFilter;
+module.exports.matchesFilter = matchesFilter;
+module.exports.formatMessage = formatMessage;
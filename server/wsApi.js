@@ -0,0 +1,295 @@
+const url = require('url');
+const WebSocket = require('ws');
+const { parseFilter, matchesFilter } = require('./sse');
+const { buildEventDetail, buildMarketDetail } = require('./routes');
+
+// Bidirectional client API on the local server (ws://host:PORT/ws). Clients send JSON
+// requests and change their subscriptions without reconnecting:
+//
+//   { "op": "subscribe", "requestId": 1, "eventIds": [...], "marketIds": [...], "tags": [...], "types": [...] }
+//   { "op": "subscribe", "alert": { "marketId": "123", "outcome": "Yes", "above": 0.6 } }
+//   { "op": "unsubscribe", "subscription": "sub-1" }   (no subscription: all of them)
+//   { "op": "snapshot", "eventId": "..." } | { "marketId": "..." } | { "list": { "status": "active", "tag": "crypto" } }
+//   { "op": "subscriptions" } | { "op": "ping" }
+//
+// Updates are the tracker's notifyRealtimeUpdate() payloads, sent once per client as
+// { op: "update", subscriptions: [...], data }; alert rules send { op: "alert", ... }.
+class WebSocketApi {
+    constructor(options = {}) {
+        this.source = options.source;
+        this.tags = options.tags || null;
+        this.path = options.path || '/ws';
+        this.pingInterval = (parseInt(process.env.WS_API_PING_SECONDS) || 30) * 1000;
+        this.maxBuffered = parseInt(process.env.WS_API_MAX_BUFFER) || 1024 * 1024;
+        this.maxSubscriptions = parseInt(process.env.WS_API_MAX_SUBSCRIPTIONS) || 100;
+
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.clients = new Set();
+        this.nextClientId = 1;
+        this.pingTimer = null;
+        this.stats = { messagesIn: 0, updatesSent: 0, alertsSent: 0, dropped: 0 };
+
+        this.source.tracker.addRealtimeCallback((data) => this.dispatch(data));
+    }
+
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => {
+            if (url.parse(req.url).pathname !== this.path) {
+                socket.destroy();
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws));
+        });
+
+        this.pingTimer = setInterval(() => this.pingClients(), this.pingInterval);
+        this.pingTimer.unref();
+    }
+
+    handleConnection(ws) {
+        const client = {
+            id: this.nextClientId++,
+            ws,
+            alive: true,
+            subscriptions: new Map(),
+            nextSubscriptionId: 1
+        };
+        this.clients.add(client);
+        console.log(`🔌 WebSocket API client ${client.id} connected. Total clients: ${this.clients.size}`);
+
+        ws.on('pong', () => {
+            client.alive = true;
+        });
+        ws.on('message', (raw) => {
+            this.stats.messagesIn++;
+            this.handleMessage(client, raw).catch(error => {
+                this.send(client, { op: 'error', error: error.message });
+            });
+        });
+        ws.on('close', () => {
+            this.clients.delete(client);
+            console.log(`🔌 WebSocket API client ${client.id} disconnected. Total clients: ${this.clients.size}`);
+        });
+        ws.on('error', (error) => {
+            console.log('WebSocket API client error:', error.message);
+        });
+
+        this.send(client, { op: 'welcome', clientId: client.id, ops: ['subscribe', 'unsubscribe', 'subscriptions', 'snapshot', 'ping'] });
+    }
+
+    async handleMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            this.send(client, { op: 'error', error: 'Invalid JSON' });
+            return;
+        }
+
+        const requestId = message.requestId;
+        try {
+            switch (message.op) {
+                case 'subscribe':
+                    this.send(client, { op: 'subscribed', requestId, ...this.subscribe(client, message) });
+                    break;
+                case 'unsubscribe':
+                    this.send(client, { op: 'unsubscribed', requestId, subscriptions: this.unsubscribe(client, message.subscription) });
+                    break;
+                case 'subscriptions':
+                    this.send(client, { op: 'subscriptions', requestId, subscriptions: this.describe(client) });
+                    break;
+                case 'snapshot':
+                    this.send(client, { op: 'snapshot', requestId, ...await this.snapshot(message) });
+                    break;
+                case 'ping':
+                    this.send(client, { op: 'pong', requestId, timestamp: new Date().toISOString() });
+                    break;
+                default:
+                    throw new Error(`Unknown op "${message.op}"`);
+            }
+        } catch (error) {
+            this.send(client, { op: 'error', requestId, error: error.message });
+        }
+    }
+
+    subscribe(client, message) {
+        if (client.subscriptions.size >= this.maxSubscriptions) {
+            throw new Error(`Subscription limit reached (${this.maxSubscriptions})`);
+        }
+
+        const subscription = { id: `sub-${client.nextSubscriptionId++}` };
+        if (message.alert) {
+            subscription.alert = parseAlertRule(message.alert);
+        } else {
+            subscription.request = {
+                eventIds: message.eventIds ?? message.eventId,
+                marketIds: message.marketIds ?? message.marketId,
+                tags: message.tags ?? message.tag,
+                types: message.types
+            };
+            subscription.filter = parseFilter({
+                eventId: subscription.request.eventIds,
+                marketId: subscription.request.marketIds,
+                tag: subscription.request.tags,
+                types: subscription.request.types
+            }, this.tags);
+        }
+
+        client.subscriptions.set(subscription.id, subscription);
+        return { subscription: subscription.id };
+    }
+
+    unsubscribe(client, id) {
+        if (id === undefined) {
+            const removed = Array.from(client.subscriptions.keys());
+            client.subscriptions.clear();
+            return removed;
+        }
+        if (!client.subscriptions.delete(id)) {
+            throw new Error(`Unknown subscription "${id}"`);
+        }
+        return [id];
+    }
+
+    describe(client) {
+        return Array.from(client.subscriptions.values(), subscription => ({
+            subscription: subscription.id,
+            ...(subscription.alert ? { alert: subscription.alert } : subscription.request)
+        }));
+    }
+
+    async snapshot(message) {
+        const { tracker } = this.source;
+        const query = { history: 'false', ...message.query };
+        await this.source.prepare();
+
+        if (message.eventId) {
+            const eventData = await tracker.getEvent(String(message.eventId));
+            if (!eventData) throw new Error(`Event ${message.eventId} not found`);
+            return { event: await buildEventDetail(this.source, eventData, query) };
+        }
+        if (message.marketId) {
+            const found = await tracker.getMarket(String(message.marketId));
+            if (!found) throw new Error(`Market ${message.marketId} not found`);
+            return { market: await buildMarketDetail(this.source, found.event, found.market, query) };
+        }
+        if (message.list) {
+            const list = await tracker.listEvents(message.list, { status: message.list.status || 'active' });
+            list.events = tracker.withQuotes(list.events);
+            return { list };
+        }
+        throw new Error('Snapshot needs eventId, marketId or list');
+    }
+
+    dispatch(data) {
+        if (this.clients.size === 0) return;
+        const eventTags = this.tags ? (eventId) => this.tags.forEvent(eventId) : null;
+
+        for (const client of this.clients) {
+            const matched = [];
+            for (const subscription of client.subscriptions.values()) {
+                if (subscription.alert) {
+                    const alert = evaluateAlert(subscription.alert, data);
+                    if (alert) {
+                        this.stats.alertsSent++;
+                        this.send(client, { op: 'alert', subscription: subscription.id, rule: subscription.alert, ...alert, data });
+                    }
+                } else if (matchesFilter(subscription.filter, data, eventTags)) {
+                    matched.push(subscription.id);
+                }
+            }
+
+            if (matched.length > 0) {
+                this.stats.updatesSent++;
+                this.send(client, { op: 'update', subscriptions: matched, data });
+            }
+        }
+    }
+
+    // Clients that stop reading are dropped instead of buffering without bound
+    send(client, message) {
+        const { ws } = client;
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        if (ws.bufferedAmount > this.maxBuffered) {
+            this.stats.dropped++;
+            console.log(`🔌 Dropping slow WebSocket API client ${client.id} (${ws.bufferedAmount} bytes buffered)`);
+            ws.terminate();
+            return;
+        }
+        ws.send(JSON.stringify(message));
+    }
+
+    pingClients() {
+        for (const client of this.clients) {
+            if (!client.alive) {
+                client.ws.terminate();
+                continue;
+            }
+            client.alive = false;
+            client.ws.ping();
+        }
+    }
+
+    getStats() {
+        return {
+            clients: this.clients.size,
+            subscriptions: Array.from(this.clients).reduce((sum, client) => sum + client.subscriptions.size, 0),
+            ...this.stats
+        };
+    }
+}
+
+// { marketId, outcome?, above?, below?, move? }: fires when the outcome price crosses
+// above/below a level, or moves by at least `move` in one update
+function parseAlertRule(rule) {
+    if (!rule.marketId) throw new Error('Alert rule needs marketId');
+
+    const parsed = { marketId: String(rule.marketId) };
+    if (rule.outcome !== undefined) parsed.outcome = String(rule.outcome);
+
+    for (const key of ['above', 'below', 'move']) {
+        if (rule[key] === undefined) continue;
+        const value = Number(rule[key]);
+        if (isNaN(value)) throw new Error(`Alert rule ${key} must be a number`);
+        parsed[key] = value;
+    }
+
+    if (parsed.above === undefined && parsed.below === undefined && parsed.move === undefined) {
+        throw new Error('Alert rule needs above, below or move');
+    }
+    return parsed;
+}
+
+// Price moves in a payload as { outcome, oldPrice, price }: one for a live price_update,
+// one per moved outcome for a synced market_price_changed
+function priceMoves(data) {
+    if (data.type === 'price_update') {
+        return [{ outcome: data.outcome, oldPrice: data.oldPrice, price: data.price }];
+    }
+    if (data.type === 'market_price_changed') {
+        return data.outcomes || [];
+    }
+    return [];
+}
+
+function evaluateAlert(rule, data) {
+    if (String(data.marketId) !== rule.marketId) return null;
+
+    for (const move of priceMoves(data)) {
+        if (rule.outcome !== undefined && move.outcome !== rule.outcome) continue;
+        if (move.oldPrice === undefined || move.oldPrice === null) continue;
+
+        if (rule.above !== undefined && move.oldPrice < rule.above && move.price >= rule.above) {
+            return { trigger: 'above', outcome: move.outcome, price: move.price, oldPrice: move.oldPrice };
+        }
+        if (rule.below !== undefined && move.oldPrice > rule.below && move.price <= rule.below) {
+            return { trigger: 'below', outcome: move.outcome, price: move.price, oldPrice: move.oldPrice };
+        }
+        if (rule.move !== undefined && Math.abs(move.price - move.oldPrice) >= rule.move) {
+            return { trigger: 'move', outcome: move.outcome, price: move.price, oldPrice: move.oldPrice };
+        }
+    }
+    return null;
+}
+
+module.exports = WebSocketApi;
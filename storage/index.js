@@ -0,0 +1,31 @@
+const path = require('path');
+const JsonStorage = require('./jsonStorage');
+
+function isServerless() {
+    return Boolean(process.env.VERCEL) || process.env.NODE_ENV === 'production';
+}
+
+// Pick the storage backend from STORAGE_BACKEND (sqlite | json | memory).
+// Serverless deployments have no writable data directory, so they always get memory.
+function createStorage(options = {}) {
+    const dataDir = options.dataDir || './data';
+    const backend = isServerless() ? 'memory' : (options.backend || process.env.STORAGE_BACKEND || 'sqlite');
+
+    switch (backend) {
+        case 'sqlite': {
+            const SqliteStorage = require('./sqliteStorage');
+            return new SqliteStorage({
+                file: process.env.SQLITE_PATH || path.join(dataDir, 'tracker.db'),
+                log: options.log
+            });
+        }
+        case 'json':
+            return new JsonStorage({ file: path.join(dataDir, 'events.json'), log: options.log });
+        case 'memory':
+            return new JsonStorage({ persist: false, log: options.log });
+        default:
+            throw new Error(`Unknown storage backend "${backend}" (expected sqlite, json or memory)`);
+    }
+}
+
+module.exports = { createStorage, isServerless, JsonStorage };
@@ -0,0 +1,258 @@
+const fs = require('fs-extra');
+const path = require('path');
+const TagIndex = require('../tagIndex');
+const { SORT_FIELDS } = require('../listQuery');
+
+// Legacy adapter that keeps the whole state in one data/events.json file.
+// With persist: false it only keeps the state in memory (serverless).
+class JsonStorage {
+    constructor(options = {}) {
+        this.name = options.persist === false ? 'memory' : 'json';
+        this.file = options.file || path.join('./data', 'events.json');
+        this.winnersFile = options.winnersFile || path.join(path.dirname(this.file), 'winners.json');
+        this.checkpointsFile = options.checkpointsFile || path.join(path.dirname(this.file), 'scan-checkpoints.json');
+        this.jobsFile = options.jobsFile || path.join(path.dirname(this.file), 'winner-jobs.json');
+        this.metaFile = options.metaFile || path.join(path.dirname(this.file), 'meta.json');
+        this.persist = options.persist !== false;
+        this.log = options.log || console.log;
+
+        this.events = { active: new Map(), resolved: new Map(), lastUpdate: null };
+        this.meta = {};
+        this.marketWinners = new Map();
+        this.scanCheckpoints = null;
+        this.winnerJobs = new Map();
+    }
+
+    async init() {
+        if (this.persist) {
+            await fs.ensureDir(path.dirname(this.file));
+        }
+    }
+
+    async loadEvents() {
+        if (this.persist && await fs.pathExists(this.file)) {
+            const data = await fs.readJson(this.file);
+            this.events = {
+                active: new Map(data.active || []),
+                resolved: new Map(data.resolved || []),
+                lastUpdate: data.lastUpdate
+            };
+            // Older files kept meta inside events.json
+            this.meta = data.meta || {};
+        }
+        if (this.persist && await fs.pathExists(this.metaFile)) {
+            this.meta = await fs.readJson(this.metaFile);
+        }
+        return this.events;
+    }
+
+    async saveEvents(events) {
+        // Keep a live reference so queries see in-memory updates between saves
+        this.events = events;
+        if (!this.persist) return;
+
+        const data = {
+            active: Array.from(events.active.entries()),
+            resolved: Array.from(events.resolved.entries()),
+            lastUpdate: events.lastUpdate
+        };
+        await fs.writeJson(this.file, data, { spaces: 2 });
+    }
+
+    async saveEvent(eventData, collection = 'active') {
+        const other = collection === 'active' ? 'resolved' : 'active';
+        this.events[other].delete(eventData.id);
+        this.events[collection].set(eventData.id, eventData);
+        await this.saveEvents(this.events);
+    }
+
+    async deleteEvent(eventId) {
+        this.events.active.delete(eventId);
+        this.events.resolved.delete(eventId);
+        await this.saveEvents(this.events);
+    }
+
+    async getEvent(eventId) {
+        const id = String(eventId);
+        return this.events.active.get(id) || this.events.resolved.get(id) || null;
+    }
+
+    async getEventBySlug(slug) {
+        for (const map of [this.events.active, this.events.resolved]) {
+            for (const eventData of map.values()) {
+                if (eventData.slug === slug) return eventData;
+            }
+        }
+        return null;
+    }
+
+    async getMarketEventId(marketId) {
+        const id = String(marketId);
+        for (const map of [this.events.active, this.events.resolved]) {
+            for (const eventData of map.values()) {
+                if ((eventData.markets || []).some(market => String(market.id) === id)) return eventData.id;
+            }
+        }
+        return null;
+    }
+
+    async queryEvents(options = {}) {
+        let events = options.collection
+            ? Array.from(this.events[options.collection === 'resolved' ? 'resolved' : 'active'].values())
+            : [...this.events.active.values(), ...this.events.resolved.values()];
+
+        if (options.multiOutcome !== undefined) {
+            events = events.filter(e => (e.multiOutcomeMarketsCount > 0) === options.multiOutcome);
+        }
+        if (options.featured !== undefined) {
+            events = events.filter(e => Boolean(e.featured) === options.featured);
+        }
+        if (options.restricted !== undefined) {
+            events = events.filter(e => Boolean(e.restricted) === options.restricted);
+        }
+        if (options.minVolume !== undefined) events = events.filter(e => (e.totalVolume || 0) >= options.minVolume);
+        if (options.maxVolume !== undefined) events = events.filter(e => (e.totalVolume || 0) <= options.maxVolume);
+        if (options.minLiquidity !== undefined) events = events.filter(e => (e.totalLiquidity || 0) >= options.minLiquidity);
+        if (options.maxLiquidity !== undefined) events = events.filter(e => (e.totalLiquidity || 0) <= options.maxLiquidity);
+        if (options.minEndDate !== undefined) {
+            events = events.filter(e => e.endDate && Date.parse(e.endDate) >= Date.parse(options.minEndDate));
+        }
+        if (options.maxEndDate !== undefined) {
+            events = events.filter(e => e.endDate && Date.parse(e.endDate) <= Date.parse(options.maxEndDate));
+        }
+        if (options.tags && options.tags.length > 0) {
+            events = events.filter(e => TagIndex.eventTags(e).some(tag => options.tags.includes(tag.key)));
+        }
+        if (options.excludeTags && options.excludeTags.length > 0) {
+            events = events.filter(e => !TagIndex.eventTags(e).some(tag => options.excludeTags.includes(tag.key)));
+        }
+
+        const key = SORT_FIELDS[options.sort] || SORT_FIELDS.totalVolume;
+        const direction = options.order === 'asc' ? 1 : -1;
+        const compare = (av, bv) => (av > bv ? 1 : av < bv ? -1 : 0);
+        const byId = (a, b) => compare(String(a.id), String(b.id));
+        events.sort((a, b) => compare(key(a), key(b)) * direction || byId(a, b));
+
+        const total = events.length;
+        if (options.after) {
+            const after = { id: String(options.after.id) };
+            events = events.filter(e => {
+                const order = compare(key(e), options.after.value) * direction;
+                return order > 0 || (order === 0 && byId(e, after) > 0);
+            });
+        }
+
+        const offset = options.offset || 0;
+        const limit = options.limit ?? 10;
+        return { events: events.slice(offset, offset + limit), total, hasMore: events.length > offset + limit };
+    }
+
+    async getStats() {
+        const activeEvents = Array.from(this.events.active.values());
+        return {
+            activeEvents: this.events.active.size,
+            resolvedEvents: this.events.resolved.size,
+            activeMarkets: activeEvents.reduce((sum, e) => sum + e.activeMarketsCount, 0),
+            resolvedMarkets: activeEvents.reduce((sum, e) => sum + e.resolvedMarketsCount, 0),
+            multiOutcomeMarkets: activeEvents.reduce((sum, e) => sum + e.multiOutcomeMarketsCount, 0),
+            totalVolume: activeEvents.reduce((sum, e) => sum + e.totalVolume, 0),
+            lastUpdate: this.events.lastUpdate
+        };
+    }
+
+    async getMeta(key) {
+        return this.meta[key] ?? null;
+    }
+
+    // Meta (sync cursors) changes once per page, so it has its own small file
+    async setMeta(key, value) {
+        this.meta[key] = value;
+        if (this.persist) {
+            await fs.writeJson(this.metaFile, this.meta);
+        }
+    }
+
+    async saveMarketWinners(winnerData) {
+        this.marketWinners.set(String(winnerData.marketId), winnerData);
+        if (this.persist) {
+            await fs.writeJson(this.winnersFile, Object.fromEntries(this.marketWinners), { spaces: 2 });
+        }
+    }
+
+    async loadMarketWinners() {
+        if (this.persist && await fs.pathExists(this.winnersFile)) {
+            this.marketWinners = new Map(Object.entries(await fs.readJson(this.winnersFile)));
+        }
+        return this.marketWinners;
+    }
+
+    // Holder scan checkpoints, read from disk on first use
+    async loadScanCheckpoints() {
+        if (!this.scanCheckpoints) {
+            const stored = this.persist && await fs.pathExists(this.checkpointsFile) ?
+                await fs.readJson(this.checkpointsFile) :
+                {};
+            this.scanCheckpoints = new Map(Object.entries(stored));
+        }
+        return this.scanCheckpoints;
+    }
+
+    async writeScanCheckpoints() {
+        if (this.persist) {
+            await fs.writeJson(this.checkpointsFile, Object.fromEntries(this.scanCheckpoints));
+        }
+    }
+
+    async getScanCheckpoint(key) {
+        return (await this.loadScanCheckpoints()).get(key) || null;
+    }
+
+    async saveScanCheckpoint(checkpoint) {
+        (await this.loadScanCheckpoints()).set(checkpoint.key, checkpoint);
+        await this.writeScanCheckpoints();
+    }
+
+    async deleteScanCheckpoint(key) {
+        if ((await this.loadScanCheckpoints()).delete(key)) {
+            await this.writeScanCheckpoints();
+        }
+    }
+
+    async saveWinnerJob(job) {
+        this.winnerJobs.set(job.id, { ...job });
+        await this.writeWinnerJobs();
+    }
+
+    async loadWinnerJobs() {
+        if (this.persist && await fs.pathExists(this.jobsFile)) {
+            this.winnerJobs = new Map(Object.entries(await fs.readJson(this.jobsFile)));
+        }
+        return Array.from(this.winnerJobs.values());
+    }
+
+    async deleteWinnerJob(id) {
+        if (this.winnerJobs.delete(id)) {
+            await this.writeWinnerJobs();
+        }
+    }
+
+    async writeWinnerJobs() {
+        if (this.persist) {
+            await fs.writeJson(this.jobsFile, Object.fromEntries(this.winnerJobs));
+        }
+    }
+
+    async ping() {
+        if (this.persist) {
+            await fs.access(path.dirname(this.file), fs.constants.W_OK);
+        }
+    }
+
+    describe() {
+        return { backend: this.name, file: this.persist ? this.file : null };
+    }
+
+    async close() {}
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,249 @@
+// Ordered schema migrations for the SQLite backend. Each entry is applied once,
+// in order, and recorded in PRAGMA user_version. Never edit a shipped migration;
+// append a new one instead.
+module.exports = [
+    {
+        version: 1,
+        name: 'initial schema',
+        up: `
+            CREATE TABLE meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+
+            CREATE TABLE events (
+                id TEXT PRIMARY KEY,
+                collection TEXT NOT NULL,
+                status TEXT,
+                ticker TEXT,
+                slug TEXT,
+                title TEXT,
+                description TEXT,
+                start_date TEXT,
+                creation_date TEXT,
+                end_date TEXT,
+                volume REAL DEFAULT 0,
+                volume_usd REAL DEFAULT 0,
+                liquidity REAL DEFAULT 0,
+                total_volume REAL DEFAULT 0,
+                total_liquidity REAL DEFAULT 0,
+                active INTEGER,
+                closed INTEGER,
+                archived INTEGER,
+                is_new INTEGER,
+                featured INTEGER,
+                restricted INTEGER,
+                tags TEXT,
+                markets_count INTEGER DEFAULT 0,
+                active_markets_count INTEGER DEFAULT 0,
+                resolved_markets_count INTEGER DEFAULT 0,
+                multi_outcome_markets_count INTEGER DEFAULT 0,
+                polymarket_url TEXT,
+                last_update TEXT
+            );
+
+            CREATE INDEX idx_events_collection_volume ON events (collection, total_volume DESC);
+            CREATE INDEX idx_events_slug ON events (slug);
+
+            CREATE TABLE markets (
+                id TEXT PRIMARY KEY,
+                event_id TEXT NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+                position INTEGER NOT NULL,
+                question_id TEXT,
+                question TEXT,
+                description TEXT,
+                slug TEXT,
+                status TEXT,
+                start_date TEXT,
+                end_date TEXT,
+                volume REAL DEFAULT 0,
+                volume_usd REAL DEFAULT 0,
+                liquidity REAL DEFAULT 0,
+                price REAL,
+                is_multi_outcome INTEGER DEFAULT 0,
+                winning_outcome TEXT,
+                condition_id TEXT,
+                fpmm TEXT,
+                resolved_at TEXT,
+                polymarket_url TEXT
+            );
+
+            CREATE INDEX idx_markets_event ON markets (event_id, position);
+
+            CREATE TABLE outcomes (
+                market_id TEXT NOT NULL REFERENCES markets (id) ON DELETE CASCADE,
+                position INTEGER NOT NULL,
+                token_id TEXT,
+                outcome TEXT,
+                price REAL,
+                winner INTEGER DEFAULT 0,
+                PRIMARY KEY (market_id, position)
+            );
+
+            CREATE INDEX idx_outcomes_token ON outcomes (token_id);
+
+            CREATE TABLE market_winners (
+                market_id TEXT PRIMARY KEY,
+                winning_outcome TEXT,
+                position_id TEXT,
+                resolution_block INTEGER,
+                total_payout REAL DEFAULT 0,
+                winner_count INTEGER DEFAULT 0,
+                timestamp TEXT
+            );
+
+            CREATE TABLE winners (
+                market_id TEXT NOT NULL REFERENCES market_winners (market_id) ON DELETE CASCADE,
+                address TEXT NOT NULL,
+                winning_tokens REAL DEFAULT 0,
+                payout_usdc REAL DEFAULT 0,
+                PRIMARY KEY (market_id, address)
+            );
+
+            CREATE INDEX idx_winners_payout ON winners (payout_usdc DESC);
+        `
+    },
+    {
+        version: 2,
+        name: 'event tags',
+        up: `
+            CREATE TABLE event_tags (
+                event_id TEXT NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+                tag TEXT NOT NULL,
+                label TEXT,
+                PRIMARY KEY (event_id, tag)
+            );
+
+            CREATE INDEX idx_event_tags_tag ON event_tags (tag);
+
+            INSERT OR IGNORE INTO event_tags (event_id, tag, label)
+            SELECT events.id,
+                   lower(trim(CASE WHEN json_type(tag.value) = 'object'
+                       THEN coalesce(nullif(json_extract(tag.value, '$.slug'), ''), nullif(json_extract(tag.value, '$.label'), ''), json_extract(tag.value, '$.id'))
+                       ELSE tag.value END)),
+                   CASE WHEN json_type(tag.value) = 'object'
+                       THEN coalesce(nullif(json_extract(tag.value, '$.label'), ''), json_extract(tag.value, '$.slug'))
+                       ELSE tag.value END
+            FROM events, json_each(coalesce(events.tags, '[]')) AS tag
+            WHERE tag.value IS NOT NULL;
+        `
+    },
+    {
+        version: 3,
+        name: 'market neg risk flag',
+        up: `
+            ALTER TABLE markets ADD COLUMN neg_risk INTEGER DEFAULT 0;
+        `
+    },
+    {
+        version: 4,
+        name: 'exact winner balances',
+        up: `
+            ALTER TABLE market_winners ADD COLUMN contract_address TEXT;
+            ALTER TABLE market_winners ADD COLUMN total_balance TEXT;
+            ALTER TABLE market_winners ADD COLUMN verification TEXT;
+            ALTER TABLE winners ADD COLUMN balance TEXT;
+        `
+    },
+    {
+        version: 5,
+        name: 'holder scan checkpoints',
+        up: `
+            CREATE TABLE scan_checkpoints (
+                key TEXT PRIMARY KEY,
+                position_id TEXT NOT NULL,
+                contract_address TEXT,
+                start_block INTEGER,
+                next_block INTEGER,
+                chunk_size INTEGER,
+                balances TEXT,
+                updated_at TEXT
+            );
+        `
+    },
+    {
+        version: 6,
+        name: 'winner jobs',
+        up: `
+            CREATE TABLE winner_jobs (
+                id TEXT PRIMARY KEY,
+                market_id TEXT,
+                state TEXT,
+                data TEXT NOT NULL,
+                created_at TEXT,
+                updated_at TEXT
+            );
+
+            CREATE INDEX idx_winner_jobs_state ON winner_jobs (state);
+        `
+    },
+    {
+        // Gamma can list the same market under more than one event, so market IDs are
+        // only unique within their event
+        version: 7,
+        name: 'markets keyed by event',
+        up: `
+            CREATE TABLE markets_v7 (
+                event_id TEXT NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+                id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                question_id TEXT,
+                question TEXT,
+                description TEXT,
+                slug TEXT,
+                status TEXT,
+                start_date TEXT,
+                end_date TEXT,
+                volume REAL DEFAULT 0,
+                volume_usd REAL DEFAULT 0,
+                liquidity REAL DEFAULT 0,
+                price REAL,
+                is_multi_outcome INTEGER DEFAULT 0,
+                winning_outcome TEXT,
+                condition_id TEXT,
+                fpmm TEXT,
+                resolved_at TEXT,
+                polymarket_url TEXT,
+                neg_risk INTEGER DEFAULT 0,
+                PRIMARY KEY (event_id, id)
+            );
+
+            INSERT INTO markets_v7 (
+                event_id, id, position, question_id, question, description, slug, status,
+                start_date, end_date, volume, volume_usd, liquidity, price, is_multi_outcome,
+                winning_outcome, condition_id, fpmm, resolved_at, polymarket_url, neg_risk
+            )
+            SELECT
+                event_id, id, position, question_id, question, description, slug, status,
+                start_date, end_date, volume, volume_usd, liquidity, price, is_multi_outcome,
+                winning_outcome, condition_id, fpmm, resolved_at, polymarket_url, neg_risk
+            FROM markets;
+
+            CREATE TABLE outcomes_v7 (
+                event_id TEXT NOT NULL,
+                market_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                token_id TEXT,
+                outcome TEXT,
+                price REAL,
+                winner INTEGER DEFAULT 0,
+                PRIMARY KEY (event_id, market_id, position),
+                FOREIGN KEY (event_id, market_id) REFERENCES markets_v7 (event_id, id) ON DELETE CASCADE
+            );
+
+            INSERT INTO outcomes_v7 (event_id, market_id, position, token_id, outcome, price, winner)
+            SELECT markets.event_id, outcomes.market_id, outcomes.position, outcomes.token_id,
+                   outcomes.outcome, outcomes.price, outcomes.winner
+            FROM outcomes JOIN markets ON markets.id = outcomes.market_id;
+
+            DROP TABLE outcomes;
+            DROP TABLE markets;
+            ALTER TABLE markets_v7 RENAME TO markets;
+            ALTER TABLE outcomes_v7 RENAME TO outcomes;
+
+            CREATE INDEX idx_markets_event ON markets (event_id, position);
+            CREATE INDEX idx_markets_id ON markets (id);
+            CREATE INDEX idx_outcomes_token ON outcomes (token_id);
+        `
+    }
+];
@@ -0,0 +1,658 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+const TagIndex = require('../tagIndex');
+
+// Null-free sort expressions; they must order exactly like SORT_FIELDS in listQuery.js
+// so keyset cursors line up with either backend
+const SORT_COLUMNS = {
+    totalVolume: 'coalesce(total_volume, 0)',
+    volume: 'coalesce(volume, 0)',
+    liquidity: 'coalesce(total_liquidity, 0)',
+    startDate: "coalesce(start_date, '')",
+    endDate: "coalesce(end_date, '')",
+    title: "coalesce(title, '')"
+};
+
+const toFlag = (value) => value === undefined || value === null ? null : (value ? 1 : 0);
+const fromFlag = (value) => value === null || value === undefined ? undefined : value === 1;
+
+class SqliteStorage {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.file = options.file || path.join('./data', 'tracker.db');
+        this.log = options.log || console.log;
+        this.db = null;
+    }
+
+    async init() {
+        if (this.db) return;
+
+        await fs.ensureDir(path.dirname(this.file));
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+
+        this.migrate();
+        this.prepareStatements();
+    }
+
+    migrate() {
+        const current = this.db.pragma('user_version', { simple: true });
+        const pending = migrations.filter(m => m.version > current);
+
+        for (const migration of pending) {
+            this.db.transaction(() => {
+                this.db.exec(migration.up);
+                this.db.pragma(`user_version = ${migration.version}`);
+            })();
+            this.log(`Applied storage migration ${migration.version}: ${migration.name}`);
+        }
+    }
+
+    prepareStatements() {
+        this.statements = {
+            upsertEvent: this.db.prepare(`
+                INSERT INTO events (
+                    id, collection, status, ticker, slug, title, description,
+                    start_date, creation_date, end_date, volume, volume_usd, liquidity,
+                    total_volume, total_liquidity, active, closed, archived, is_new,
+                    featured, restricted, tags, markets_count, active_markets_count,
+                    resolved_markets_count, multi_outcome_markets_count, polymarket_url, last_update
+                ) VALUES (
+                    @id, @collection, @status, @ticker, @slug, @title, @description,
+                    @start_date, @creation_date, @end_date, @volume, @volume_usd, @liquidity,
+                    @total_volume, @total_liquidity, @active, @closed, @archived, @is_new,
+                    @featured, @restricted, @tags, @markets_count, @active_markets_count,
+                    @resolved_markets_count, @multi_outcome_markets_count, @polymarket_url, @last_update
+                )
+                ON CONFLICT (id) DO UPDATE SET
+                    collection = excluded.collection, status = excluded.status, ticker = excluded.ticker,
+                    slug = excluded.slug, title = excluded.title, description = excluded.description,
+                    start_date = excluded.start_date, creation_date = excluded.creation_date,
+                    end_date = excluded.end_date, volume = excluded.volume, volume_usd = excluded.volume_usd,
+                    liquidity = excluded.liquidity, total_volume = excluded.total_volume,
+                    total_liquidity = excluded.total_liquidity, active = excluded.active,
+                    closed = excluded.closed, archived = excluded.archived, is_new = excluded.is_new,
+                    featured = excluded.featured, restricted = excluded.restricted, tags = excluded.tags,
+                    markets_count = excluded.markets_count,
+                    active_markets_count = excluded.active_markets_count,
+                    resolved_markets_count = excluded.resolved_markets_count,
+                    multi_outcome_markets_count = excluded.multi_outcome_markets_count,
+                    polymarket_url = excluded.polymarket_url, last_update = excluded.last_update
+            `),
+            deleteEvent: this.db.prepare('DELETE FROM events WHERE id = ?'),
+            deleteEventMarkets: this.db.prepare('DELETE FROM markets WHERE event_id = ?'),
+            deleteEventTags: this.db.prepare('DELETE FROM event_tags WHERE event_id = ?'),
+            insertEventTag: this.db.prepare(`
+                INSERT INTO event_tags (event_id, tag, label) VALUES (@event_id, @tag, @label)
+            `),
+            insertMarket: this.db.prepare(`
+                INSERT INTO markets (
+                    id, event_id, position, question_id, question, description, slug, status,
+                    start_date, end_date, volume, volume_usd, liquidity, price, is_multi_outcome,
+                    winning_outcome, condition_id, neg_risk, fpmm, resolved_at, polymarket_url
+                ) VALUES (
+                    @id, @event_id, @position, @question_id, @question, @description, @slug, @status,
+                    @start_date, @end_date, @volume, @volume_usd, @liquidity, @price, @is_multi_outcome,
+                    @winning_outcome, @condition_id, @neg_risk, @fpmm, @resolved_at, @polymarket_url
+                )
+            `),
+            insertOutcome: this.db.prepare(`
+                INSERT INTO outcomes (event_id, market_id, position, token_id, outcome, price, winner)
+                VALUES (@event_id, @market_id, @position, @token_id, @outcome, @price, @winner)
+            `),
+            selectEventIds: this.db.prepare('SELECT id FROM events'),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare(`
+                INSERT INTO meta (key, value) VALUES (?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value
+            `),
+            upsertMarketWinners: this.db.prepare(`
+                INSERT INTO market_winners (
+                    market_id, winning_outcome, position_id, contract_address, resolution_block,
+                    total_balance, total_payout, winner_count, verification, timestamp
+                ) VALUES (
+                    @market_id, @winning_outcome, @position_id, @contract_address, @resolution_block,
+                    @total_balance, @total_payout, @winner_count, @verification, @timestamp
+                )
+                ON CONFLICT (market_id) DO UPDATE SET
+                    winning_outcome = excluded.winning_outcome, position_id = excluded.position_id,
+                    contract_address = excluded.contract_address, resolution_block = excluded.resolution_block,
+                    total_balance = excluded.total_balance, total_payout = excluded.total_payout,
+                    winner_count = excluded.winner_count, verification = excluded.verification,
+                    timestamp = excluded.timestamp
+            `),
+            deleteWinners: this.db.prepare('DELETE FROM winners WHERE market_id = ?'),
+            insertWinner: this.db.prepare(`
+                INSERT INTO winners (market_id, address, balance, winning_tokens, payout_usdc)
+                VALUES (@market_id, @address, @balance, @winning_tokens, @payout_usdc)
+            `),
+            getScanCheckpoint: this.db.prepare('SELECT * FROM scan_checkpoints WHERE key = ?'),
+            upsertScanCheckpoint: this.db.prepare(`
+                INSERT INTO scan_checkpoints (
+                    key, position_id, contract_address, start_block, next_block, chunk_size, balances, updated_at
+                ) VALUES (
+                    @key, @position_id, @contract_address, @start_block, @next_block, @chunk_size, @balances, @updated_at
+                )
+                ON CONFLICT (key) DO UPDATE SET
+                    start_block = excluded.start_block, next_block = excluded.next_block,
+                    chunk_size = excluded.chunk_size, balances = excluded.balances, updated_at = excluded.updated_at
+            `),
+            deleteScanCheckpoint: this.db.prepare('DELETE FROM scan_checkpoints WHERE key = ?'),
+            upsertWinnerJob: this.db.prepare(`
+                INSERT INTO winner_jobs (id, market_id, state, data, created_at, updated_at)
+                VALUES (@id, @market_id, @state, @data, @created_at, @updated_at)
+                ON CONFLICT (id) DO UPDATE SET
+                    state = excluded.state, data = excluded.data, updated_at = excluded.updated_at
+            `),
+            deleteWinnerJob: this.db.prepare('DELETE FROM winner_jobs WHERE id = ?')
+        };
+
+        this.writeEvent = this.db.transaction((eventData, collection) => this.writeEventRows(eventData, collection));
+        this.writeAll = this.db.transaction((events) => {
+            const keep = new Set();
+            for (const [collection, map] of [['active', events.active], ['resolved', events.resolved]]) {
+                for (const eventData of map.values()) {
+                    this.writeEventRows(eventData, collection);
+                    keep.add(String(eventData.id));
+                }
+            }
+            for (const { id } of this.statements.selectEventIds.all()) {
+                if (!keep.has(id)) {
+                    this.statements.deleteEvent.run(id);
+                }
+            }
+            this.statements.setMeta.run('lastUpdate', events.lastUpdate || null);
+        });
+    }
+
+    writeEventRows(eventData, collection) {
+        const id = String(eventData.id);
+
+        this.statements.upsertEvent.run({
+            id,
+            collection,
+            status: eventData.status,
+            ticker: eventData.ticker ?? null,
+            slug: eventData.slug ?? null,
+            title: eventData.title ?? null,
+            description: eventData.description ?? null,
+            start_date: eventData.startDate ?? null,
+            creation_date: eventData.creationDate ?? null,
+            end_date: eventData.endDate ?? null,
+            volume: eventData.volume || 0,
+            volume_usd: eventData.volumeUSD || 0,
+            liquidity: eventData.liquidity || 0,
+            total_volume: eventData.totalVolume || 0,
+            total_liquidity: eventData.totalLiquidity || 0,
+            active: toFlag(eventData.active),
+            closed: toFlag(eventData.closed),
+            archived: toFlag(eventData.archived),
+            is_new: toFlag(eventData.new),
+            featured: toFlag(eventData.featured),
+            restricted: toFlag(eventData.restricted),
+            tags: JSON.stringify(eventData.tags || []),
+            markets_count: eventData.marketsCount || 0,
+            active_markets_count: eventData.activeMarketsCount || 0,
+            resolved_markets_count: eventData.resolvedMarketsCount || 0,
+            multi_outcome_markets_count: eventData.multiOutcomeMarketsCount || 0,
+            polymarket_url: eventData.polymarketURL ?? null,
+            last_update: eventData.lastUpdate ?? null
+        });
+
+        this.statements.deleteEventTags.run(id);
+        for (const tag of TagIndex.eventTags(eventData)) {
+            this.statements.insertEventTag.run({ event_id: id, tag: tag.key, label: tag.label });
+        }
+
+        this.statements.deleteEventMarkets.run(id);
+
+        (eventData.markets || []).forEach((market, position) => {
+            const marketId = String(market.id);
+            this.statements.insertMarket.run({
+                id: marketId,
+                event_id: id,
+                position,
+                question_id: market.questionId ?? null,
+                question: market.question ?? null,
+                description: market.description ?? null,
+                slug: market.slug ?? null,
+                status: market.status ?? null,
+                start_date: market.startDate ?? null,
+                end_date: market.endDate ?? null,
+                volume: market.volume || 0,
+                volume_usd: market.volumeUSD || 0,
+                liquidity: market.liquidity || 0,
+                price: market.price ?? null,
+                is_multi_outcome: toFlag(market.isMultiOutcome),
+                winning_outcome: market.winningOutcome ?? null,
+                condition_id: market.conditionId ?? null,
+                neg_risk: toFlag(market.negRisk),
+                fpmm: market.fpmm ?? null,
+                resolved_at: market.resolvedAt ?? null,
+                polymarket_url: market.polymarketURL ?? null
+            });
+
+            (market.outcomes || []).forEach((outcome, outcomePosition) => {
+                this.statements.insertOutcome.run({
+                    event_id: id,
+                    market_id: marketId,
+                    position: outcomePosition,
+                    token_id: outcome.tokenId ?? null,
+                    outcome: outcome.outcome ?? null,
+                    price: outcome.price ?? null,
+                    winner: toFlag(outcome.winner)
+                });
+            });
+        });
+    }
+
+    rowToEvent(row, markets) {
+        return {
+            id: row.id,
+            ticker: row.ticker,
+            slug: row.slug,
+            title: row.title,
+            description: row.description,
+
+            status: row.status,
+            startDate: row.start_date,
+            creationDate: row.creation_date,
+            endDate: row.end_date,
+
+            volume: row.volume,
+            volumeUSD: row.volume_usd,
+            liquidity: row.liquidity,
+            totalVolume: row.total_volume,
+            totalLiquidity: row.total_liquidity,
+
+            active: fromFlag(row.active),
+            closed: fromFlag(row.closed),
+            archived: fromFlag(row.archived),
+            new: fromFlag(row.is_new),
+            featured: fromFlag(row.featured),
+            restricted: fromFlag(row.restricted),
+
+            tags: row.tags ? JSON.parse(row.tags) : [],
+
+            markets,
+            marketsCount: row.markets_count,
+            activeMarketsCount: row.active_markets_count,
+            resolvedMarketsCount: row.resolved_markets_count,
+            multiOutcomeMarketsCount: row.multi_outcome_markets_count,
+
+            hasActiveMarkets: markets.some(m => m.status === 'active'),
+            hasResolvedMarkets: markets.some(m => m.status === 'resolved'),
+
+            lastUpdate: row.last_update,
+            polymarketURL: row.polymarket_url
+        };
+    }
+
+    rowToMarket(row, outcomes) {
+        const market = {
+            id: row.id,
+            questionId: row.question_id,
+            question: row.question,
+            description: row.description,
+            slug: row.slug,
+
+            status: row.status,
+            startDate: row.start_date,
+            endDate: row.end_date,
+
+            volume: row.volume,
+            volumeUSD: row.volume_usd,
+            liquidity: row.liquidity,
+
+            outcomes,
+            outcomesCount: outcomes.length,
+            isMultiOutcome: row.is_multi_outcome === 1,
+
+            winningOutcome: row.winning_outcome,
+
+            conditionId: row.condition_id,
+            negRisk: row.neg_risk === 1,
+            fpmm: row.fpmm,
+
+            polymarketURL: row.polymarket_url
+        };
+
+        if (row.price !== null) market.price = row.price;
+        if (row.resolved_at !== null) market.resolvedAt = row.resolved_at;
+
+        return market;
+    }
+
+    // Load markets and outcomes for a set of event rows in two queries
+    hydrateEvents(eventRows) {
+        if (eventRows.length === 0) return [];
+
+        const ids = eventRows.map(row => row.id);
+        const placeholders = ids.map(() => '?').join(',');
+
+        const marketRows = this.db.prepare(
+            `SELECT * FROM markets WHERE event_id IN (${placeholders}) ORDER BY event_id, position`
+        ).all(...ids);
+
+        // Market IDs are only unique within their event
+        const marketKey = (eventId, marketId) => `${eventId}:${marketId}`;
+        const outcomesByMarket = new Map();
+        if (marketRows.length > 0) {
+            const outcomeRows = this.db.prepare(
+                `SELECT * FROM outcomes WHERE event_id IN (${placeholders}) ORDER BY event_id, market_id, position`
+            ).all(...ids);
+
+            for (const row of outcomeRows) {
+                const key = marketKey(row.event_id, row.market_id);
+                if (!outcomesByMarket.has(key)) {
+                    outcomesByMarket.set(key, []);
+                }
+                outcomesByMarket.get(key).push({
+                    tokenId: row.token_id,
+                    outcome: row.outcome,
+                    price: row.price,
+                    winner: row.winner === 1
+                });
+            }
+        }
+
+        const marketsByEvent = new Map();
+        for (const row of marketRows) {
+            if (!marketsByEvent.has(row.event_id)) {
+                marketsByEvent.set(row.event_id, []);
+            }
+            marketsByEvent.get(row.event_id).push(this.rowToMarket(row, outcomesByMarket.get(marketKey(row.event_id, row.id)) || []));
+        }
+
+        return eventRows.map(row => this.rowToEvent(row, marketsByEvent.get(row.id) || []));
+    }
+
+    hydrateInChunks(eventRows) {
+        const events = [];
+        for (let i = 0; i < eventRows.length; i += 500) {
+            events.push(...this.hydrateEvents(eventRows.slice(i, i + 500)));
+        }
+        return events;
+    }
+
+    async loadEvents() {
+        const rows = this.db.prepare('SELECT * FROM events').all();
+        const events = this.hydrateInChunks(rows);
+
+        const state = { active: new Map(), resolved: new Map(), lastUpdate: await this.getMeta('lastUpdate') };
+        events.forEach((eventData, index) => {
+            state[rows[index].collection === 'resolved' ? 'resolved' : 'active'].set(eventData.id, eventData);
+        });
+        return state;
+    }
+
+    async saveEvents(events) {
+        this.writeAll(events);
+    }
+
+    async saveEvent(eventData, collection = 'active') {
+        this.writeEvent(eventData, collection);
+    }
+
+    async deleteEvent(eventId) {
+        this.statements.deleteEvent.run(String(eventId));
+    }
+
+    async getEvent(eventId) {
+        const row = this.db.prepare('SELECT * FROM events WHERE id = ?').get(String(eventId));
+        return row ? this.hydrateEvents([row])[0] : null;
+    }
+
+    async getEventBySlug(slug) {
+        const row = this.db.prepare('SELECT * FROM events WHERE slug = ? ORDER BY collection = \'active\' DESC LIMIT 1').get(String(slug));
+        return row ? this.hydrateEvents([row])[0] : null;
+    }
+
+    async getMarketEventId(marketId) {
+        const row = this.db.prepare(`
+            SELECT markets.event_id FROM markets JOIN events ON events.id = markets.event_id
+            WHERE markets.id = ? ORDER BY events.collection = 'active' DESC LIMIT 1
+        `).get(String(marketId));
+        return row ? row.event_id : null;
+    }
+
+    async queryEvents(options = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (options.collection) {
+            conditions.push('collection = @collection');
+            params.collection = options.collection;
+        }
+        if (options.multiOutcome !== undefined) {
+            conditions.push(options.multiOutcome ? 'multi_outcome_markets_count > 0' : 'coalesce(multi_outcome_markets_count, 0) = 0');
+        }
+        if (options.featured !== undefined) {
+            conditions.push(`coalesce(featured, 0) = ${options.featured ? 1 : 0}`);
+        }
+        if (options.restricted !== undefined) {
+            conditions.push(`coalesce(restricted, 0) = ${options.restricted ? 1 : 0}`);
+        }
+        for (const [option, column, operator] of [
+            ['minVolume', 'total_volume', '>='],
+            ['maxVolume', 'total_volume', '<='],
+            ['minLiquidity', 'total_liquidity', '>='],
+            ['maxLiquidity', 'total_liquidity', '<=']
+        ]) {
+            if (options[option] !== undefined) {
+                conditions.push(`coalesce(${column}, 0) ${operator} @${option}`);
+                params[option] = options[option];
+            }
+        }
+        if (options.minEndDate !== undefined) {
+            conditions.push('julianday(end_date) >= julianday(@minEndDate)');
+            params.minEndDate = options.minEndDate;
+        }
+        if (options.maxEndDate !== undefined) {
+            conditions.push('julianday(end_date) <= julianday(@maxEndDate)');
+            params.maxEndDate = options.maxEndDate;
+        }
+        if (options.tags && options.tags.length > 0) {
+            conditions.push(`id IN (SELECT event_id FROM event_tags WHERE tag IN (${this.bindList(params, 'tag', options.tags)}))`);
+        }
+        if (options.excludeTags && options.excludeTags.length > 0) {
+            conditions.push(`id NOT IN (SELECT event_id FROM event_tags WHERE tag IN (${this.bindList(params, 'excludeTag', options.excludeTags)}))`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const sortColumn = SORT_COLUMNS[options.sort] || SORT_COLUMNS.totalVolume;
+        const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+        const total = this.db.prepare(`SELECT COUNT(*) AS count FROM events ${where}`).get(params).count;
+
+        // Keyset cursor: rows strictly after the last (sort value, id) already returned
+        const pageConditions = [...conditions];
+        if (options.after) {
+            pageConditions.push(`(${sortColumn} ${direction === 'ASC' ? '>' : '<'} @afterValue OR (${sortColumn} = @afterValue AND id > @afterId))`);
+            params.afterValue = options.after.value;
+            params.afterId = String(options.after.id);
+        }
+        const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+        const limit = options.limit ?? 10;
+        params.limit = limit + 1;
+        params.offset = options.offset || 0;
+
+        const rows = this.db.prepare(
+            `SELECT * FROM events ${pageWhere} ORDER BY ${sortColumn} ${direction}, id LIMIT @limit OFFSET @offset`
+        ).all(params);
+
+        return { events: this.hydrateEvents(rows.slice(0, limit)), total, hasMore: rows.length > limit };
+    }
+
+    // Adds values as @prefix0, @prefix1... parameters and returns the placeholder list
+    bindList(params, prefix, values) {
+        return values.map((value, i) => {
+            params[`${prefix}${i}`] = value;
+            return `@${prefix}${i}`;
+        }).join(', ');
+    }
+
+    async getStats() {
+        const counts = this.db.prepare(`
+            SELECT
+                SUM(collection = 'active') AS active,
+                SUM(collection = 'resolved') AS resolved,
+                SUM(CASE WHEN collection = 'active' THEN active_markets_count ELSE 0 END) AS activeMarkets,
+                SUM(CASE WHEN collection = 'active' THEN resolved_markets_count ELSE 0 END) AS resolvedMarkets,
+                SUM(CASE WHEN collection = 'active' THEN multi_outcome_markets_count ELSE 0 END) AS multiOutcome,
+                SUM(CASE WHEN collection = 'active' THEN total_volume ELSE 0 END) AS totalVolume
+            FROM events
+        `).get();
+
+        return {
+            activeEvents: counts.active || 0,
+            resolvedEvents: counts.resolved || 0,
+            activeMarkets: counts.activeMarkets || 0,
+            resolvedMarkets: counts.resolvedMarkets || 0,
+            multiOutcomeMarkets: counts.multiOutcome || 0,
+            totalVolume: counts.totalVolume || 0,
+            lastUpdate: await this.getMeta('lastUpdate')
+        };
+    }
+
+    async getMeta(key) {
+        const row = this.statements.getMeta.get(key);
+        return row ? row.value : null;
+    }
+
+    async setMeta(key, value) {
+        this.statements.setMeta.run(key, value);
+    }
+
+    async saveMarketWinners(winnerData) {
+        this.db.transaction(() => {
+            const marketId = String(winnerData.marketId);
+            this.statements.upsertMarketWinners.run({
+                market_id: marketId,
+                winning_outcome: winnerData.winningOutcome,
+                position_id: winnerData.positionId,
+                contract_address: winnerData.contractAddress ?? null,
+                resolution_block: winnerData.resolutionBlock,
+                total_balance: winnerData.totalBalance ?? null,
+                total_payout: winnerData.totalPayout,
+                winner_count: winnerData.winnerCount,
+                verification: winnerData.verification ? JSON.stringify(winnerData.verification) : null,
+                timestamp: winnerData.timestamp
+            });
+            this.statements.deleteWinners.run(marketId);
+            for (const winner of winnerData.winners) {
+                this.statements.insertWinner.run({
+                    market_id: marketId,
+                    address: winner.address,
+                    balance: winner.balance ?? null,
+                    winning_tokens: winner.winningTokens,
+                    payout_usdc: winner.payoutUSDC
+                });
+            }
+        })();
+    }
+
+    async loadMarketWinners() {
+        const marketWinners = new Map();
+
+        for (const row of this.db.prepare('SELECT * FROM market_winners').all()) {
+            marketWinners.set(row.market_id, {
+                marketId: row.market_id,
+                winningOutcome: row.winning_outcome,
+                positionId: row.position_id,
+                contractAddress: row.contract_address,
+                resolutionBlock: row.resolution_block,
+                winners: [],
+                totalBalance: row.total_balance,
+                totalPayout: row.total_payout,
+                winnerCount: row.winner_count,
+                verification: row.verification ? JSON.parse(row.verification) : null,
+                timestamp: row.timestamp
+            });
+        }
+
+        for (const row of this.db.prepare('SELECT * FROM winners ORDER BY payout_usdc DESC').all()) {
+            marketWinners.get(row.market_id)?.winners.push({
+                address: row.address,
+                balance: row.balance,
+                winningTokens: row.winning_tokens,
+                payoutUSDC: row.payout_usdc
+            });
+        }
+
+        return marketWinners;
+    }
+
+    async getScanCheckpoint(key) {
+        const row = this.statements.getScanCheckpoint.get(key);
+        if (!row) return null;
+
+        return {
+            key: row.key,
+            positionId: row.position_id,
+            contractAddress: row.contract_address,
+            startBlock: row.start_block,
+            nextBlock: row.next_block,
+            chunkSize: row.chunk_size,
+            balances: row.balances ? JSON.parse(row.balances) : {},
+            updatedAt: row.updated_at
+        };
+    }
+
+    async saveScanCheckpoint(checkpoint) {
+        this.statements.upsertScanCheckpoint.run({
+            key: checkpoint.key,
+            position_id: checkpoint.positionId,
+            contract_address: checkpoint.contractAddress ?? null,
+            start_block: checkpoint.startBlock,
+            next_block: checkpoint.nextBlock,
+            chunk_size: checkpoint.chunkSize ?? null,
+            balances: JSON.stringify(checkpoint.balances || {}),
+            updated_at: checkpoint.updatedAt
+        });
+    }
+
+    async deleteScanCheckpoint(key) {
+        this.statements.deleteScanCheckpoint.run(key);
+    }
+
+    async saveWinnerJob(job) {
+        this.statements.upsertWinnerJob.run({
+            id: job.id,
+            market_id: job.marketId,
+            state: job.state,
+            data: JSON.stringify(job),
+            created_at: job.createdAt,
+            updated_at: job.updatedAt
+        });
+    }
+
+    async loadWinnerJobs() {
+        return this.db.prepare('SELECT data FROM winner_jobs ORDER BY created_at').all().map(row => JSON.parse(row.data));
+    }
+
+    async deleteWinnerJob(id) {
+        this.statements.deleteWinnerJob.run(id);
+    }
+
+    async ping() {
+        if (!this.db) throw new Error('SQLite database is not open');
+        this.db.prepare('SELECT 1').get();
+    }
+
+    describe() {
+        return { backend: this.name, file: this.file, schemaVersion: this.db ? this.db.pragma('user_version', { simple: true }) : null };
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,120 @@
+// Per-tag rollups over the tracked events (Gamma tags such as politics, crypto, sports),
+// rebuilt after every sync. Tags are keyed by lowercased slug, falling back to label or ID,
+// which is the same key the SQLite event_tags table stores.
+class TagIndex {
+    constructor() {
+        this.tags = new Map();
+        this.updatedAt = null;
+    }
+
+    static tagKey(tag) {
+        if (tag === null || tag === undefined) return '';
+        if (typeof tag !== 'object') return String(tag).trim().toLowerCase();
+        return String(tag.slug || tag.label || tag.id || '').trim().toLowerCase();
+    }
+
+    // Distinct { key, label, id } for an event's tags
+    static eventTags(eventData) {
+        const tags = new Map();
+        for (const tag of eventData.tags || []) {
+            const key = TagIndex.tagKey(tag);
+            if (!key || tags.has(key)) continue;
+
+            tags.set(key, {
+                key,
+                label: typeof tag === 'object' ? (tag.label || tag.slug || key) : String(tag),
+                id: typeof tag === 'object' && tag.id !== undefined ? String(tag.id) : null
+            });
+        }
+        return Array.from(tags.values());
+    }
+
+    rebuild(events) {
+        const tags = new Map();
+
+        for (const [collection, map] of [['active', events.active], ['resolved', events.resolved]]) {
+            for (const eventData of map.values()) {
+                for (const tag of TagIndex.eventTags(eventData)) {
+                    if (!tags.has(tag.key)) {
+                        tags.set(tag.key, {
+                            tag: tag.key,
+                            label: tag.label,
+                            id: tag.id,
+                            events: 0,
+                            activeEvents: 0,
+                            resolvedEvents: 0,
+                            markets: 0,
+                            activeMarkets: 0,
+                            volume: 0,
+                            activeVolume: 0
+                        });
+                    }
+
+                    const entry = tags.get(tag.key);
+                    const volume = eventData.totalVolume || 0;
+                    entry.events++;
+                    entry.markets += eventData.marketsCount || 0;
+                    entry.volume += volume;
+
+                    if (collection === 'active') {
+                        entry.activeEvents++;
+                        entry.activeMarkets += eventData.activeMarketsCount || 0;
+                        entry.activeVolume += volume;
+                    } else {
+                        entry.resolvedEvents++;
+                    }
+                }
+            }
+        }
+
+        this.tags = tags;
+        this.updatedAt = new Date().toISOString();
+        return tags.size;
+    }
+
+    // Map tag query values (key, label or Gamma tag ID, case-insensitive) to index keys.
+    // Unknown values pass through so they simply match nothing.
+    resolve(values) {
+        const keys = new Set();
+
+        for (const raw of values || []) {
+            const value = String(raw).trim().toLowerCase();
+            if (!value) continue;
+
+            if (this.tags.has(value)) {
+                keys.add(value);
+                continue;
+            }
+
+            const match = Array.from(this.tags.values())
+                .find(entry => entry.label.toLowerCase() === value || entry.id === value);
+            keys.add(match ? match.tag : value);
+        }
+
+        return Array.from(keys);
+    }
+
+    list(options = {}) {
+        const sorters = {
+            volume: (a, b) => b.volume - a.volume,
+            activeVolume: (a, b) => b.activeVolume - a.activeVolume,
+            events: (a, b) => b.events - a.events,
+            label: (a, b) => a.label.localeCompare(b.label)
+        };
+
+        const tags = Array.from(this.tags.values(), entry => ({
+            ...entry,
+            volume: Math.round(entry.volume * 100) / 100,
+            activeVolume: Math.round(entry.activeVolume * 100) / 100
+        }));
+        tags.sort(sorters[options.sort] || sorters.volume);
+
+        return options.limit ? tags.slice(0, options.limit) : tags;
+    }
+
+    get size() {
+        return this.tags.size;
+    }
+}
+
+module.exports = TagIndex;
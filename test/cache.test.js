@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ResponseCache } = require('../server/cache');
+const { Router } = require('../server/router');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Producer returning a new body on every call
+function counter(status = 200) {
+    const producer = async () => {
+        producer.calls++;
+        return { status, body: JSON.stringify({ version: producer.calls }) };
+    };
+    producer.calls = 0;
+    return producer;
+}
+
+function cache(options = {}) {
+    return new ResponseCache({ adapter: null, log: () => {}, ...options });
+}
+
+test('fresh entries are hits, stale ones are served while one refresh runs', async () => {
+    const responses = cache({ ttl: 0.05, staleWhileRevalidate: 5 });
+    const producer = counter();
+
+    const first = await responses.get('/active', {}, producer);
+    assert.equal(first.state, 'MISS');
+    assert.equal((await responses.get('/active', {}, producer)).state, 'HIT');
+    assert.equal(producer.calls, 1);
+
+    await sleep(70);
+    const stale = await Promise.all([
+        responses.get('/active', {}, producer),
+        responses.get('/active', {}, producer)
+    ]);
+    assert.deepEqual(stale.map(result => result.state), ['STALE', 'STALE']);
+    assert.equal(stale[0].entry.body, first.entry.body);
+
+    await sleep(10);
+    assert.equal(producer.calls, 2);
+    const refreshed = await responses.get('/active', {}, producer);
+    assert.equal(refreshed.state, 'HIT');
+    assert.equal(JSON.parse(refreshed.entry.body).version, 2);
+    assert.notEqual(refreshed.entry.etag, first.entry.etag);
+});
+
+test('entries past the stale window are produced inline', async () => {
+    const responses = cache({ ttl: 0.02, staleWhileRevalidate: 0.03 });
+    const producer = counter();
+
+    await responses.get('/tags', {}, producer);
+    await sleep(70);
+    assert.equal((await responses.get('/tags', {}, producer)).state, 'MISS');
+    assert.equal(producer.calls, 2);
+});
+
+test('error responses are not cached', async () => {
+    const responses = cache();
+    const producer = counter(500);
+
+    await responses.get('/broken', {}, producer);
+    await responses.get('/broken', {}, producer);
+    assert.equal(producer.calls, 2);
+});
+
+test('ETags are stable per body', () => {
+    assert.equal(ResponseCache.etag('{"a":1}'), ResponseCache.etag('{"a":1}'));
+    assert.notEqual(ResponseCache.etag('{"a":1}'), ResponseCache.etag('{"a":2}'));
+    assert.match(ResponseCache.etag('x'), /^W\/".+"$/);
+});
+
+test('cached routes answer If-None-Match with 304', async (t) => {
+    const router = new Router();
+    let calls = 0;
+    router.get('/stats', () => ({ calls: ++calls }), { cache: { ttl: 60, staleWhileRevalidate: 60 } });
+
+    const responses = cache();
+    const server = http.createServer((req, res) => router.handle(req, res, { cache: responses }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/stats`;
+
+    const first = await fetch(url);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    const revalidated = await fetch(url, { headers: { 'If-None-Match': etag } });
+    assert.equal(revalidated.status, 304);
+    assert.equal(revalidated.headers.get('x-cache'), 'HIT');
+
+    const changed = await fetch(url, { headers: { 'If-None-Match': 'W/"other"' } });
+    assert.equal(changed.status, 200);
+    assert.deepEqual(await changed.json(), { calls: 1 });
+});
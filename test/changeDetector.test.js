@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChangeDetector = require('../changeDetector');
+
+const TIMESTAMP = '2025-01-01T00:00:00.000Z';
+
+function market(id, overrides = {}) {
+    return {
+        id,
+        question: `Question ${id}?`,
+        status: 'active',
+        volume: 1000,
+        outcomes: [
+            { outcome: 'Yes', tokenId: `${id}-yes`, price: 0.4 },
+            { outcome: 'No', tokenId: `${id}-no`, price: 0.6 }
+        ],
+        ...overrides
+    };
+}
+
+function event(markets, totalVolume = 1000) {
+    return { id: 'e1', title: 'Event', slug: 'event', marketsCount: markets.length, totalVolume, markets };
+}
+
+test('an untracked event is reported as event_added', () => {
+    const detector = new ChangeDetector();
+    const changes = detector.diffEvent(undefined, event([market('m1')]), TIMESTAMP);
+
+    assert.deepEqual(changes, [{
+        type: 'event_added',
+        eventId: 'e1',
+        title: 'Event',
+        slug: 'event',
+        marketsCount: 1,
+        totalVolume: 1000,
+        timestamp: TIMESTAMP
+    }]);
+});
+
+test('identical snapshots produce no changes', () => {
+    const detector = new ChangeDetector();
+    assert.deepEqual(detector.diffEvent(event([market('m1')]), event([market('m1')]), TIMESTAMP), []);
+});
+
+test('price moves at or above the threshold are reported per outcome', () => {
+    const detector = new ChangeDetector({ priceThreshold: 0.01 });
+    const next = market('m1', {
+        outcomes: [
+            { outcome: 'Yes', tokenId: 'm1-yes', price: 0.45 },
+            { outcome: 'No', tokenId: 'm1-no', price: 0.605 }
+        ]
+    });
+
+    const changes = detector.diffEvent(event([market('m1')]), event([next]), TIMESTAMP);
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].type, 'market_price_changed');
+    assert.deepEqual(changes[0].outcomes, [{ outcome: 'Yes', tokenId: 'm1-yes', oldPrice: 0.4, price: 0.45 }]);
+});
+
+test('new markets, closed markets and volume changes are reported', () => {
+    const detector = new ChangeDetector({ volumeThreshold: 1 });
+    const previous = event([market('m1')], 1000);
+    const next = event([
+        market('m1', { status: 'resolved', winningOutcome: 'Yes', volume: 1500 }),
+        market('m2')
+    ], 2500);
+
+    const changes = detector.diffEvent(previous, next, TIMESTAMP);
+    assert.deepEqual(changes.map(change => change.type), ['market_closed', 'market_added', 'volume_changed']);
+
+    const closed = changes.find(change => change.type === 'market_closed');
+    assert.equal(closed.marketId, 'm1');
+    assert.equal(closed.winningOutcome, 'Yes');
+
+    const volume = changes.find(change => change.type === 'volume_changed');
+    assert.equal(volume.delta, 1500);
+    assert.deepEqual(volume.markets, [{ marketId: 'm1', oldVolume: 1000, volume: 1500 }]);
+});
+
+test('volume changes below the threshold are ignored', () => {
+    const detector = new ChangeDetector({ volumeThreshold: 10 });
+    const next = event([market('m1', { volume: 1005 })], 1005);
+    assert.deepEqual(detector.diffEvent(event([market('m1')]), next, TIMESTAMP), []);
+});
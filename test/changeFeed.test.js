@@ -0,0 +1,304 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const PolymarketTracker = require('../marketTracker');
+const { FileChangeFeedStore, SqliteChangeFeedStore, KvChangeFeedStore, publishChanges, streamChangeFeed } = require('../server/changeFeed');
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'change-feed-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+// A new in-memory tracker per run, like each invocation of the scheduled function
+function cronTracker(dir, api) {
+    const saved = { DATA_DIR: process.env.DATA_DIR, STORAGE_BACKEND: process.env.STORAGE_BACKEND };
+    process.env.DATA_DIR = dir;
+    process.env.STORAGE_BACKEND = 'memory';
+    const tracker = new PolymarketTracker();
+    for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+
+    tracker.log = () => {};
+    tracker.makeRequest = async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.startsWith('/events/')) return api.lookup[pathname.slice('/events/'.length)] || null;
+        return parseInt(searchParams.get('offset')) > 0 ? [] : api.open;
+    };
+    return tracker;
+}
+
+function gammaEvent(id, price = '0.4') {
+    return {
+        id,
+        title: `Event ${id}`,
+        slug: id,
+        closed: false,
+        markets: [{
+            id: `${id}-m`,
+            question: `Question ${id}?`,
+            closed: false,
+            outcomes: '["Yes","No"]',
+            outcomePrices: `["${price}","0.6"]`,
+            clobTokenIds: `["${id}-yes","${id}-no"]`,
+            volume: '1000'
+        }]
+    };
+}
+
+test('scheduled runs keep counting syncs an open event is missing from the listing', async (t) => {
+    const dir = await tempDir(t);
+    const store = new FileChangeFeedStore({ dir: path.join(dir, 'feed') });
+    const hidden = gammaEvent('e2');
+
+    await publishChanges({ store, tracker: cronTracker(dir, { open: [gammaEvent('e1'), hidden], lookup: {} }) });
+
+    const api = { open: [gammaEvent('e1')], lookup: { e2: hidden } };
+    for (let run = 1; run < 3; run++) {
+        const result = await publishChanges({ store, tracker: cronTracker(dir, api) });
+        assert.equal(result.baselineEvents, 2, `run ${run}`);
+        assert.equal((await store.loadBaseline()).get('e2').missingSyncs, run);
+    }
+
+    const result = await publishChanges({ store, tracker: cronTracker(dir, api) });
+    assert.equal(result.baselineEvents, 1);
+    const removed = (await store.readSince(0)).map(entry => entry.data).filter(data => data.type === 'event_removed');
+    assert.deepEqual(removed.map(data => [data.eventId, data.reason]), [['e2', 'delisted']]);
+});
+
+// Enough of the KV REST commands for KvChangeFeedStore, kept in memory
+function fakeKv() {
+    const strings = new Map();
+    const zsets = new Map();
+    const hashes = new Map();
+    const run = (args) => {
+        const [name, key, ...rest] = args.map(String);
+        switch (name) {
+            case 'GET': return strings.get(key) ?? null;
+            case 'INCRBY': {
+                const value = (parseInt(strings.get(key)) || 0) + parseInt(rest[0]);
+                strings.set(key, String(value));
+                return value;
+            }
+            case 'ZADD': {
+                const zset = zsets.get(key) || [];
+                for (let i = 0; i < rest.length; i += 2) zset.push({ score: Number(rest[i]), member: rest[i + 1] });
+                zsets.set(key, zset.sort((a, b) => a.score - b.score));
+                return rest.length / 2;
+            }
+            case 'ZRANGEBYSCORE': {
+                const min = Number(rest[0].replace('(', ''));
+                const limit = Number(rest[4]);
+                return (zsets.get(key) || []).filter(item => item.score > min).slice(0, limit).map(item => item.member);
+            }
+            case 'ZREMRANGEBYRANK': {
+                const zset = zsets.get(key) || [];
+                const removed = Math.max(0, zset.length + Number(rest[1]) + 1);
+                zsets.set(key, zset.slice(removed));
+                return removed;
+            }
+            case 'HSET': {
+                const hash = hashes.get(key) || new Map();
+                for (let i = 0; i < rest.length; i += 2) hash.set(rest[i], rest[i + 1]);
+                hashes.set(key, hash);
+                return rest.length / 2;
+            }
+            case 'HGETALL': return Array.from(hashes.get(key) || []).flat();
+            case 'DEL': return Number(hashes.delete(key) || strings.delete(key) || zsets.delete(key));
+            default: throw new Error(`Unsupported command ${name}`);
+        }
+    };
+    return {
+        command: async (args) => run(args),
+        pipeline: async (commands) => commands.map(run)
+    };
+}
+
+const stores = {
+    file: async (t) => new FileChangeFeedStore({ dir: path.join(await tempDir(t), 'feed') }),
+    sqlite: async (t) => {
+        const store = new SqliteChangeFeedStore({ file: path.join(await tempDir(t), 'feed.db') });
+        t.after(() => store.db && store.db.close());
+        return store;
+    },
+    kv: async () => new KvChangeFeedStore({ client: fakeKv(), prefix: 'test:' })
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+    test(`the ${name} feed store appends increasing ids, reads after an id and prunes`, async (t) => {
+        const store = await createStore(t);
+        await store.init();
+        assert.equal(await store.latestId(), 0);
+        assert.equal(await store.loadBaseline(), null);
+
+        const first = await store.append([{ type: 'a' }, { type: 'b' }]);
+        const second = await store.append([{ type: 'c' }]);
+        assert.deepEqual([...first, ...second].map(entry => entry.id), [1, 2, 3]);
+        assert.deepEqual(await store.append([]), []);
+        assert.equal(await store.latestId(), 3);
+
+        assert.deepEqual((await store.readSince(1)).map(entry => [entry.id, entry.data.type]), [[2, 'b'], [3, 'c']]);
+        assert.deepEqual((await store.readSince(0, 1)).map(entry => entry.id), [1]);
+
+        await store.prune(2);
+        assert.deepEqual((await store.readSince(0)).map(entry => entry.id), [2, 3]);
+        assert.equal(await store.latestId(), 3);
+
+        await store.saveBaseline([{ id: 'e1', title: 'One' }, { id: 'e2', title: 'Two' }]);
+        await store.saveBaseline([{ id: 'e2', title: 'Two' }]);
+        assert.deepEqual(Array.from((await store.loadBaseline()).keys()), ['e2']);
+    });
+}
+
+test('the first run stores the baseline and later runs publish the changes', async (t) => {
+    const dir = await tempDir(t);
+    const store = new FileChangeFeedStore({ dir: path.join(dir, 'feed') });
+
+    const first = await publishChanges({ store, tracker: cronTracker(dir, { open: [gammaEvent('e1')], lookup: {} }) });
+    assert.deepEqual([first.firstRun, first.published, first.baselineEvents], [true, 0, 1]);
+
+    const second = await publishChanges({ store, tracker: cronTracker(dir, { open: [gammaEvent('e1', '0.55'), gammaEvent('e2')], lookup: {} }) });
+    assert.equal(second.firstRun, false);
+    const entries = await store.readSince(0);
+    assert.equal(second.lastId, entries[entries.length - 1].id);
+    assert.deepEqual(entries.map(entry => entry.data.type).sort(), ['event_added', 'market_price_changed']);
+    assert.equal(entries.find(entry => entry.data.type === 'event_added').data.eventId, 'e2');
+});
+
+// Request/response stand-ins that record what the stream writes
+function fakeStream() {
+    const req = new EventEmitter();
+    req.headers = {};
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.writeHead = (status, headers) => {
+        res.status = status;
+        res.headers = headers;
+    };
+    res.write = (chunk) => {
+        res.chunks.push(chunk);
+        return true;
+    };
+    res.end = () => {
+        res.ended = true;
+    };
+    return { req, res };
+}
+
+function messages(res) {
+    return res.chunks.join('').split('\n\n')
+        .filter(block => block.includes('data: '))
+        .map(block => ({ id: (/^id: (\d+)$/m.exec(block) || [])[1], data: JSON.parse(/^data: (.*)$/m.exec(block)[1]) }));
+}
+
+test('the feed stream resumes after Last-Event-ID, filters and ends when its time is up', async (t) => {
+    const store = new FileChangeFeedStore({ dir: path.join(await tempDir(t), 'feed') });
+    await store.init();
+    await store.append([
+        { type: 'market_price_changed', eventId: 'e1' },
+        { type: 'event_added', eventId: 'e2' },
+        { type: 'market_price_changed', eventId: 'e3' }
+    ]);
+
+    const { req, res } = fakeStream();
+    const started = Date.now();
+    await streamChangeFeed(req, res, { store, query: { types: 'market_price_changed' }, lastEventId: '1', durationMs: 50, pollMs: 10 });
+
+    assert.ok(Date.now() - started >= 45);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.ok(res.ended);
+    assert.deepEqual(messages(res).map(m => [m.id, m.data.type]), [['1', 'connected'], ['3', 'market_price_changed']]);
+    assert.ok(res.chunks.some(chunk => chunk.startsWith(': heartbeat')));
+});
+
+test('a feed stream without Last-Event-ID starts at the newest entry and picks up new ones', async (t) => {
+    const store = new FileChangeFeedStore({ dir: path.join(await tempDir(t), 'feed') });
+    await store.init();
+    await store.append([{ type: 'old' }]);
+
+    const { req, res } = fakeStream();
+    const streaming = streamChangeFeed(req, res, { store, query: {}, durationMs: 200, pollMs: 10 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await store.append([{ type: 'new' }]);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    req.emit('close');
+    await streaming;
+
+    assert.deepEqual(messages(res).map(m => [m.id, m.data.type]), [['1', 'connected'], ['2', 'new']]);
+    assert.equal(res.ended, undefined);
+});
+
+test('overlapping file feed writers never reuse an id', async (t) => {
+    const dir = path.join(await tempDir(t), 'feed');
+    const writers = [0, 1, 2].map(() => new FileChangeFeedStore({ dir }));
+    await writers[0].init();
+
+    const appended = await Promise.all(writers.flatMap(store => [
+        store.append([{ type: 'a' }, { type: 'b' }]),
+        store.append([{ type: 'c' }])
+    ]));
+
+    const ids = appended.flat().map(entry => entry.id).sort((a, b) => a - b);
+    assert.deepEqual(ids, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.deepEqual((await writers[1].readSince(0, 100)).map(entry => entry.id), ids);
+    assert.equal(await fs.pathExists(path.join(dir, 'feed.lock')), false);
+});
+
+test('the file feed keeps its last id in feed.seq and reads it from older feeds', async (t) => {
+    const dir = path.join(await tempDir(t), 'feed');
+    await fs.ensureDir(dir);
+    await fs.writeFile(path.join(dir, 'feed.jsonl'), '{"id":7,"t":"2025-01-01T00:00:00.000Z","data":{}}\n{"id":8,"t":"2025-01-01T00:00:00.000Z","da');
+    const store = new FileChangeFeedStore({ dir });
+
+    // The partly written last line is not read yet
+    assert.equal(await store.latestId(), 7);
+    await fs.writeFile(store.feedFile, '{"id":7,"t":"2025-01-01T00:00:00.000Z","data":{}}\n');
+    assert.deepEqual((await store.append([{ type: 'a' }])).map(entry => entry.id), [8]);
+    assert.equal(await fs.readFile(path.join(dir, 'feed.seq'), 'utf8'), '8');
+
+    await store.prune(1);
+    await store.prune(1);
+    assert.equal(await store.latestId(), 8);
+});
+
+test('a stale file feed lock is taken over', async (t) => {
+    const dir = path.join(await tempDir(t), 'feed');
+    const store = new FileChangeFeedStore({ dir });
+    await store.init();
+    await fs.writeFile(store.lockFile, '1');
+    const old = new Date(Date.now() - 120000);
+    await fs.utimes(store.lockFile, old, old);
+
+    assert.deepEqual((await store.append([{ type: 'a' }])).map(entry => entry.id), [1]);
+});
+
+test('the feed stream waits for drain while the client is not reading', async (t) => {
+    const store = new FileChangeFeedStore({ dir: path.join(await tempDir(t), 'feed') });
+    await store.init();
+    await store.append([{ type: 'a' }, { type: 'b' }, { type: 'c' }]);
+
+    const { req, res } = fakeStream();
+    res.write = (chunk) => {
+        res.chunks.push(chunk);
+        return false;
+    };
+    const streaming = streamChangeFeed(req, res, { store, query: {}, lastEventId: '0', durationMs: 1000, pollMs: 10 });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(res.chunks.length, 1);
+    for (let i = 0; i < 2; i++) {
+        res.emit('drain');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.deepEqual(messages(res).map(m => m.data.type), ['connected', 'a']);
+    assert.equal(res.listenerCount('drain'), 1);
+
+    req.emit('close');
+    await streaming;
+    assert.equal(res.ended, undefined);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClobSubscriptionManager = require('../clobSubscriptions');
+
+function fakeSocket() {
+    return {
+        readyState: 1,
+        sent: [],
+        send(message) {
+            this.sent.push(JSON.parse(message));
+        }
+    };
+}
+
+function manager(options = {}) {
+    return new ClobSubscriptionManager({ batchSize: 2, log: () => {}, ...options });
+}
+
+test('nothing is sent until a socket is attached', () => {
+    const subscriptions = manager();
+    assert.deepEqual(subscriptions.setDesired(['a', 'b']), { subscribed: 0, unsubscribed: 0 });
+    assert.deepEqual(subscriptions.status(), { desired: 2, subscribed: 0 });
+});
+
+test('the first batch is the initial market message, the rest are subscribe operations', () => {
+    const subscriptions = manager();
+    const socket = fakeSocket();
+    subscriptions.setDesired(['a', 'b', 'c']);
+    subscriptions.attach(socket);
+
+    assert.deepEqual(socket.sent, [
+        { assets_ids: ['a', 'b'], type: 'market' },
+        { assets_ids: ['c'], operation: 'subscribe' }
+    ]);
+    assert.deepEqual(subscriptions.status(), { desired: 3, subscribed: 3 });
+});
+
+test('changes to the tracked set only send the difference', () => {
+    const subscriptions = manager();
+    const socket = fakeSocket();
+    subscriptions.attach(socket);
+    subscriptions.setDesired(['a', 'b']);
+    socket.sent = [];
+
+    assert.deepEqual(subscriptions.setDesired(['b', 'c']), { subscribed: 1, unsubscribed: 1 });
+    assert.deepEqual(socket.sent, [
+        { assets_ids: ['c'], operation: 'subscribe' },
+        { assets_ids: ['a'], operation: 'unsubscribe' }
+    ]);
+
+    socket.sent = [];
+    subscriptions.remove(['c']);
+    assert.deepEqual(socket.sent, [{ assets_ids: ['c'], operation: 'unsubscribe' }]);
+
+    socket.sent = [];
+    subscriptions.setDesired(['b']);
+    assert.deepEqual(socket.sent, []);
+});
+
+test('a reconnect resubscribes every tracked token', () => {
+    const subscriptions = manager({ batchSize: 100 });
+    subscriptions.attach(fakeSocket());
+    subscriptions.setDesired(['a', 'b']);
+    subscriptions.detach();
+    assert.deepEqual(subscriptions.status(), { desired: 2, subscribed: 0 });
+
+    const reconnected = fakeSocket();
+    subscriptions.attach(reconnected);
+    assert.deepEqual(reconnected.sent, [{ assets_ids: ['a', 'b'], type: 'market' }]);
+});
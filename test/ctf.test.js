@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ctf = require('../ctf');
+
+// "Presidential Election Winner 2024" / Donald Trump, a neg-risk market. Token IDs as
+// listed by the Polymarket CLOB (clobTokenIds on Gamma).
+const TRUMP_2024 = {
+    conditionId: '0xdd22472e552920b8438158ea7238bfadfa4f736aa4cee91a6b86c39ead110917',
+    yes: 21742633143463906290569050155826241533067272736897614950488156847949938836455n,
+    no: 48331043336612883890938759509493159234755048973500640148014422747788308965732n
+};
+
+test('position IDs of a neg-risk market match its CLOB token IDs', () => {
+    const { conditionId } = TRUMP_2024;
+    assert.equal(ctf.positionIdForOutcome(conditionId, 0, ctf.NEG_RISK_COLLATERAL_ADDRESS), TRUMP_2024.yes);
+    assert.equal(ctf.positionIdForOutcome(conditionId, 1, ctf.NEG_RISK_COLLATERAL_ADDRESS), TRUMP_2024.no);
+});
+
+test('the collateral token is part of the position ID', () => {
+    const { conditionId } = TRUMP_2024;
+    assert.notEqual(ctf.positionIdForOutcome(conditionId, 0), TRUMP_2024.yes);
+    assert.notEqual(ctf.positionIdForOutcome(conditionId, 0), ctf.positionIdForOutcome(conditionId, 1));
+});
+
+test('index sets have one bit per outcome slot', () => {
+    assert.equal(ctf.indexSetFor(0), 1n);
+    assert.equal(ctf.indexSetFor(1), 2n);
+    assert.equal(ctf.indexSetFor(4), 16n);
+});
+
+test('collection IDs are 32-byte hex strings', () => {
+    assert.match(ctf.getCollectionId(TRUMP_2024.conditionId, 1n), /^0x[0-9a-f]{64}$/);
+});
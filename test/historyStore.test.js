@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const MarketHistoryStore = require('../historyStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function point(t, price) {
+    return { t, eventId: 'e1', marketId: 'm1', outcome: 'Yes', tokenId: '1', price, volume: 10, liquidity: 5, source: 'sync' };
+}
+
+async function historyDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+test('compaction drops points past the retention window and empty files', async (t) => {
+    const dir = await historyDir(t);
+    const now = Date.now();
+    await fs.writeFile(path.join(dir, 'm1.jsonl'), [
+        point(now - 40 * DAY, 0.1),
+        point(now - 2 * DAY, 0.3),
+        point(now - DAY, 0.4)
+    ].map(p => JSON.stringify(p)).join('\n') + '\n');
+    await fs.writeFile(path.join(dir, 'm2.jsonl'), JSON.stringify({ ...point(now - 50 * DAY, 0.1), marketId: 'm2' }) + '\n');
+
+    const history = new MarketHistoryStore({ historyDir: dir, retentionDays: 30, log: () => {} });
+    assert.deepEqual(await history.compact(), { files: 2, removed: 2 });
+
+    assert.deepEqual(await fs.readdir(dir), ['m1.jsonl']);
+    const { series } = await history.query('m1', { from: now - 60 * DAY });
+    assert.deepEqual(series[0].points.map(p => p.price), [0.3, 0.4]);
+});
+
+test('queries keep the newest points up to the cap', async (t) => {
+    const dir = await historyDir(t);
+    const history = new MarketHistoryStore({ historyDir: dir, maxQueryPoints: 3, log: () => {} });
+    const now = Date.now();
+
+    for (let i = 10; i > 0; i--) {
+        history.recordPrice({ eventId: 'e1', marketId: 'm1', outcome: 'Yes', tokenId: '1', price: i / 100 });
+    }
+    // recordPrice stamps Date.now(); spread the points out so the order is well defined
+    history.pending.get('m1').forEach((p, i) => { p.t = now - (10 - i) * 1000; });
+    await history.flush();
+
+    const result = await history.query('m1', { from: now - DAY });
+    assert.equal(result.count, 3);
+    assert.equal(result.truncated, true);
+    assert.deepEqual(result.series[0].points.map(p => p.price), [0.03, 0.02, 0.01]);
+});
+
+test('invalid parameters throw', async (t) => {
+    const history = new MarketHistoryStore({ historyDir: await historyDir(t), log: () => {} });
+    await assert.rejects(history.query('m1', { from: 'yesterday-ish' }), /Invalid timestamp/);
+    await assert.rejects(history.query('m1', { interval: '7x' }), /Invalid interval/);
+});
+
+test('an empty or invalid HISTORY_RETENTION_DAYS keeps the default, 0 keeps everything', (t) => {
+    const previous = process.env.HISTORY_RETENTION_DAYS;
+    t.after(() => {
+        if (previous === undefined) delete process.env.HISTORY_RETENTION_DAYS;
+        else process.env.HISTORY_RETENTION_DAYS = previous;
+    });
+
+    for (const [value, days] of [['', 30], ['abc', 30], ['-1', 30], ['0', 0], ['7', 7]]) {
+        process.env.HISTORY_RETENTION_DAYS = value;
+        assert.equal(new MarketHistoryStore({ log: () => {} }).retentionMs, days * DAY, `"${value}"`);
+    }
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseListQuery, listEnvelope, QueryError } = require('../listQuery');
+const JsonStorage = require('../storage/jsonStorage');
+const SqliteStorage = require('../storage/sqliteStorage');
+
+// Ties on totalVolume check the id tie-break both backends use for keyset cursors
+const VOLUMES = { e1: 500, e2: 300, e3: 300, e4: 300, e5: 100, e6: 50, e7: 0, e8: 300 };
+
+function buildEvents() {
+    const active = new Map();
+    for (const [id, totalVolume] of Object.entries(VOLUMES)) {
+        active.set(id, {
+            id,
+            title: `Event ${id}`,
+            slug: id,
+            totalVolume,
+            endDate: `2030-01-0${id.slice(1)}T00:00:00.000Z`,
+            tags: [],
+            markets: []
+        });
+    }
+    return { active, resolved: new Map(), lastUpdate: null };
+}
+
+async function pageThrough(storage, query) {
+    const ids = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+        const options = parseListQuery({ ...query, cursor });
+        const envelope = listEnvelope(options, await storage.queryEvents(options));
+        assert.equal(envelope.total, Object.keys(VOLUMES).length);
+        ids.push(...envelope.events.map(e => e.id));
+        cursor = envelope.nextCursor;
+        pages++;
+    } while (cursor && pages < 10);
+
+    return { ids, pages };
+}
+
+const backends = {
+    json: async () => new JsonStorage({ persist: false, log: () => {} }),
+    sqlite: async (t) => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'list-query-'));
+        const storage = new SqliteStorage({ file: path.join(dir, 'tracker.db'), log: () => {} });
+        t.after(async () => {
+            await storage.close();
+            await fs.remove(dir);
+        });
+        return storage;
+    }
+};
+
+for (const [name, create] of Object.entries(backends)) {
+    test(`cursor paging over ${name} storage`, async (t) => {
+        const storage = await create(t);
+        await storage.init();
+        await storage.saveEvents(buildEvents());
+
+        await t.test('pages by totalVolume desc with id tie-break', async () => {
+            const { ids, pages } = await pageThrough(storage, { limit: '3' });
+            assert.deepEqual(ids, ['e1', 'e2', 'e3', 'e4', 'e8', 'e5', 'e6', 'e7']);
+            assert.equal(pages, 3);
+        });
+
+        await t.test('pages ascending on another field', async () => {
+            const { ids } = await pageThrough(storage, { limit: '5', sort: 'endDate:asc' });
+            assert.deepEqual(ids, ['e1', 'e2', 'e3', 'e4', 'e5', 'e6', 'e7', 'e8']);
+        });
+
+        await t.test('filters apply to every page', async () => {
+            const options = parseListQuery({ limit: '2', minVolume: '300' });
+            const first = listEnvelope(options, await storage.queryEvents(options));
+            const next = parseListQuery({ limit: '2', minVolume: '300', cursor: first.nextCursor });
+            const second = listEnvelope(next, await storage.queryEvents(next));
+
+            assert.deepEqual(first.events.map(e => e.id), ['e1', 'e2']);
+            assert.deepEqual(second.events.map(e => e.id), ['e3', 'e4']);
+            assert.ok(second.nextCursor);
+        });
+    });
+}
+
+test('a cursor cannot be reused with a different query', async () => {
+    const storage = new JsonStorage({ persist: false, log: () => {} });
+    await storage.saveEvents(buildEvents());
+
+    const options = parseListQuery({ limit: '2' });
+    const { nextCursor } = listEnvelope(options, await storage.queryEvents(options));
+
+    assert.throws(() => parseListQuery({ limit: '2', sort: 'title', cursor: nextCursor }), QueryError);
+    assert.throws(() => parseListQuery({ cursor: 'not-a-cursor' }), /Invalid cursor/);
+});
@@ -0,0 +1,415 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const PolymarketTracker = require('../marketTracker');
+
+// Tracker on a temporary data directory; env overrides only apply while it is constructed
+async function createTracker(t, env = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tracker-'));
+    const vars = { DATA_DIR: dir, STORAGE_BACKEND: 'sqlite', ENABLE_REALTIME: 'false', ...env };
+    const saved = {};
+    for (const [key, value] of Object.entries(vars)) {
+        saved[key] = process.env[key];
+        process.env[key] = value;
+    }
+
+    let tracker;
+    try {
+        tracker = new PolymarketTracker();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+    tracker.log = () => {};
+    await tracker.ready;
+
+    t.after(async () => {
+        await tracker.storage.close();
+        await fs.remove(dir);
+    });
+    return tracker;
+}
+
+// Gamma /events payloads: outcomes, prices and token IDs are JSON-encoded strings
+function gammaMarket(id, overrides = {}) {
+    return {
+        id,
+        question: `Question ${id}?`,
+        closed: false,
+        outcomes: '["Yes","No"]',
+        outcomePrices: '["0.4","0.6"]',
+        clobTokenIds: `["${id}-yes","${id}-no"]`,
+        volume: '1000',
+        ...overrides
+    };
+}
+
+function gammaEvent(id, markets, overrides = {}) {
+    return { id, title: `Event ${id}`, slug: `event-${id}`, closed: false, tags: [], markets, ...overrides };
+}
+
+// Serves the open listing, the closed listing and single-event lookups to makeRequest
+function mockGamma(tracker, api) {
+    const requests = [];
+    tracker.makeRequest = async (url) => {
+        const { pathname, searchParams } = new URL(url);
+        requests.push({ pathname, params: Object.fromEntries(searchParams) });
+
+        const single = /^\/events\/(.+)$/.exec(pathname);
+        if (single) {
+            const event = (api.lookup || {})[decodeURIComponent(single[1])];
+            if (event instanceof Error) throw event;
+            if (!event) throw Object.assign(new Error('Not found'), { response: { status: 404 } });
+            return event;
+        }
+
+        let listing = searchParams.get('closed') === 'true' ? (api.closed || []) : (api.open || []);
+        if (searchParams.has('closed_time_min')) {
+            const min = Date.parse(searchParams.get('closed_time_min'));
+            listing = listing.filter(event => Date.parse(event.closedTime) >= min);
+        }
+        const offset = parseInt(searchParams.get('offset')) || 0;
+        return listing.slice(offset, offset + (parseInt(searchParams.get('limit')) || 100));
+    };
+    return requests;
+}
+
+test('list queries on SQLite show live prices that are not saved yet', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')])] });
+
+    await tracker.trackActiveEvents();
+    tracker.rebuildTokenIndex();
+    await tracker.saveData();
+
+    tracker.updateMarketPrice('m1-yes', 0.55);
+
+    const list = await tracker.listEvents({}, { collection: 'active' });
+    assert.deepEqual(list.events[0].markets[0].outcomes.map(o => o.price), [0.55, 0.6]);
+    const stored = await tracker.storage.queryEvents({ collection: 'active' });
+    assert.equal(stored.events[0].markets[0].outcomes[0].price, 0.4);
+});
+
+function closedEvent(id, closedTime, overrides = {}) {
+    return gammaEvent(id, [gammaMarket(`${id}-m`, {
+        closed: true,
+        closedTime,
+        outcomePrices: '["1","0"]'
+    })], { closed: true, closedTime, ...overrides });
+}
+
+test('the resolved sync moves closed events out of active and notifies new ones once', async (t) => {
+    const tracker = await createTracker(t, { RESOLVED_BACKFILL_START: '2025-01-01' });
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')])] });
+    await tracker.trackActiveEvents();
+
+    const notified = [];
+    tracker.addResolvedSyncCallback(eventData => notified.push(eventData.id));
+    mockGamma(tracker, { closed: [closedEvent('e1', '2025-02-01T00:00:00Z'), closedEvent('e2', '2025-02-02T00:00:00Z')] });
+
+    await tracker.trackResolvedMarkets();
+    assert.deepEqual(Array.from(tracker.events.active.keys()), []);
+    assert.deepEqual(Array.from(tracker.events.resolved.keys()), ['e1', 'e2']);
+    assert.equal(tracker.events.resolved.get('e1').markets[0].winningOutcome, 'Yes');
+    assert.deepEqual(notified, ['e1', 'e2']);
+
+    await tracker.trackResolvedMarkets();
+    assert.deepEqual(notified, ['e1', 'e2']);
+});
+
+test('the resolved sync resumes from its persisted cursor', async (t) => {
+    const tracker = await createTracker(t, { RESOLVED_BACKFILL_START: '2025-01-01' });
+    const closed = Array.from({ length: 150 }, (_, i) => closedEvent(`c${i}`, new Date(Date.UTC(2025, 1, 1, 0, i)).toISOString()));
+    const requests = mockGamma(tracker, { closed });
+
+    await tracker.trackResolvedMarkets();
+    assert.equal(tracker.events.resolved.size, 150);
+    const firstRun = requests.length;
+
+    await tracker.trackResolvedMarkets();
+    // One request past the end of the listing, nothing re-read
+    assert.equal(requests.length, firstRun + 1);
+});
+
+test('the resolved cursor resumes by closedTime when earlier events leave the listing', async (t) => {
+    const tracker = await createTracker(t, { RESOLVED_BACKFILL_START: '2025-01-01' });
+    const [a, b, c, d] = ['a', 'b', 'c', 'd'].map((id, i) => closedEvent(id, `2025-02-0${i + 1}T00:00:00Z`));
+    // c and a later event share a closedTime: the offset breaks the tie
+    const tie = closedEvent('c2', '2025-02-03T00:00:00Z');
+    mockGamma(tracker, { closed: [a, b, c] });
+    await tracker.trackResolvedMarkets();
+
+    const cursor = JSON.parse(await tracker.storage.getMeta('resolvedCursor'));
+    assert.equal(cursor.lastClosedTime, '2025-02-03T00:00:00.000Z');
+    assert.equal(cursor.offset, 1);
+
+    const requests = mockGamma(tracker, { closed: [b, c, tie, d] });
+    await tracker.trackResolvedMarkets();
+    assert.deepEqual(requests[0].params.closed_time_min, '2025-02-03T00:00:00.000Z');
+    assert.ok(tracker.events.resolved.has('c2'));
+    assert.ok(tracker.events.resolved.has('d'));
+});
+
+test('open events that leave the listing are dropped after MISSING_EVENT_SYNCS syncs', async (t) => {
+    const tracker = await createTracker(t, { MISSING_EVENT_SYNCS: '2' });
+    const hidden = gammaEvent('e2', [gammaMarket('m2')]);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')]), hidden] });
+    await tracker.trackActiveEvents();
+
+    const removed = [];
+    tracker.addRealtimeCallback(data => data.type === 'event_removed' && removed.push(data));
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')])], lookup: { e2: hidden } });
+
+    await tracker.trackActiveEvents();
+    assert.ok(tracker.events.active.has('e2'));
+    await tracker.trackActiveEvents();
+    assert.ok(!tracker.events.active.has('e2'));
+    assert.deepEqual(removed.map(data => [data.eventId, data.reason]), [['e2', 'delisted']]);
+});
+
+test('events that left the listing because they closed move to resolved', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')])] });
+    await tracker.trackActiveEvents();
+
+    mockGamma(tracker, { open: [], lookup: { e1: closedEvent('e1', '2025-02-01T00:00:00Z') } });
+    await tracker.trackActiveEvents();
+    assert.ok(tracker.events.resolved.has('e1'));
+    assert.ok(!tracker.events.active.has('e1'));
+});
+
+// Closed market as the open listing reports it once its event is still open
+function closedMarket(id, winner = 'Yes') {
+    return gammaMarket(id, {
+        closed: true,
+        closedTime: '2025-03-01T12:00:00Z',
+        outcomePrices: winner === 'Yes' ? '["1","0"]' : '["0","1"]'
+    });
+}
+
+function resolutions(tracker) {
+    const resolved = [];
+    tracker.addRealtimeCallback(data => data.type === 'market_resolved' && resolved.push(data));
+    return resolved;
+}
+
+test('a sync announces markets that closed since the previous one as poll resolutions', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1'), gammaMarket('m2')])] });
+    await tracker.trackActiveEvents();
+
+    const resolved = resolutions(tracker);
+    mockGamma(tracker, { open: [gammaEvent('e1', [closedMarket('m1', 'No'), gammaMarket('m2')])] });
+    await tracker.trackActiveEvents();
+
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].source, 'poll');
+    assert.equal(resolved[0].marketId, 'm1');
+    assert.equal(resolved[0].market.winningOutcome, 'No');
+    assert.equal(resolved[0].market.resolvedAt, '2025-03-01T12:00:00Z');
+});
+
+test('the first sync only sets the baseline', async (t) => {
+    const tracker = await createTracker(t);
+    const resolved = resolutions(tracker);
+    mockGamma(tracker, { open: [gammaEvent('e1', [closedMarket('m1'), gammaMarket('m2')])] });
+    await tracker.trackActiveEvents();
+    assert.equal(resolved.length, 0);
+});
+
+test('WebSocket resolutions name the winning token and carry source websocket', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')])] });
+    await tracker.trackActiveEvents();
+    tracker.rebuildTokenIndex();
+
+    const resolved = resolutions(tracker);
+    await tracker.handleMarketResolution('m1-no', { winning_asset_id: 'm1-no' });
+
+    assert.equal(resolved.length, 1);
+    assert.equal(resolved[0].source, 'websocket');
+    assert.equal(resolved[0].market.winningOutcome, 'No');
+    assert.deepEqual(resolved[0].eventData, { title: 'Event e1', activeMarketsCount: 0, resolvedMarketsCount: 1 });
+});
+
+test('a WebSocket resolution survives syncs that still list the market open and is announced once', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1'), gammaMarket('m2')])] });
+    await tracker.trackActiveEvents();
+    tracker.rebuildTokenIndex();
+
+    const resolved = resolutions(tracker);
+    await tracker.handleMarketResolution('m1-yes', { winning_asset_id: 'm1-yes' });
+
+    // Gamma has not caught up yet
+    await tracker.trackActiveEvents();
+    const e1 = tracker.events.active.get('e1');
+    assert.equal(e1.markets[0].status, 'resolved');
+    assert.equal(e1.markets[0].winningOutcome, 'Yes');
+    assert.deepEqual([e1.activeMarketsCount, e1.resolvedMarketsCount], [1, 1]);
+
+    mockGamma(tracker, { open: [gammaEvent('e1', [closedMarket('m1', 'Yes'), gammaMarket('m2')])] });
+    await tracker.trackActiveEvents();
+    assert.deepEqual(resolved.map(data => data.source), ['websocket']);
+    assert.equal(tracker.pendingResolutions.size, 0);
+});
+
+test('feed prices update the outcome their CLOB token ID belongs to', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1'), gammaMarket('m2')])] });
+    await tracker.trackActiveEvents();
+    tracker.rebuildTokenIndex();
+
+    assert.deepEqual(Array.from(tracker.tokenIndex.keys()), ['m1-yes', 'm1-no', 'm2-yes', 'm2-no']);
+    const entry = tracker.lookupToken('m2-no');
+    assert.deepEqual([entry.eventId, entry.market.id, entry.outcome.outcome, entry.outcomeIndex], ['e1', 'm2', 'No', 1]);
+
+    const updates = [];
+    tracker.addRealtimeCallback(data => data.type === 'price_update' && updates.push(data));
+    tracker.updateMarketPrice('m2-no', '0.65');
+    tracker.updateMarketPrice('unknown-token', 0.5);
+    tracker.updateMarketPrice('m2-no', 0.65);
+
+    const market = tracker.events.active.get('e1').markets[1];
+    assert.deepEqual(market.outcomes.map(o => o.price), [0.4, 0.65]);
+    assert.equal(market.price, undefined);
+    assert.equal(updates.length, 1);
+    assert.deepEqual(
+        [updates[0].marketId, updates[0].tokenId, updates[0].outcome, updates[0].outcomeIndex, updates[0].oldPrice, updates[0].price],
+        ['m2', 'm2-no', 'No', 1, 0.6, 0.65]
+    );
+});
+
+test('CLOB messages are routed by asset_id', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')])] });
+    await tracker.trackActiveEvents();
+    tracker.rebuildTokenIndex();
+
+    tracker.handleWebSocketMessage([
+        { event_type: 'last_trade_price', asset_id: 'm1-yes', price: '0.42' },
+        { event_type: 'price_change', price_changes: [{ asset_id: 'm1-no', price: '0.5', side: 'BUY', size: '10', best_bid: '0.5', best_ask: '0.6' }] }
+    ]);
+
+    const outcomes = tracker.events.active.get('e1').markets[0].outcomes;
+    assert.equal(outcomes[0].price, 0.42);
+    // One-sided book: the midpoint of the quoted best bid/ask
+    assert.equal(outcomes[1].price, 0.55);
+});
+
+test('feed updates after a sync replaced the events land on the tracked objects', async (t) => {
+    const tracker = await createTracker(t);
+    const api = { open: [gammaEvent('e1', [gammaMarket('m1')])] };
+    mockGamma(tracker, api);
+    await tracker.trackActiveEvents();
+    tracker.rebuildTokenIndex();
+
+    // The resolved sync that follows can take a while; the feed keeps sending meanwhile
+    await tracker.trackActiveEvents();
+    tracker.updateMarketPrice('m1-yes', 0.7);
+    await tracker.handleMarketResolution('m1-yes', { winning_asset_id: 'm1-yes' });
+
+    const market = tracker.events.active.get('e1').markets[0];
+    assert.equal(market.outcomes[0].price, 0.7);
+    assert.equal(market.status, 'resolved');
+});
+
+test('the live feed covers unresolved markets of all, top-N or watchlisted events', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, {
+        open: [
+            gammaEvent('e1', [gammaMarket('m1', { volume: '10' }), closedMarket('m2')]),
+            gammaEvent('e2', [gammaMarket('m3', { volume: '5000' })], { slug: 'big-one' })
+        ]
+    });
+    await tracker.trackActiveEvents();
+
+    assert.deepEqual(tracker.selectLiveTokens(), ['m1-yes', 'm1-no', 'm3-yes', 'm3-no']);
+
+    tracker.liveFeed = { mode: 'top', topN: 1, watchlist: new Set() };
+    assert.deepEqual(tracker.selectLiveTokens(), ['m3-yes', 'm3-no']);
+
+    tracker.liveFeed = { mode: 'watchlist', topN: 50, watchlist: new Set(['e1', 'big-one']) };
+    assert.deepEqual(tracker.selectLiveTokens(), ['m1-yes', 'm1-no', 'm3-yes', 'm3-no']);
+
+    tracker.updateSubscriptions();
+    assert.deepEqual(tracker.subscriptions.status(), { desired: 4, subscribed: 0 });
+});
+
+test('book messages feed the order book and the spread/mid of listed markets', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1')])] });
+    await tracker.trackActiveEvents();
+    tracker.rebuildTokenIndex();
+    tracker.updateSubscriptions();
+    await tracker.saveData();
+
+    tracker.handleWebSocketMessage({
+        event_type: 'book',
+        asset_id: 'm1-yes',
+        bids: [{ price: '0.44', size: '10' }],
+        asks: [{ price: '0.48', size: '10' }]
+    });
+
+    const book = tracker.getOrderBook('m1-yes');
+    assert.deepEqual([book.eventId, book.marketId, book.outcome, book.mid], ['e1', 'm1', 'Yes', 0.46]);
+    assert.equal(tracker.events.active.get('e1').markets[0].outcomes[0].price, 0.46);
+
+    const [listed] = tracker.withQuotes((await tracker.listEvents({}, { collection: 'active' })).events);
+    assert.deepEqual([listed.markets[0].spread, listed.markets[0].mid], [0.04, 0.46]);
+});
+
+test('book messages without an asset_id are ignored', async (t) => {
+    const tracker = await createTracker(t);
+
+    tracker.handleWebSocketMessage({ event_type: 'book', bids: [{ price: '0.4', size: '1' }], asks: [] });
+    tracker.handleWebSocketMessage({ event_type: 'price_change', changes: [{ side: 'BUY', price: '0.4', size: '1' }] });
+    tracker.handleWebSocketMessage({ event_type: 'price_change', price_changes: [{ side: 'BUY', price: '0.4', size: '1' }] });
+
+    assert.equal(tracker.orderBooks.size, 0);
+    assert.equal(tracker.getOrderBook('undefined'), null);
+});
+
+for (const backend of ['sqlite', 'memory']) {
+    test(`tag and excludeTag filter list routes on ${backend} storage`, async (t) => {
+        const tracker = await createTracker(t, { STORAGE_BACKEND: backend });
+        const politics = { id: '2', label: 'Politics', slug: 'politics' };
+        const crypto = { id: '21', label: 'Crypto', slug: 'crypto' };
+        mockGamma(tracker, {
+            open: [
+                gammaEvent('e1', [gammaMarket('m1')], { tags: [politics] }),
+                gammaEvent('e2', [gammaMarket('m2', { outcomes: '["A","B","C"]', outcomePrices: '["0.2","0.3","0.5"]', clobTokenIds: '["a","b","c"]' })], { tags: [crypto] }),
+                gammaEvent('e3', [gammaMarket('m3')], { tags: [politics, crypto] })
+            ]
+        });
+        await tracker.trackActiveEvents();
+        tracker.tags.rebuild(tracker.events);
+        await tracker.saveData();
+
+        const ids = async (query, defaults) => (await tracker.listEvents(query, defaults)).events.map(e => e.id).sort();
+        assert.deepEqual(await ids({ tag: 'Politics' }, { status: 'active' }), ['e1', 'e3']);
+        assert.deepEqual(await ids({ tag: '21', excludeTag: 'politics' }, { status: 'active', sort: 'totalVolume' }), ['e2']);
+        assert.deepEqual(await ids({ tag: 'crypto' }, { status: 'active', multiOutcome: true }), ['e2']);
+        assert.deepEqual(await ids({ tag: 'sports' }, { status: 'active' }), []);
+
+        const { count, tags } = await tracker.getTags({ sort: 'label' });
+        assert.equal(count, 2);
+        assert.deepEqual(tags.map(tag => [tag.tag, tag.activeEvents]), [['crypto', 2], ['politics', 2]]);
+    });
+}
+
+test('syncs update the search index as events are ingested', async (t) => {
+    const tracker = await createTracker(t);
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1', { question: 'Will Bitcoin close above $100k?' })])] });
+    await tracker.trackActiveEvents();
+    assert.deepEqual((await tracker.searchEvents('bitcoin')).hits.map(h => [h.type, h.marketId || null]), [['market', 'm1']]);
+
+    mockGamma(tracker, { open: [gammaEvent('e1', [gammaMarket('m1', { question: 'Will Ethereum close above $5k?' })])] });
+    await tracker.trackActiveEvents();
+    assert.equal((await tracker.searchEvents('bitcoin')).total, 0);
+    assert.equal((await tracker.searchEvents('ethereum')).total, 1);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OrderBook, OrderBookStore } = require('../orderBook');
+
+function snapshot() {
+    return {
+        bids: [{ price: '0.48', size: '100' }, { price: '0.45', size: '50' }, { price: '0.40', size: '10' }],
+        asks: [{ price: '0.52', size: '80' }, { price: '0.60', size: '30' }],
+        timestamp: '1735689600000',
+        hash: 'abc'
+    };
+}
+
+test('snapshots give best quotes, spread and mid', () => {
+    const book = new OrderBook('t1');
+    book.applySnapshot(snapshot());
+
+    assert.equal(book.bestBid(), 0.48);
+    assert.equal(book.bestAsk(), 0.52);
+    assert.equal(book.spread(), 0.04);
+    assert.equal(book.mid(), 0.5);
+    assert.equal(book.updatedAt, '2025-01-01T00:00:00.000Z');
+    assert.equal(book.hash, 'abc');
+});
+
+test('level changes add, resize and remove price levels', () => {
+    const book = new OrderBook('t1');
+    book.applySnapshot(snapshot());
+
+    book.applyChange({ side: 'BUY', price: '0.49', size: '5' });
+    book.applyChange({ side: 'SELL', price: '0.52', size: '0' });
+    book.applyChange({ side: 'BUY', price: '0.45', size: '75' });
+
+    assert.equal(book.bestBid(), 0.49);
+    assert.equal(book.bestAsk(), 0.6);
+    assert.deepEqual(book.sortedLevels('bids').map(l => [l.price, l.size]), [[0.49, 5], [0.48, 100], [0.45, 75], [0.4, 10]]);
+});
+
+test('prices written differently update the same level', () => {
+    const book = new OrderBook('t1');
+    book.applySnapshot(snapshot());
+
+    book.applyChange({ side: 'BUY', price: '0.480', size: '0' });
+    book.applyChange({ side: 'SELL', price: '0.6', size: '40' });
+
+    assert.equal(book.bestBid(), 0.45);
+    assert.deepEqual(book.sortedLevels('asks').map(l => [l.price, l.size]), [[0.52, 80], [0.6, 40]]);
+});
+
+test('depth counts size within the given cents of the mid', () => {
+    const book = new OrderBook('t1');
+    book.applySnapshot(snapshot());
+
+    assert.deepEqual(book.depthWithin(5), { cents: 5, bids: 150, asks: 80, bidsNotional: 70.5, asksNotional: 41.6 });
+    assert.deepEqual(book.depthWithin(10), { cents: 10, bids: 160, asks: 110, bidsNotional: 74.5, asksNotional: 59.6 });
+});
+
+test('one-sided books have no spread or mid', () => {
+    const book = new OrderBook('t1');
+    book.applySnapshot({ bids: [{ price: '0.3', size: '1' }], asks: [] });
+    assert.equal(book.spread(), null);
+    assert.equal(book.mid(), null);
+    assert.deepEqual(book.depthWithin(5), { cents: 5, bids: 0, asks: 0, bidsNotional: 0, asksNotional: 0 });
+});
+
+test('summaries are capped at the requested depth', () => {
+    const book = new OrderBook('t1');
+    book.applySnapshot(snapshot());
+    const summary = book.summary({ depth: 2, cents: 5 });
+
+    assert.deepEqual(summary.bids.map(l => l.price), [0.48, 0.45]);
+    assert.deepEqual(summary.levels, { bids: 3, asks: 2 });
+});
+
+test('the store keeps one book per token and drops untracked ones', () => {
+    const books = new OrderBookStore();
+    books.applySnapshot('1', snapshot());
+    books.applyChange(2, { side: 'BUY', price: '0.1', size: '1' });
+
+    assert.equal(books.size, 2);
+    assert.equal(books.get(2).bestBid(), 0.1);
+
+    books.retain(['2']);
+    assert.equal(books.get('1'), null);
+    assert.equal(books.size, 1);
+});
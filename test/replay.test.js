@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const TrafficRecorder = require('../trafficRecorder');
+const ReplayServer = require('../replayServer');
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+async function replay(t, dir) {
+    const server = new ReplayServer({ dir, port: 0, speed: 'max', log: () => {} });
+    await server.start();
+    t.after(() => server.stop());
+    return server;
+}
+
+async function readLines(file) {
+    return (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('the recorder writes HTTP responses, failures and WebSocket frames in order', async (t) => {
+    const dir = await tempDir(t);
+    const recorder = new TrafficRecorder(dir, { meta: { note: 'test' } });
+    const httpGet = recorder.wrapHttpGet(async (url) => {
+        if (url.includes('fail')) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+        return { status: 200, data: { url } };
+    });
+
+    await httpGet('http://gamma.local/events?limit=1');
+    await assert.rejects(httpGet('http://gamma.local/fail'));
+    recorder.recordWsFrame(Buffer.from('[{"event_type":"book"}]'));
+
+    const http = await readLines(path.join(dir, 'http.jsonl'));
+    assert.deepEqual(http.map(e => [e.url, e.status, e.error || null]), [
+        ['http://gamma.local/events?limit=1', 200, null],
+        ['http://gamma.local/fail', null, 'ECONNRESET']
+    ]);
+    assert.deepEqual(http[0].data, { url: 'http://gamma.local/events?limit=1' });
+    assert.deepEqual((await readLines(path.join(dir, 'ws.jsonl'))).map(e => e.data), ['[{"event_type":"book"}]']);
+    assert.equal((await fs.readJson(path.join(dir, 'meta.json'))).note, 'test');
+    assert.deepEqual(recorder.status(), { dir, http: 2, ws: 1 });
+});
+
+test('replay speed accepts numbers and "max" and rejects anything else', () => {
+    assert.equal(ReplayServer.parseSpeed(undefined), 1);
+    assert.equal(ReplayServer.parseSpeed('10'), 10);
+    assert.equal(ReplayServer.parseSpeed('max'), Infinity);
+    assert.equal(ReplayServer.parseSpeed('0'), Infinity);
+    assert.throws(() => ReplayServer.parseSpeed('fast'), /Invalid replay speed/);
+});
+
+test('the replay server answers by path and query in recorded order', async (t) => {
+    const dir = await tempDir(t);
+    const lines = [
+        { t: 0, url: 'https://gamma.local/events?offset=0&limit=2', status: 200, data: ['first'] },
+        { t: 5, url: 'https://gamma.local/events?limit=2&offset=0', status: 200, data: ['second'] },
+        { t: 9, url: 'https://gamma.local/events/e1', status: 404, data: { error: 'gone' } },
+        { t: 12, url: 'https://gamma.local/down', status: null, data: null, error: 'ECONNRESET' }
+    ];
+    await fs.writeFile(path.join(dir, 'http.jsonl'), lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+    const server = await replay(t, dir);
+    const url = (rawPath) => `${server.httpUrl()}${rawPath}`;
+
+    const bodies = [];
+    for (let i = 0; i < 3; i++) {
+        bodies.push(await (await fetch(url('/events?limit=2&offset=0'))).json());
+    }
+    // The last recorded response repeats
+    assert.deepEqual(bodies, [['first'], ['second'], ['second']]);
+
+    assert.equal((await fetch(url('/events/e1'))).status, 404);
+    const unmatched = await fetch(url('/markets'));
+    assert.equal(unmatched.status, 404);
+    assert.equal((await unmatched.json()).error, 'No recorded response');
+    await assert.rejects(fetch(url('/down')));
+    assert.deepEqual(server.stats, { requests: 6, unmatched: 1, framesSent: 0 });
+});
+
+test('WebSocket frames stream after the first subscription and answer PING', async (t) => {
+    const dir = await tempDir(t);
+    const frames = [{ t: 100, data: 'one' }, { t: 50, data: 'zero' }, { t: 200, data: 'two' }];
+    await fs.writeFile(path.join(dir, 'ws.jsonl'), frames.map(f => JSON.stringify(f)).join('\n'));
+    const server = await replay(t, dir);
+
+    const socket = new WebSocket(server.wsUrl());
+    t.after(() => socket.terminate());
+    await new Promise((resolve, reject) => socket.once('open', resolve).once('error', reject));
+
+    const received = [];
+    const done = new Promise(resolve => socket.on('message', (data) => {
+        received.push(data.toString());
+        if (received.length === 4) resolve();
+    }));
+    socket.send('PING');
+    socket.send(JSON.stringify({ type: 'market', assets_ids: ['t1'] }));
+    await done;
+
+    assert.deepEqual(received, ['PONG', 'zero', 'one', 'two']);
+    assert.equal(server.stats.framesSent, 3);
+});
+
+test('loading a directory without a recording fails', async (t) => {
+    const server = new ReplayServer({ dir: await tempDir(t), log: () => {} });
+    await assert.rejects(server.load(), /No recording found/);
+});
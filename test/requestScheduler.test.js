@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RequestScheduler = require('../requestScheduler');
+
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+// httpGet stub answering with the given results in order (Errors are thrown)
+function scripted(results) {
+    const calls = [];
+    const httpGet = async (url) => {
+        calls.push({ url, at: Date.now() });
+        const result = results[Math.min(calls.length - 1, results.length - 1)];
+        if (result instanceof Error) throw result;
+        return { data: result };
+    };
+    return { calls, httpGet };
+}
+
+function scheduler(httpGet, options = {}) {
+    return new RequestScheduler({ httpGet, baseDelay: 10, maxDelay: 200, log: () => {}, ...options });
+}
+
+test('server errors are retried until a request succeeds', async () => {
+    const { calls, httpGet } = scripted([httpError(500), httpError(502), { ok: true }]);
+    const requests = scheduler(httpGet);
+
+    assert.deepEqual(await requests.request('https://gamma.test/events/123'), { ok: true });
+    assert.equal(calls.length, 3);
+
+    const stats = requests.getStats().endpoints['/events/:id'];
+    assert.equal(stats.requests, 3);
+    assert.equal(stats.retries, 2);
+    assert.deepEqual(stats.errorsByType, { 'HTTP 500': 1, 'HTTP 502': 1 });
+});
+
+test('client errors are not retried', async () => {
+    const { calls, httpGet } = scripted([httpError(404)]);
+    await assert.rejects(scheduler(httpGet).request('https://gamma.test/events/1'), /404/);
+    assert.equal(calls.length, 1);
+});
+
+test('a request gives up after maxRetries', async () => {
+    const { calls, httpGet } = scripted([Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })]);
+    await assert.rejects(scheduler(httpGet, { maxRetries: 2 }).request('https://gamma.test/events'), /socket hang up/);
+    assert.equal(calls.length, 3);
+});
+
+test('429 responses honour Retry-After and pause the whole queue', async () => {
+    const { calls, httpGet } = scripted([httpError(429, { 'retry-after': '0.1' }), { ok: true }]);
+    const requests = scheduler(httpGet);
+
+    const done = requests.request('https://gamma.test/events');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(requests.pausedUntil > Date.now());
+
+    await done;
+    assert.equal(calls.length, 2);
+    assert.ok(calls[1].at - calls[0].at >= 90, `retried after ${calls[1].at - calls[0].at}ms`);
+});
+
+test('backoff grows exponentially with jitter and is capped', () => {
+    const requests = scheduler(null, { baseDelay: 100, maxDelay: 1000 });
+    const error = httpError(503);
+
+    for (let attempt = 0; attempt < 6; attempt++) {
+        const ceiling = Math.min(1000, 100 * 2 ** attempt);
+        const delay = requests.retryDelay(error, attempt);
+        assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+    }
+    assert.equal(requests.retryDelay(httpError(400), 0), null);
+    assert.equal(requests.parseRetryAfter('2'), 2000);
+});
+
+test('interactive requests run ahead of queued bulk requests', async () => {
+    const order = [];
+    let release;
+    const blocker = new Promise(resolve => { release = resolve; });
+
+    const requests = scheduler(async (url) => {
+        order.push(new URL(url).pathname);
+        if (order.length === 1) await blocker;
+        return { data: url };
+    }, { concurrency: 1 });
+
+    const pending = [
+        requests.request('https://gamma.test/first', { priority: 'bulk' }),
+        requests.request('https://gamma.test/bulk', { priority: 'bulk' }),
+        requests.request('https://gamma.test/normal'),
+        requests.request('https://gamma.test/interactive', { priority: 'interactive' })
+    ];
+    assert.deepEqual(requests.getStats().lanes, { interactive: 1, normal: 1, bulk: 1 });
+
+    release();
+    await Promise.all(pending);
+    assert.deepEqual(order, ['/first', '/interactive', '/normal', '/bulk']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Router } = require('../server/router');
+const { badRequest } = require('../server/errors');
+
+async function serve(t, router) {
+    const server = http.createServer((req, res) => router.handle(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('path params are decoded, malformed ones are a 400', async (t) => {
+    const router = new Router();
+    router.get('/events/:id', ({ params }) => ({ id: params.id }));
+    const base = await serve(t, router);
+
+    const decoded = await fetch(`${base}/events/a%20b`);
+    assert.deepEqual(await decoded.json(), { id: 'a b' });
+
+    const malformed = await fetch(`${base}/events/%E0%A4%A`);
+    assert.equal(malformed.status, 400);
+    assert.match((await malformed.json()).error, /Malformed id/);
+});
+
+test('unknown paths are 404 and other methods 405', async (t) => {
+    const router = new Router();
+    router.get('/stats', () => ({ ok: true }));
+    const base = await serve(t, router);
+
+    assert.equal((await fetch(`${base}/nope`)).status, 404);
+
+    const wrongMethod = await fetch(`${base}/stats`, { method: 'POST' });
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.get('allow'), 'GET, OPTIONS');
+});
+
+test('HttpErrors become JSON error responses', async (t) => {
+    const router = new Router();
+    router.get('/history', () => {
+        throw badRequest('Missing required parameter: marketId', { hint: 'add ?marketId=' });
+    });
+    const base = await serve(t, router);
+
+    const response = await fetch(`${base}/history`);
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Missing required parameter: marketId', hint: 'add ?marketId=' });
+});
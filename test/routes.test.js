@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createRouter } = require('../server/routes');
+const { OrderBookStore } = require('../orderBook');
+
+// Data source stand-in around a tracker-like object; only what the tested routes read
+function stubSource(tracker = {}, extra = {}) {
+    return { prepare: async () => {}, tracker, winnerTracker: {}, ...extra };
+}
+
+async function serve(t, source) {
+    const router = createRouter();
+    const server = http.createServer((req, res) => router.handle(req, res, { source }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return async (url, options) => {
+        const response = await fetch(base + url, options);
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+test('/orderbook returns the book summary of a token', async (t) => {
+    const books = new OrderBookStore();
+    books.applySnapshot('t1', { bids: [{ price: '0.4', size: '10' }], asks: [{ price: '0.6', size: '20' }] });
+    const get = await serve(t, stubSource({
+        getOrderBook: (tokenId, options) => {
+            const book = books.get(tokenId);
+            return book ? { ...book.summary(options), marketId: 'm1' } : null;
+        }
+    }));
+
+    const { status, body } = await get('/orderbook?tokenId=t1&depth=1');
+    assert.equal(status, 200);
+    assert.deepEqual([body.bestBid, body.bestAsk, body.spread, body.mid, body.marketId], [0.4, 0.6, 0.2, 0.5, 'm1']);
+
+    assert.equal((await get('/orderbook')).status, 400);
+    assert.equal((await get('/orderbook?tokenId=other')).status, 404);
+});
+
+test('/tags passes sort and limit to the tag index', async (t) => {
+    const calls = [];
+    const get = await serve(t, stubSource({
+        getTags: async (options) => {
+            calls.push(options);
+            return { count: 0, updatedAt: null, tags: [] };
+        }
+    }));
+
+    assert.equal((await get('/tags?sort=label&limit=5')).status, 200);
+    await get('/tags');
+    assert.deepEqual(calls, [{ sort: 'label', limit: 5 }, { sort: undefined, limit: 0 }]);
+});
+
+test('/search validates q and type and passes the paging on', async (t) => {
+    const calls = [];
+    const get = await serve(t, stubSource({
+        searchEvents: async (q, options) => {
+            calls.push([q, options]);
+            return { query: q, total: 1, offset: options.offset, hits: [{ type: 'event', eventId: 'e1' }] };
+        }
+    }));
+
+    assert.equal((await get('/search')).status, 400);
+    assert.equal((await get('/search?q=%20')).status, 400);
+    assert.equal((await get('/search?q=btc&type=tag')).status, 400);
+
+    const { status, body } = await get('/search?q=btc&type=market&status=active&limit=5&offset=2');
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    assert.deepEqual(calls, [['btc', { type: 'market', collection: 'active', limit: 5, offset: 2 }]]);
+});
+
+test('negative or non-numeric paging and block numbers are rejected', async (t) => {
+    const tracked = [];
+    const get = await serve(t, stubSource({
+        searchEvents: async (q, options) => ({ query: q, total: 0, offset: options.offset, hits: [] }),
+        getTags: async () => ({ count: 0, updatedAt: null, tags: [] })
+    }, {
+        winnerTracker: { ready: Promise.resolve(), getTopWinners: (limit) => new Array(Math.min(limit, 3)).fill({}) },
+        listJobs: async (query) => ({ jobs: [], count: 0, limit: query.limit }),
+        trackWinners: async (...args) => {
+            tracked.push(args);
+            return { jobId: 'j1' };
+        }
+    }));
+
+    for (const url of ['/search?q=btc&limit=-1', '/search?q=btc&offset=-5', '/search?q=btc&limit=0', '/tags?limit=-1', '/winners?limit=-10', '/winners?limit=abc', '/jobs?limit=-1']) {
+        const { status, body } = await get(url);
+        assert.equal(status, 400, url);
+        assert.match(body.error, /^Invalid (limit|offset)/, url);
+    }
+    assert.equal((await get('/winners?limit=2')).body.count, 2);
+    assert.equal((await get('/jobs')).body.limit, 100);
+
+    const invalid = await get('/track-winners?marketId=m1&outcome=Yes&blockNumber=latest');
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /blockNumber/);
+    assert.equal((await get('/track-winners?marketId=m1&outcome=Yes&blockNumber=-1')).status, 400);
+
+    assert.equal((await get('/track-winners?marketId=m1&outcome=Yes&blockNumber=123')).status, 202);
+    assert.equal((await get('/track-winners?marketId=m1&outcome=Yes')).status, 202);
+    assert.deepEqual(tracked, [['m1', 'Yes', 123], ['m1', 'Yes', null]]);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchIndex = require('../searchIndex');
+
+function market(id, question, outcomes = ['Yes', 'No']) {
+    return { id, question, status: 'active', volume: 10, outcomes: outcomes.map(outcome => ({ outcome })) };
+}
+
+function event(id, title, markets = [], overrides = {}) {
+    return { id, title, slug: `event-${id}`, totalVolume: 100, markets, ...overrides };
+}
+
+function index() {
+    const search = new SearchIndex();
+    search.rebuild({
+        active: new Map([
+            ['e1', event('e1', 'Presidential Election Winner 2028', [
+                market('m1', 'Will the Democratic nominee win the election?'),
+                market('m2', 'Who wins the presidential election?', ['Newsom', 'Vance'])
+            ], { ticker: 'pres-2028' })],
+            ['e2', event('e2', 'Bitcoin price on December 31', [market('m3', 'Will Bitcoin close above $100k?')], {
+                description: 'Resolves using the Binance BTC/USDT close. Not an election market.'
+            })]
+        ]),
+        resolved: new Map([
+            ['e3', event('e3', 'Election night turnout', [market('m4', 'Turnout above 60%?')])]
+        ])
+    });
+    return search;
+}
+
+test('queries split into phrases, exact terms and prefixes', () => {
+    assert.deepEqual(SearchIndex.parseQuery('"election winner" bitcoin pres*'), [
+        { type: 'phrase', terms: ['election', 'winner'] },
+        { type: 'term', term: 'bitcoin' },
+        { type: 'prefix', term: 'pres' }
+    ]);
+    // The last bare word is a prefix unless the query ends with a space
+    assert.deepEqual(SearchIndex.parseQuery('Élect').map(c => c.type), ['prefix']);
+    assert.deepEqual(SearchIndex.parseQuery('elect ').map(c => c.type), ['term']);
+    assert.deepEqual(SearchIndex.parseQuery('""'), []);
+});
+
+test('title matches outrank description matches and every clause must match', () => {
+    const search = index();
+
+    const { hits, total } = search.search('election ', { type: 'event' });
+    assert.equal(total, 3);
+    assert.equal(hits[hits.length - 1].eventId, 'e2');
+
+    assert.deepEqual(search.search('bitcoin election ').hits.map(h => h.eventId), ['e2']);
+    assert.equal(search.search('bitcoin nothing ').total, 0);
+});
+
+test('prefixes and phrases match event and market documents', () => {
+    const search = index();
+
+    const prefix = search.search('vanc');
+    assert.deepEqual(prefix.hits.map(h => [h.type, h.marketId]), [['market', 'm2']]);
+    assert.equal(prefix.hits[0].highlights.outcomes, 'Newsom / <mark>Vance</mark>');
+
+    const phrase = search.search('"election winner"');
+    assert.deepEqual(phrase.hits.map(h => h.eventId), ['e1']);
+    assert.equal(search.search('"winner election"').total, 0);
+});
+
+test('results filter by type and collection and page with limit and offset', () => {
+    const search = index();
+
+    assert.deepEqual(search.search('election ', { collection: 'resolved' }).hits.map(h => h.eventId), ['e3']);
+    assert.ok(search.search('election ', { type: 'market' }).hits.every(h => h.type === 'market'));
+
+    const all = search.search('election ');
+    const page = search.search('election ', { limit: 2, offset: 1 });
+    assert.equal(page.total, all.total);
+    assert.deepEqual(page.hits.map(h => h.score), all.hits.slice(1, 3).map(h => h.score));
+});
+
+test('snippets are escaped and cut around the first match', () => {
+    const search = new SearchIndex();
+    const filler = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+    search.upsertEvent(event('e1', 'Tom & Jerry <3', [], { description: `${filler} target ${filler}` }));
+
+    const [hit] = search.search('target').hits;
+    assert.match(hit.highlights.description, /^…word\d+ .*<mark>target<\/mark>.* word\d+…$/);
+    assert.equal(search.search('jerry').hits[0].highlights.title, 'Tom &amp; <mark>Jerry</mark> &lt;3');
+});
+
+test('upserts re-index changed events and drop markets that are gone', () => {
+    const search = index();
+
+    search.upsertEvent(event('e2', 'Ethereum price on December 31', [market('m5', 'Will ETH close above $5k?')]), 'active');
+    assert.equal(search.search('bitcoin').total, 0);
+    assert.deepEqual(search.search('ethereum').hits.map(h => h.eventId), ['e2']);
+    assert.equal(search.search('eth').hits.find(h => h.type === 'market').marketId, 'm5');
+
+    search.removeEvent('e1');
+    assert.equal(search.search('presidential').total, 0);
+    assert.deepEqual(search.getStats(), { documents: 4, events: 2, markets: 2, terms: search.postings.size });
+});
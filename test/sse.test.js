@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const SseHub = require('../server/sse');
+
+// Request/response stand-ins; `accept` decides whether res.write reports a free buffer
+function connect(hub, query = {}, headers = {}) {
+    const req = new EventEmitter();
+    req.headers = headers;
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.accept = true;
+    res.writeHead = (status, head) => {
+        res.status = status;
+        res.head = head;
+    };
+    res.write = (chunk) => {
+        res.chunks.push(chunk);
+        return res.accept;
+    };
+    res.end = () => {
+        res.ended = true;
+    };
+    hub.open(req, res, query);
+    return { req, res };
+}
+
+function messages(res) {
+    return res.chunks.filter(chunk => chunk.includes('data: ')).map(chunk => ({
+        id: (/^id: (\d+)$/m.exec(chunk) || [])[1],
+        event: (/^event: (.+)$/m.exec(chunk) || [])[1],
+        data: JSON.parse(/^data: (.*)$/m.exec(chunk)[1])
+    }));
+}
+
+function quietHub(t, options) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => {
+        console.log = log;
+    });
+    const hub = new SseHub({ startId: 100, heartbeatSeconds: 3600, ...options });
+    t.after(() => hub.stopHeartbeat());
+    return hub;
+}
+
+test('messages carry increasing ids and are named after their type', (t) => {
+    const hub = quietHub(t);
+    const { res } = connect(hub);
+
+    hub.broadcast({ type: 'price_update', marketId: 'm1' });
+    hub.broadcast({ type: 'market_resolved', marketId: 'm1', market: { question: 'Q?' } });
+
+    assert.equal(res.head['Content-Type'], 'text/event-stream');
+    assert.deepEqual(messages(res).map(m => [m.id, m.event]), [['100', 'connected'], ['101', 'price_update'], ['102', 'market_resolved']]);
+});
+
+test('reconnecting clients replay what they missed from the ring buffer', (t) => {
+    const hub = quietHub(t, { bufferSize: 3 });
+    for (let i = 0; i < 5; i++) hub.broadcast({ type: 'price_update', n: i });
+
+    const { res } = connect(hub, {}, { 'last-event-id': '102' });
+    assert.deepEqual(messages(res).map(m => m.data.n ?? m.data.type), [2, 3, 4, 'connected']);
+
+    // 101 and 102 have left the three-message buffer
+    const stale = connect(hub, { lastEventId: '100' }).res;
+    assert.deepEqual(messages(stale).map(m => m.data.type), ['replay_incomplete', 'price_update', 'price_update', 'price_update', 'connected']);
+    assert.equal(messages(stale)[0].data.oldestAvailableId, 103);
+    assert.equal(messages(stale)[0].id, undefined);
+
+    // An id ahead of the last one sent cannot be from this process
+    const ahead = connect(hub, { lastEventId: '9999' }).res;
+    assert.equal(messages(ahead)[0].data.type, 'replay_incomplete');
+});
+
+test('clients only get messages that pass their filters', (t) => {
+    const tags = { resolve: (values) => values.map(v => v.toLowerCase()), forEvent: (id) => (id === 'e1' ? ['crypto'] : ['politics']) };
+    const hub = quietHub(t, { tags });
+    const byMarket = connect(hub, { marketId: 'm1,m2' }).res;
+    const byType = connect(hub, { types: 'market_resolved' }).res;
+    const byTag = connect(hub, { tag: 'Crypto' }).res;
+
+    hub.broadcast({ type: 'price_update', eventId: 'e1', marketId: 'm1' });
+    hub.broadcast({ type: 'price_update', eventId: 'e2', marketId: 'm3' });
+    hub.broadcast({ type: 'market_resolved', eventId: 'e2', marketId: 'm2', market: { question: 'Q?' } });
+
+    const ids = (res) => messages(res).filter(m => m.event !== 'connected').map(m => m.id);
+    assert.deepEqual(ids(byMarket), ['101', '103']);
+    assert.deepEqual(ids(byType), ['103']);
+    assert.deepEqual(ids(byTag), ['101']);
+});
+
+test('slow clients queue until drain and are dropped when the queue overflows', (t) => {
+    const hub = quietHub(t, { maxQueue: 2 });
+    const { res } = connect(hub);
+    res.accept = false;
+
+    hub.broadcast({ type: 'a' });
+    hub.broadcast({ type: 'b' });
+    assert.equal(hub.getStats().slowClients, 1);
+    assert.deepEqual(messages(res).map(m => m.data.type), ['connected', 'a']);
+
+    res.accept = true;
+    res.emit('drain');
+    assert.deepEqual(messages(res).map(m => m.data.type), ['connected', 'a', 'b']);
+
+    res.accept = false;
+    for (const type of ['c', 'd', 'e', 'f']) hub.broadcast({ type });
+    assert.equal(res.ended, true);
+    assert.equal(hub.size, 0);
+    assert.equal(hub.getStats().dropped, 1);
+});
+
+test('heartbeats are comment lines sent while clients are connected', async (t) => {
+    const hub = quietHub(t);
+    hub.heartbeatInterval = 10;
+    const { req, res } = connect(hub);
+
+    await new Promise(resolve => setTimeout(resolve, 35));
+    assert.ok(res.chunks.some(chunk => /^: heartbeat /.test(chunk)));
+
+    req.emit('close');
+    assert.equal(hub.size, 0);
+    assert.equal(hub.heartbeatTimer, null);
+});
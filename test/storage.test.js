@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JsonStorage = require('../storage/jsonStorage');
+const SqliteStorage = require('../storage/sqliteStorage');
+const migrations = require('../storage/migrations');
+
+function market(id, overrides = {}) {
+    return {
+        id,
+        question: `Question ${id}?`,
+        status: 'active',
+        volume: 100,
+        volumeUSD: 100,
+        liquidity: 10,
+        outcomes: [
+            { tokenId: `${id}-yes`, outcome: 'Yes', price: 0.25, winner: false },
+            { tokenId: `${id}-no`, outcome: 'No', price: 0.75, winner: false }
+        ],
+        isMultiOutcome: false,
+        winningOutcome: null,
+        conditionId: `0x${id}`,
+        negRisk: false,
+        ...overrides
+    };
+}
+
+function event(id, markets, overrides = {}) {
+    return {
+        id,
+        title: `Event ${id}`,
+        slug: `event-${id}`,
+        status: 'active',
+        totalVolume: 100 * markets.length,
+        tags: [{ id: '2', label: 'Politics', slug: 'politics' }],
+        markets,
+        marketsCount: markets.length,
+        activeMarketsCount: markets.length,
+        resolvedMarketsCount: 0,
+        multiOutcomeMarketsCount: 0,
+        ...overrides
+    };
+}
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+async function sqlite(t, file) {
+    const storage = new SqliteStorage({ file: file || path.join(await tempDir(t), 'tracker.db'), log: () => {} });
+    t.after(() => storage.close());
+    await storage.init();
+    return storage;
+}
+
+test('SQLite applies every migration once and records the schema version', async (t) => {
+    const file = path.join(await tempDir(t), 'tracker.db');
+    const storage = await sqlite(t, file);
+    const latest = migrations[migrations.length - 1].version;
+    assert.equal(storage.describe().schemaVersion, latest);
+
+    // Opening the same file again finds nothing to apply
+    const applied = [];
+    const reopened = new SqliteStorage({ file, log: (message) => applied.push(message) });
+    t.after(() => reopened.close());
+    await storage.close();
+    await reopened.init();
+    assert.deepEqual(applied, []);
+});
+
+test('SQLite round-trips events, markets, outcomes and meta', async (t) => {
+    const storage = await sqlite(t);
+    const active = event('e1', [market('m1'), market('m2', { status: 'resolved', winningOutcome: 'No', resolvedAt: '2025-01-01T00:00:00.000Z' })]);
+    const resolved = event('e2', [market('m3')], { status: 'resolved' });
+
+    await storage.saveEvents({
+        active: new Map([['e1', active]]),
+        resolved: new Map([['e2', resolved]]),
+        lastUpdate: '2025-01-02T00:00:00.000Z'
+    });
+    await storage.setMeta('resolvedCursor', '{"offset":5}');
+
+    const loaded = await storage.loadEvents();
+    assert.deepEqual(Array.from(loaded.active.keys()), ['e1']);
+    assert.deepEqual(Array.from(loaded.resolved.keys()), ['e2']);
+    assert.equal(loaded.lastUpdate, '2025-01-02T00:00:00.000Z');
+
+    const e1 = loaded.active.get('e1');
+    assert.deepEqual(e1.markets.map(m => m.id), ['m1', 'm2']);
+    assert.deepEqual(e1.markets[0].outcomes, active.markets[0].outcomes);
+    assert.equal(e1.markets[1].winningOutcome, 'No');
+    assert.equal(e1.markets[1].resolvedAt, '2025-01-01T00:00:00.000Z');
+    assert.deepEqual(e1.tags, active.tags);
+
+    assert.equal(await storage.getMarketEventId('m3'), 'e2');
+    assert.equal((await storage.getEventBySlug('event-e1')).id, 'e1');
+    assert.equal(await storage.getMeta('resolvedCursor'), '{"offset":5}');
+
+    // Events missing from the next save are deleted with their markets
+    await storage.saveEvents({ active: new Map([['e1', active]]), resolved: new Map(), lastUpdate: null });
+    assert.equal(await storage.getEvent('e2'), null);
+    assert.equal(await storage.getMarketEventId('m3'), null);
+});
+
+test('SQLite filters by tag and reports totals in SQL', async (t) => {
+    const storage = await sqlite(t);
+    await storage.saveEvents({
+        active: new Map([
+            ['e1', event('e1', [market('m1')])],
+            ['e2', event('e2', [market('m2'), market('m3')], { tags: [{ id: '21', label: 'Crypto', slug: 'crypto' }] })]
+        ]),
+        resolved: new Map(),
+        lastUpdate: null
+    });
+
+    const crypto = await storage.queryEvents({ collection: 'active', tags: ['crypto'] });
+    assert.deepEqual(crypto.events.map(e => e.id), ['e2']);
+    const notCrypto = await storage.queryEvents({ collection: 'active', excludeTags: ['crypto'] });
+    assert.deepEqual(notCrypto.events.map(e => e.id), ['e1']);
+
+    const stats = await storage.getStats();
+    assert.equal(stats.activeEvents, 2);
+    assert.equal(stats.activeMarkets, 3);
+    assert.equal(stats.totalVolume, 300);
+});
+
+test('SQLite stores winners with exact balances', async (t) => {
+    const storage = await sqlite(t);
+    await storage.saveMarketWinners({
+        marketId: 'm1',
+        winningOutcome: 'Yes',
+        positionId: '123',
+        resolutionBlock: 10,
+        totalBalance: '1180591620717411303427',
+        totalPayout: 1180591620717411.2,
+        winnerCount: 1,
+        winners: [{ address: '0xabc', balance: '1180591620717411303427', winningTokens: 1180591620717411.2, payoutUSDC: 1180591620717411.2 }],
+        timestamp: '2025-01-01T00:00:00.000Z'
+    });
+
+    const winners = (await storage.loadMarketWinners()).get('m1');
+    assert.equal(winners.totalBalance, '1180591620717411303427');
+    assert.equal(winners.winners[0].balance, '1180591620717411303427');
+});
+
+test('JSON storage keeps meta in meta.json and reads it from legacy events.json', async (t) => {
+    const dir = await tempDir(t);
+    const file = path.join(dir, 'events.json');
+    await fs.writeJson(file, { active: [], resolved: [], lastUpdate: null, meta: { resolvedCursor: 'legacy' } });
+
+    const storage = new JsonStorage({ file, log: () => {} });
+    await storage.init();
+    await storage.loadEvents();
+    assert.equal(await storage.getMeta('resolvedCursor'), 'legacy');
+
+    const before = await fs.readFile(file, 'utf8');
+    await storage.setMeta('resolvedCursor', 'new');
+    assert.equal(await fs.readFile(file, 'utf8'), before);
+    assert.deepEqual(await fs.readJson(path.join(dir, 'meta.json')), { resolvedCursor: 'new' });
+
+    const reloaded = new JsonStorage({ file, log: () => {} });
+    await reloaded.loadEvents();
+    assert.equal(await reloaded.getMeta('resolvedCursor'), 'new');
+});
+
+test('SQLite keeps a market ID listed under two events', async (t) => {
+    const storage = await sqlite(t);
+    await storage.saveEvents({
+        active: new Map([
+            ['e1', event('e1', [market('m1')])],
+            ['e2', event('e2', [market('m1', { question: 'Same market, other event?' })])]
+        ]),
+        resolved: new Map(),
+        lastUpdate: null
+    });
+
+    const loaded = await storage.loadEvents();
+    assert.equal(loaded.active.get('e1').markets[0].question, 'Question m1?');
+    assert.equal(loaded.active.get('e2').markets[0].question, 'Same market, other event?');
+    assert.equal(loaded.active.get('e2').markets[0].outcomes.length, 2);
+
+    await storage.deleteEvent('e1');
+    assert.equal(await storage.getMarketEventId('m1'), 'e2');
+});
+
+test('SQLite migrates markets and outcomes from the version 6 schema', async (t) => {
+    const file = path.join(await tempDir(t), 'tracker.db');
+    const Database = require('better-sqlite3');
+    const db = new Database(file);
+    for (const migration of migrations.filter(m => m.version <= 6)) {
+        db.exec(migration.up);
+    }
+    db.pragma('user_version = 6');
+    db.exec(`
+        INSERT INTO events (id, collection, status, markets_count) VALUES ('e1', 'active', 'active', 1);
+        INSERT INTO markets (id, event_id, position, question, status) VALUES ('m1', 'e1', 0, 'Old?', 'active');
+        INSERT INTO outcomes (market_id, position, token_id, outcome, price) VALUES ('m1', 0, 't1', 'Yes', 0.4), ('m1', 1, 't2', 'No', 0.6);
+    `);
+    db.close();
+
+    const storage = await sqlite(t, file);
+    const e1 = await storage.getEvent('e1');
+    assert.equal(e1.markets[0].question, 'Old?');
+    assert.deepEqual(e1.markets[0].outcomes.map(o => [o.tokenId, o.price]), [['t1', 0.4], ['t2', 0.6]]);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TagIndex = require('../tagIndex');
+
+function event(id, tags, overrides = {}) {
+    return { id, tags, totalVolume: 100, marketsCount: 2, activeMarketsCount: 2, ...overrides };
+}
+
+function index() {
+    const tags = new TagIndex();
+    tags.rebuild({
+        active: new Map([
+            ['e1', event('e1', [{ id: '2', label: 'Politics', slug: 'politics' }, { id: '2', label: 'Politics', slug: 'Politics' }])],
+            ['e2', event('e2', [{ id: '21', label: 'Crypto', slug: 'crypto' }], { totalVolume: 500.555 })]
+        ]),
+        resolved: new Map([
+            ['e3', event('e3', [{ id: '2', label: 'Politics', slug: 'politics' }, 'Elections'])]
+        ])
+    });
+    return tags;
+}
+
+test('tags roll up events, markets and volume per collection', () => {
+    const tags = index();
+    assert.equal(tags.size, 3);
+
+    const [crypto, politics, elections] = tags.list();
+    assert.deepEqual(
+        [crypto.tag, crypto.volume, crypto.activeEvents],
+        ['crypto', 500.56, 1]
+    );
+    // The duplicate slug on e1 counts once
+    assert.deepEqual(
+        [politics.tag, politics.events, politics.activeEvents, politics.resolvedEvents, politics.markets, politics.activeMarkets, politics.volume, politics.activeVolume],
+        ['politics', 2, 1, 1, 4, 2, 200, 100]
+    );
+    assert.deepEqual([elections.tag, elections.label, elections.id], ['elections', 'Elections', null]);
+});
+
+test('tag lists sort by events or label and honour the limit', () => {
+    const tags = index();
+    assert.equal(tags.list({ sort: 'events' })[0].tag, 'politics');
+    assert.deepEqual(tags.list({ sort: 'label' }).map(t => t.tag), ['crypto', 'elections', 'politics']);
+    assert.equal(tags.list({ limit: 1 }).length, 1);
+});
+
+test('tag filter values resolve by key, label or Gamma ID', () => {
+    const tags = index();
+    assert.deepEqual(tags.resolve(['POLITICS', 'Crypto', '21', ' ', 'unknown']), ['politics', 'crypto', 'unknown']);
+    assert.deepEqual(tags.resolve(undefined), []);
+});
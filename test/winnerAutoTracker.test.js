@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WinnerAutoTracker = require('../winnerAutoTracker');
+const WinnerJobQueue = require('../winnerJobs');
+
+// Tracker stand-in with the two notification hooks and a tag lookup per event
+function fakeTracker(eventTags = {}) {
+    const realtime = [];
+    const resolvedSync = [];
+    return {
+        addRealtimeCallback: (callback) => realtime.push(callback),
+        addResolvedSyncCallback: (callback) => resolvedSync.push(callback),
+        tags: { resolve: (values) => values.map(value => value.toLowerCase()) },
+        getEventTagKeys: (eventId) => eventTags[eventId] || [],
+        resolve: (eventId, market) => realtime.forEach(callback => callback({ type: 'market_resolved', eventId, market })),
+        syncResolved: (eventData) => resolvedSync.forEach(callback => callback(eventData))
+    };
+}
+
+// Scans of markets listed in `scans` end as 'done' or 'fail'; the rest run until cancelled
+function fakeWinnerTracker(winners = {}, scans = {}) {
+    return {
+        ready: Promise.resolve(),
+        getMarketWinners: (marketId) => winners[marketId] || null,
+        findBlockByTimestamp: async (timestamp) => timestamp - 1700000000,
+        runMarketWinners: (marketId, winningOutcome, blockNumber, { signal }) => new Promise((resolve, reject) => {
+            if (scans[marketId] === 'done') resolve({ positionId: '1', winnerCount: 0, totalPayout: 0 });
+            if (scans[marketId] === 'fail') reject(Object.assign(new Error('No position'), { retryable: false }));
+            signal.addEventListener('abort', () => reject(new Error('Scan aborted')));
+        })
+    };
+}
+
+function resolvedMarket(id, overrides = {}) {
+    return {
+        id,
+        status: 'resolved',
+        winningOutcome: 'Yes',
+        volumeUSD: 50000,
+        resolvedAt: new Date(Date.now() - 3600 * 1000).toISOString(),
+        ...overrides
+    };
+}
+
+function createAutoTracker(t, options = {}) {
+    const methods = ['log', 'error'];
+    const saved = methods.map(name => console[name]);
+    methods.forEach(name => {
+        console[name] = () => {};
+    });
+    t.after(() => methods.forEach((name, i) => {
+        console[name] = saved[i];
+    }));
+
+    const tracker = fakeTracker(options.eventTags);
+    const winnerTracker = fakeWinnerTracker(options.winners, options.scans);
+    const jobs = options.jobs || new WinnerJobQueue({ winnerTracker, concurrency: 5 });
+    const auto = new WinnerAutoTracker({
+        tracker,
+        winnerTracker,
+        jobs,
+        enabled: true,
+        minVolume: 10000,
+        maxAgeHours: 24,
+        ...options.policy
+    });
+    return { auto, tracker, jobs };
+}
+
+// Waits for the fire-and-forget queueing started by a notification
+async function settle(auto) {
+    for (let i = 0; i < 20 && (i === 0 || auto.inFlight.size > 0); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+test('resolutions queue an automatic job at the resolution block', async (t) => {
+    const { auto, tracker, jobs } = createAutoTracker(t);
+    const market = resolvedMarket('m1');
+    tracker.resolve('e1', market);
+    await settle(auto);
+
+    const [job] = jobs.list();
+    assert.deepEqual([job.marketId, job.winningOutcome, job.source], ['m1', 'Yes', 'auto']);
+    assert.equal(job.blockNumber, Math.floor(Date.parse(market.resolvedAt) / 1000) - 1700000000);
+    assert.equal(auto.getStats().queued, 1);
+    assert.equal(jobs.sourceLimits.auto, 1);
+});
+
+test('the resolved-event sync queues each resolved market of a new event', async (t) => {
+    const { auto, tracker, jobs } = createAutoTracker(t);
+    tracker.syncResolved({
+        id: 'e1',
+        markets: [resolvedMarket('m1'), resolvedMarket('m2', { winningOutcome: 'No' }), { id: 'm3', status: 'active' }]
+    });
+    await settle(auto);
+
+    assert.deepEqual(jobs.list().map(job => [job.marketId, job.winningOutcome]).sort(), [['m1', 'Yes'], ['m2', 'No']]);
+});
+
+test('the policy skips small, untagged and old markets', async (t) => {
+    const { auto, tracker, jobs } = createAutoTracker(t, {
+        eventTags: { e1: ['politics'], e2: ['sports'] },
+        policy: { tags: ['Politics'] }
+    });
+
+    tracker.resolve('e1', resolvedMarket('small', { volumeUSD: 500 }));
+    tracker.resolve('e2', resolvedMarket('untagged'));
+    tracker.resolve('e1', resolvedMarket('old', { resolvedAt: new Date(Date.now() - 48 * 3600 * 1000).toISOString() }));
+    tracker.resolve('e1', resolvedMarket('kept'));
+    await settle(auto);
+
+    assert.deepEqual(jobs.list().map(job => job.marketId), ['kept']);
+    assert.equal(auto.getStats().skipped, 3);
+    assert.match(auto.skipReason('e1', resolvedMarket('x', { volumeUSD: 500 })), /volume 500 below 10000/);
+    assert.equal(auto.skipReason('e2', resolvedMarket('x')), 'no allowed tag');
+});
+
+test('markets with stored winners, an existing job or no winner are not queued again', async (t) => {
+    const { auto, tracker, jobs } = createAutoTracker(t, { winners: { tracked: { winnerCount: 3 } } });
+
+    tracker.resolve('e1', resolvedMarket('tracked'));
+    tracker.resolve('e1', resolvedMarket('pending', { winningOutcome: null }));
+    tracker.resolve('e1', resolvedMarket('m1'));
+    tracker.resolve('e1', resolvedMarket('m1'));
+    await settle(auto);
+    tracker.syncResolved({ id: 'e1', markets: [resolvedMarket('m1')] });
+    await settle(auto);
+
+    assert.deepEqual(jobs.list().map(job => job.marketId), ['m1']);
+    assert.equal(auto.getStats().queued, 1);
+});
+
+test('a disabled policy leaves resolutions alone', async (t) => {
+    const { auto, tracker, jobs } = createAutoTracker(t, { policy: { enabled: false } });
+    tracker.resolve('e1', resolvedMarket('m1'));
+    await settle(auto);
+
+    assert.equal(jobs.list().length, 0);
+    assert.equal(jobs.sourceLimits.auto, undefined);
+});
+
+test('markets without a valid resolution time count as too old', async (t) => {
+    const { auto, tracker, jobs } = createAutoTracker(t);
+    tracker.resolve('e1', resolvedMarket('missing', { resolvedAt: undefined }));
+    tracker.resolve('e1', resolvedMarket('invalid', { resolvedAt: 'soon' }));
+    await settle(auto);
+
+    assert.equal(jobs.list().length, 0);
+    assert.match(auto.skipReason('e1', resolvedMarket('x', { resolvedAt: null })), /no resolution time/);
+
+    auto.policy.maxAgeHours = 0;
+    assert.equal(auto.skipReason('e1', resolvedMarket('x', { resolvedAt: null })), null);
+});
+
+test('failed or cancelled jobs are queued again, queued, running and done ones are not', async (t) => {
+    const { auto, tracker, jobs } = createAutoTracker(t, { scans: { failed: 'fail', done: 'done' } });
+    const resolveAll = async () => {
+        for (const id of ['failed', 'cancelled', 'done', 'running']) tracker.resolve('e1', resolvedMarket(id));
+        await settle(auto);
+        await new Promise(resolve => setImmediate(resolve));
+    };
+
+    await resolveAll();
+    await jobs.cancel(jobs.list({ marketId: 'cancelled' })[0].id);
+    await new Promise(resolve => setImmediate(resolve));
+    const states = () => Object.fromEntries(jobs.list().reverse().map(job => [job.marketId, job.state]));
+    assert.deepEqual(states(), { failed: 'failed', cancelled: 'cancelled', done: 'done', running: 'running' });
+
+    await resolveAll();
+    const counts = {};
+    for (const job of jobs.list()) counts[job.marketId] = (counts[job.marketId] || 0) + 1;
+    assert.deepEqual(counts, { failed: 2, cancelled: 2, done: 1, running: 1 });
+    assert.equal(auto.getStats().queued, 6);
+});
+
+test('empty or non-numeric policy settings fall back to their defaults', (t) => {
+    const saved = { min: process.env.AUTO_TRACK_MIN_VOLUME, age: process.env.AUTO_TRACK_MAX_AGE_HOURS };
+    t.after(() => {
+        for (const [key, value] of [['AUTO_TRACK_MIN_VOLUME', saved.min], ['AUTO_TRACK_MAX_AGE_HOURS', saved.age]]) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+    process.env.AUTO_TRACK_MIN_VOLUME = '';
+    process.env.AUTO_TRACK_MAX_AGE_HOURS = 'a day';
+
+    const auto = new WinnerAutoTracker({ tracker: fakeTracker(), winnerTracker: fakeWinnerTracker(), jobs: null, enabled: false });
+    assert.deepEqual([auto.policy.minVolume, auto.policy.maxAgeHours], [10000, 24]);
+
+    process.env.AUTO_TRACK_MIN_VOLUME = '0';
+    assert.equal(new WinnerAutoTracker({ tracker: fakeTracker(), jobs: null, enabled: false }).policy.minVolume, 0);
+});
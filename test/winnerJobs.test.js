@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WinnerJobQueue = require('../winnerJobs');
+
+// winnerTracker stand-in: each runMarketWinners call waits until the test settles it
+function fakeWinnerTracker() {
+    const calls = [];
+    return {
+        calls,
+        runMarketWinners(marketId, winningOutcome, blockNumber, options) {
+            return new Promise((resolve, reject) => {
+                calls.push({ marketId, winningOutcome, blockNumber, options, resolve, reject });
+            });
+        }
+    };
+}
+
+function memoryStorage(stored = []) {
+    const saved = new Map(stored.map(job => [job.id, { ...job }]));
+    return {
+        saved,
+        loadWinnerJobs: async () => Array.from(saved.values(), job => ({ ...job })),
+        saveWinnerJob: async (job) => {
+            saved.set(job.id, { ...job });
+        },
+        deleteWinnerJob: async (id) => {
+            saved.delete(id);
+        }
+    };
+}
+
+function winnerData() {
+    return { positionId: '1', resolutionBlock: 10, winnerCount: 2, totalPayout: 5, verification: { verified: true } };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function createQueue(t, options = {}) {
+    const methods = ['log', 'error'];
+    const saved = methods.map(name => console[name]);
+    methods.forEach(name => {
+        console[name] = () => {};
+    });
+    t.after(() => methods.forEach((name, i) => {
+        console[name] = saved[i];
+    }));
+
+    const updates = [];
+    const queue = new WinnerJobQueue({
+        winnerTracker: fakeWinnerTracker(),
+        notify: (data) => updates.push(data),
+        progressInterval: 0,
+        ...options
+    });
+    queue.updates = updates;
+    return queue;
+}
+
+test('jobs run up to the concurrency limit and record their result', async (t) => {
+    const queue = createQueue(t, { concurrency: 1 });
+    const { job: first, created } = await queue.enqueue('m1', 'Yes');
+    const { job: second } = await queue.enqueue('m2', 'No', 123);
+    await tick();
+
+    assert.equal(created, true);
+    assert.deepEqual([first.state, second.state], ['running', 'queued']);
+    assert.equal(queue.winnerTracker.calls.length, 1);
+
+    queue.winnerTracker.calls[0].resolve(winnerData());
+    await tick();
+    assert.equal(first.state, 'done');
+    assert.deepEqual(first.result, { positionId: '1', resolutionBlock: 10, winnerCount: 2, totalPayout: 5, verified: true });
+    assert.equal(second.state, 'running');
+    assert.deepEqual(queue.winnerTracker.calls.slice(1).map(c => [c.marketId, c.winningOutcome, c.blockNumber]), [['m2', 'No', 123]]);
+    assert.deepEqual(queue.getStats(), { concurrency: 1, queued: 0, running: 1, done: 1, failed: 0, cancelled: 0 });
+});
+
+test('an active job for the same market, outcome and block is reused', async (t) => {
+    const queue = createQueue(t);
+    const { job } = await queue.enqueue('m1', 'Yes');
+    const again = await queue.enqueue('m1', 'Yes');
+    assert.deepEqual([again.job.id, again.created], [job.id, false]);
+    assert.equal((await queue.enqueue('m1', 'No')).created, true);
+});
+
+test('progress is published as job_progress with the scanned percentage', async (t) => {
+    const queue = createQueue(t);
+    const { job } = await queue.enqueue('m1', 'Yes');
+    await tick();
+
+    queue.winnerTracker.calls[0].options.onProgress({ phase: 'scanning', scannedBlocks: 250, totalBlocks: 1000 });
+    assert.equal(job.progress.percent, 25);
+
+    const last = queue.updates[queue.updates.length - 1];
+    assert.deepEqual([last.type, last.jobId, last.marketId, last.job.progress.percent], ['job_progress', job.id, 'm1', 25]);
+});
+
+test('failed attempts are retried and then marked failed', async (t) => {
+    const queue = createQueue(t, { maxAttempts: 2, retrySeconds: 0.01 });
+    const { job } = await queue.enqueue('m1', 'Yes');
+    await tick();
+
+    queue.winnerTracker.calls[0].reject(new Error('RPC timeout'));
+    await tick();
+    assert.deepEqual([job.state, job.error, job.attempts], ['queued', 'RPC timeout', 1]);
+    assert.ok(job.nextAttemptAt);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(queue.winnerTracker.calls.length, 2);
+    queue.winnerTracker.calls[1].reject(new Error('RPC timeout again'));
+    await tick();
+    assert.deepEqual([job.state, job.error, job.attempts], ['failed', 'RPC timeout again', 2]);
+});
+
+test('errors marked not retryable fail at once', async (t) => {
+    const queue = createQueue(t);
+    const { job } = await queue.enqueue('m1', 'Yes');
+    await tick();
+
+    queue.winnerTracker.calls[0].reject(Object.assign(new Error('Market not found'), { retryable: false }));
+    await tick();
+    assert.deepEqual([job.state, job.attempts], ['failed', 1]);
+});
+
+test('cancelling stops a queued job and aborts a running one', async (t) => {
+    const queue = createQueue(t);
+    const { job: running } = await queue.enqueue('m1', 'Yes');
+    const { job: queued } = await queue.enqueue('m2', 'Yes');
+    await tick();
+
+    assert.equal((await queue.cancel(queued.id)).state, 'cancelled');
+
+    await queue.cancel(running.id);
+    const call = queue.winnerTracker.calls[0];
+    assert.equal(call.options.signal.aborted, true);
+    call.reject(new Error('Scan aborted'));
+    await tick();
+    assert.equal(running.state, 'cancelled');
+    assert.equal(queue.winnerTracker.calls.length, 1);
+    assert.equal(await queue.cancel('missing'), null);
+});
+
+test('jobs are persisted and unfinished ones resume after a restart', async (t) => {
+    const storage = memoryStorage();
+    const queue = createQueue(t, { storage });
+    const { job: done } = await queue.enqueue('m1', 'Yes');
+    const { job: waiting } = await queue.enqueue('m2', 'No');
+    await tick();
+    queue.winnerTracker.calls[0].resolve(winnerData());
+    await tick();
+    assert.equal(storage.saved.get(done.id).state, 'done');
+
+    const restarted = createQueue(t, { storage });
+    await restarted.ready;
+    await tick();
+    assert.equal(restarted.get(done.id).state, 'done');
+    assert.equal(restarted.get(waiting.id).state, 'running');
+    assert.deepEqual(restarted.winnerTracker.calls.map(c => c.marketId), ['m2']);
+    assert.deepEqual(restarted.list({ state: 'done' }).map(job => job.id), [done.id]);
+    assert.deepEqual(restarted.list({ marketId: 'm2' }).map(job => job.id), [waiting.id]);
+});
+
+test('per-source limits hold back jobs while others run', async (t) => {
+    const queue = createQueue(t, { concurrency: 2, sourceLimits: { auto: 1 } });
+    await queue.enqueue('m1', 'Yes', null, { source: 'auto' });
+    const { job: held } = await queue.enqueue('m2', 'Yes', null, { source: 'auto' });
+    const { job: api } = await queue.enqueue('m3', 'Yes');
+    await tick();
+
+    assert.deepEqual([held.state, api.state], ['queued', 'running']);
+    queue.winnerTracker.calls[0].resolve(winnerData());
+    await tick();
+    assert.equal(held.state, 'running');
+});
+
+test('a job cancelled while its scan finishes stays cancelled', async (t) => {
+    const storage = memoryStorage();
+    const queue = createQueue(t, { storage });
+    const { job } = await queue.enqueue('m1', 'Yes');
+    await tick();
+
+    await queue.cancel(job.id);
+    queue.winnerTracker.calls[0].resolve(winnerData());
+    await tick();
+
+    assert.deepEqual([job.state, job.result], ['cancelled', null]);
+    assert.equal(storage.saved.get(job.id).state, 'cancelled');
+    assert.equal(queue.updates[queue.updates.length - 1].job.state, 'cancelled');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const PolymarketWinnerTracker = require('../winnerTracker');
+const { applyTransfer, reducedChunkSize } = PolymarketWinnerTracker;
+
+const OPERATOR = '0x' + '0'.repeat(39) + '9';
+const ALICE = ethers.getAddress('0x' + 'a'.repeat(40));
+const BOB = ethers.getAddress('0x' + 'b'.repeat(40));
+const ZERO = ethers.ZeroAddress;
+
+// Balances beyond Number.MAX_SAFE_INTEGER must survive the replay exactly
+const POSITION = 111n;
+const OTHER = 222n;
+const BIG = 2n ** 70n + 3n;
+
+function transferLog(tracker, blockNumber, index, name, from, to, ids, values) {
+    const encoded = tracker.contract.interface.encodeEventLog(name, [OPERATOR, from, to, ids, values]);
+    return { ...encoded, blockNumber, index };
+}
+
+function replay(tracker, logs) {
+    const balances = new Map();
+    for (const transfer of tracker.parseTransfers(logs, POSITION)) {
+        applyTransfer(balances, transfer);
+    }
+    return balances;
+}
+
+test('TransferSingle and TransferBatch logs replay into exact BigInt balances', () => {
+    const tracker = new PolymarketWinnerTracker();
+    const logs = [
+        // Out of order on purpose: parseTransfers sorts by block, then log index
+        transferLog(tracker, 20, 1, 'TransferBatch', ALICE, BOB, [OTHER, POSITION], [5n, BIG / 2n]),
+        transferLog(tracker, 10, 0, 'TransferSingle', ZERO, ALICE, POSITION, BIG),
+        transferLog(tracker, 20, 0, 'TransferSingle', ZERO, BOB, OTHER, 7n),
+        transferLog(tracker, 30, 0, 'TransferSingle', BOB, ZERO, POSITION, 1n)
+    ];
+
+    const transfers = tracker.parseTransfers(logs, POSITION);
+    assert.deepEqual(transfers.map(t => t.value), [BIG, BIG / 2n, 1n]);
+
+    const balances = replay(tracker, logs);
+    assert.equal(balances.get(ALICE), BIG - BIG / 2n);
+    assert.equal(balances.get(BOB), BIG / 2n - 1n);
+    assert.equal(balances.has(ZERO), false);
+});
+
+test('a holder who sends everything away ends at zero', () => {
+    const tracker = new PolymarketWinnerTracker();
+    const logs = [
+        transferLog(tracker, 1, 0, 'TransferSingle', ZERO, ALICE, POSITION, 10n),
+        transferLog(tracker, 2, 0, 'TransferSingle', ALICE, BOB, POSITION, 10n)
+    ];
+
+    const balances = replay(tracker, logs);
+    assert.equal(balances.get(ALICE), 0n);
+    assert.equal(balances.get(BOB), 10n);
+});
+
+test('applyTransfer ignores the zero address on mints and burns', () => {
+    const balances = new Map();
+    applyTransfer(balances, { from: ZERO, to: ALICE, value: 3n });
+    applyTransfer(balances, { from: ALICE, to: ZERO, value: 1n });
+    assert.deepEqual(Array.from(balances), [[ALICE, 2n]]);
+});
+
+test('reducedChunkSize shrinks on range errors only', () => {
+    assert.equal(reducedChunkSize(new Error('block range too large'), 10000), 5000);
+    assert.equal(reducedChunkSize(new Error('this block range should work: [0x10, 0x2f]'), 10000), 32);
+    assert.equal(reducedChunkSize(new Error('rate limit exceeded'), 10000), null);
+    assert.equal(reducedChunkSize(new Error('execution reverted'), 10000), null);
+    assert.equal(reducedChunkSize(new Error('block range too large'), 1), null);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const WebSocketApi = require('../server/wsApi');
+
+// WebSocketApi on a local server around a tracker stand-in; `notify` plays the
+// tracker's notifyRealtimeUpdate()
+async function startApi(t, tracker = {}) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => {
+        console.log = log;
+    });
+
+    const callbacks = [];
+    const source = {
+        prepare: async () => {},
+        tracker: { addRealtimeCallback: (callback) => callbacks.push(callback), ...tracker }
+    };
+    const tags = { resolve: (values) => values.map(v => v.toLowerCase()), forEvent: () => ['crypto'] };
+    const api = new WebSocketApi({ source, tags });
+    const server = http.createServer();
+    api.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        clearInterval(api.pingTimer);
+        api.wss.clients.forEach(ws => ws.terminate());
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    return { api, port: server.address().port, notify: (data) => callbacks.forEach(callback => callback(data)) };
+}
+
+// Client that queues incoming JSON messages; next() resolves with the next one
+async function connect(t, port, path = '/ws') {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+    t.after(() => ws.terminate());
+    const inbox = [];
+    const waiting = [];
+    ws.on('message', (raw) => {
+        const message = JSON.parse(raw.toString());
+        if (waiting.length > 0) waiting.shift()(message);
+        else inbox.push(message);
+    });
+    await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+
+    const next = () => (inbox.length > 0 ? Promise.resolve(inbox.shift()) : new Promise(resolve => waiting.push(resolve)));
+    const request = async (message) => {
+        ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+        return next();
+    };
+    assert.equal((await next()).op, 'welcome');
+    return { ws, next, request, inbox };
+}
+
+test('subscriptions receive matching updates once per client', async (t) => {
+    const { port, notify } = await startApi(t);
+    const client = await connect(t, port);
+
+    const byMarket = await client.request({ op: 'subscribe', requestId: 1, marketIds: ['m1'] });
+    assert.deepEqual(byMarket, { op: 'subscribed', requestId: 1, subscription: 'sub-1' });
+    await client.request({ op: 'subscribe', types: 'market_resolved', tags: 'Crypto' });
+
+    notify({ type: 'price_update', eventId: 'e1', marketId: 'm2' });
+    notify({ type: 'market_resolved', eventId: 'e1', marketId: 'm1' });
+
+    const update = await client.next();
+    assert.deepEqual(update.subscriptions, ['sub-1', 'sub-2']);
+    assert.equal(update.data.type, 'market_resolved');
+
+    const listed = await client.request({ op: 'subscriptions' });
+    assert.deepEqual(listed.subscriptions.map(s => [s.subscription, s.marketIds, s.types]), [['sub-1', ['m1'], undefined], ['sub-2', undefined, 'market_resolved']]);
+});
+
+test('unsubscribing stops updates without reconnecting', async (t) => {
+    const { api, port, notify } = await startApi(t);
+    const client = await connect(t, port);
+    await client.request({ op: 'subscribe', marketId: 'm1' });
+    await client.request({ op: 'subscribe', marketId: 'm2' });
+
+    assert.deepEqual((await client.request({ op: 'unsubscribe', subscription: 'sub-1' })).subscriptions, ['sub-1']);
+    notify({ type: 'price_update', marketId: 'm1' });
+    notify({ type: 'price_update', marketId: 'm2' });
+    assert.deepEqual((await client.next()).subscriptions, ['sub-2']);
+
+    assert.deepEqual((await client.request({ op: 'unsubscribe' })).subscriptions, ['sub-2']);
+    assert.equal(api.getStats().subscriptions, 0);
+    assert.match((await client.request({ op: 'unsubscribe', subscription: 'sub-9' })).error, /Unknown subscription/);
+});
+
+test('alert rules fire when a price crosses a level or moves far enough', async (t) => {
+    const { port, notify } = await startApi(t);
+    const client = await connect(t, port);
+    await client.request({ op: 'subscribe', alert: { marketId: 'm1', outcome: 'Yes', above: 0.6 } });
+    await client.request({ op: 'subscribe', alert: { marketId: 'm1', move: '0.2' } });
+
+    notify({ type: 'price_update', marketId: 'm1', outcome: 'Yes', oldPrice: 0.5, price: 0.55 });
+    notify({ type: 'market_price_changed', marketId: 'm1', outcomes: [{ outcome: 'No', oldPrice: 0.45, price: 0.2 }] });
+    notify({ type: 'price_update', marketId: 'm1', outcome: 'Yes', oldPrice: 0.55, price: 0.62 });
+
+    const move = await client.next();
+    assert.deepEqual([move.op, move.subscription, move.trigger, move.outcome], ['alert', 'sub-2', 'move', 'No']);
+    const above = await client.next();
+    assert.deepEqual([above.subscription, above.trigger, above.price, above.oldPrice], ['sub-1', 'above', 0.62, 0.55]);
+
+    assert.match((await client.request({ op: 'subscribe', alert: { marketId: 'm1' } })).error, /above, below or move/);
+    assert.match((await client.request({ op: 'subscribe', alert: { marketId: 'm1', below: 'low' } })).error, /below must be a number/);
+});
+
+test('snapshots return lists on demand and report what is missing', async (t) => {
+    const queries = [];
+    const { port } = await startApi(t, {
+        listEvents: async (query, defaults) => {
+            queries.push([query, defaults]);
+            return { events: [{ id: 'e1' }], total: 1 };
+        },
+        withQuotes: (events) => events.map(event => ({ ...event, quoted: true })),
+        getEvent: async () => null,
+        getMarket: async () => null
+    });
+    const client = await connect(t, port);
+
+    const snapshot = await client.request({ op: 'snapshot', requestId: 'a', list: { tag: 'crypto' } });
+    assert.deepEqual([snapshot.op, snapshot.requestId, snapshot.list.events], ['snapshot', 'a', [{ id: 'e1', quoted: true }]]);
+    assert.deepEqual(queries, [[{ tag: 'crypto' }, { status: 'active' }]]);
+
+    assert.deepEqual(await client.request({ op: 'snapshot', requestId: 'b', eventId: 'e9' }), { op: 'error', requestId: 'b', error: 'Event e9 not found' });
+    assert.match((await client.request({ op: 'snapshot', marketId: 'm9' })).error, /Market m9 not found/);
+    assert.match((await client.request({ op: 'snapshot' })).error, /needs eventId, marketId or list/);
+});
+
+test('bad requests get errors and the connection stays usable', async (t) => {
+    const { api, port } = await startApi(t);
+    api.maxSubscriptions = 1;
+    const client = await connect(t, port);
+
+    assert.deepEqual(await client.request('not json'), { op: 'error', error: 'Invalid JSON' });
+    assert.match((await client.request({ op: 'fly', requestId: 3 })).error, /Unknown op "fly"/);
+    await client.request({ op: 'subscribe', marketId: 'm1' });
+    assert.match((await client.request({ op: 'subscribe', marketId: 'm2' })).error, /Subscription limit reached \(1\)/);
+    assert.equal((await client.request({ op: 'ping', requestId: 4 })).op, 'pong');
+});
+
+test('upgrades on other paths are refused', async (t) => {
+    const { port } = await startApi(t);
+    await assert.rejects(connect(t, port, '/other'));
+});
@@ -0,0 +1,70 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Captures Gamma API responses and raw CLOB WebSocket frames to fixture files
+// (http.jsonl / ws.jsonl in RECORD_DIR) so replayServer.js can play them back.
+class TrafficRecorder {
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.startedAt = Date.now();
+        this.counts = { http: 0, ws: 0 };
+
+        fs.ensureDirSync(dir);
+        this.httpFile = path.join(dir, 'http.jsonl');
+        this.wsFile = path.join(dir, 'ws.jsonl');
+        fs.writeJsonSync(path.join(dir, 'meta.json'), {
+            recordedAt: new Date(this.startedAt).toISOString(),
+            ...options.meta
+        }, { spaces: 2 });
+    }
+
+    static fromEnv(options = {}) {
+        return process.env.RECORD_DIR ? new TrafficRecorder(process.env.RECORD_DIR, options) : null;
+    }
+
+    elapsed() {
+        return Date.now() - this.startedAt;
+    }
+
+    // Appends synchronously so the fixture order matches the order things happened in
+    append(file, entry) {
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    }
+
+    wrapHttpGet(httpGet) {
+        return async (url) => {
+            const t = this.elapsed();
+            try {
+                const response = await httpGet(url);
+                this.recordHttp({ t, url, latency: this.elapsed() - t, status: response.status, data: response.data });
+                return response;
+            } catch (error) {
+                this.recordHttp({
+                    t,
+                    url,
+                    latency: this.elapsed() - t,
+                    status: error.response?.status || null,
+                    data: error.response?.data ?? null,
+                    error: error.response ? null : (error.code || error.message)
+                });
+                throw error;
+            }
+        };
+    }
+
+    recordHttp(entry) {
+        this.append(this.httpFile, entry);
+        this.counts.http++;
+    }
+
+    recordWsFrame(data) {
+        this.append(this.wsFile, { t: this.elapsed(), data: data.toString() });
+        this.counts.ws++;
+    }
+
+    status() {
+        return { dir: this.dir, ...this.counts };
+    }
+}
+
+module.exports = TrafficRecorder;
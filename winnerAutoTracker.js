@@ -0,0 +1,139 @@
+// Job states that mean a market needs no new scan
+const FINISHED_OR_ACTIVE = new Set(['queued', 'running', 'done']);
+
+// Queues winner tracking for markets as they resolve, so callers no longer have to
+// POST /track-winners for each one. Resolutions arrive as market_resolved updates
+// (WebSocket feed or poll) and as newly seen events from the resolved-event sync.
+// The policy decides which markets are worth an on-chain holder scan. It is on by
+// default; AUTO_TRACK_WINNERS=false turns it off:
+//
+//   AUTO_TRACK_MIN_VOLUME      - skip markets below this volume (USD)
+//   AUTO_TRACK_TAGS            - only events with one of these tags (labels, slugs or IDs)
+//   AUTO_TRACK_MAX_CONCURRENT  - automatic jobs scanning at once (API jobs are not counted)
+//   AUTO_TRACK_MAX_AGE_HOURS   - skip markets resolved longer ago, or at an unknown time
+//                                (keeps backfills out)
+class WinnerAutoTracker {
+    constructor(options = {}) {
+        this.tracker = options.tracker;
+        this.winnerTracker = options.winnerTracker;
+        this.jobs = options.jobs;
+
+        this.policy = {
+            enabled: options.enabled ?? process.env.AUTO_TRACK_WINNERS !== 'false',
+            minVolume: options.minVolume ?? parseNumber(process.env.AUTO_TRACK_MIN_VOLUME, 10000),
+            tags: options.tags || splitList(process.env.AUTO_TRACK_TAGS),
+            maxConcurrent: options.maxConcurrent || parseInt(process.env.AUTO_TRACK_MAX_CONCURRENT) || 1,
+            maxAgeHours: options.maxAgeHours ?? parseNumber(process.env.AUTO_TRACK_MAX_AGE_HOURS, 24)
+        };
+
+        // Markets being checked right now; finished ones are recognised by their stored
+        // winners or job, so this only covers duplicate notifications arriving meanwhile
+        this.inFlight = new Set();
+        this.stats = { queued: 0, skipped: 0, errors: 0 };
+
+        if (!this.policy.enabled) return;
+
+        this.jobs.sourceLimits.auto = this.policy.maxConcurrent;
+        this.tracker.addRealtimeCallback((data) => {
+            if (data.type === 'market_resolved') this.handle(data.eventId, data.market);
+        });
+        this.tracker.addResolvedSyncCallback((eventData) => {
+            for (const market of eventData.markets || []) {
+                if (market.status === 'resolved') this.handle(eventData.id, market);
+            }
+        });
+    }
+
+    handle(eventId, market) {
+        // Markets without a known winner are left for a later resolution update
+        if (!market || !market.winningOutcome || this.inFlight.has(market.id)) return;
+        this.inFlight.add(market.id);
+
+        this.queue(eventId, market).catch(error => {
+            this.stats.errors++;
+            console.error(`Error auto-queueing winner tracking for market ${market.id}:`, error.message);
+        }).finally(() => {
+            this.inFlight.delete(market.id);
+        });
+    }
+
+    async queue(eventId, market) {
+        const reason = this.skipReason(eventId, market);
+        if (reason) {
+            this.stats.skipped++;
+            console.log(`⏭️  Not auto-tracking winners of market ${market.id}: ${reason}`);
+            return;
+        }
+
+        await this.winnerTracker.ready;
+        await this.jobs.ready;
+        if (this.winnerTracker.getMarketWinners(market.id)) return;
+
+        // Only the latest job counts: failed or cancelled scans are queued again
+        const [lastJob] = this.jobs.list({ marketId: market.id, limit: 1 });
+        if (lastJob && FINISHED_OR_ACTIVE.has(lastJob.state)) return;
+
+        const block = await this.resolutionBlock(market);
+        const { created } = await this.jobs.enqueue(market.id, market.winningOutcome, block, { source: 'auto' });
+        if (created) {
+            this.stats.queued++;
+            console.log(`🤖 Auto-tracking winners of market ${market.id} (${market.winningOutcome}) at block ${block ?? 'latest'}`);
+        }
+    }
+
+    skipReason(eventId, market) {
+        const { minVolume, tags, maxAgeHours } = this.policy;
+
+        const volume = market.volumeUSD || market.volume || 0;
+        if (volume < minVolume) {
+            return `volume ${Math.round(volume)} below ${minVolume}`;
+        }
+
+        if (tags.length > 0) {
+            const allowed = new Set(this.tracker.tags.resolve(tags));
+            if (!this.tracker.getEventTagKeys(String(eventId)).some(key => allowed.has(key))) {
+                return 'no allowed tag';
+            }
+        }
+
+        if (maxAgeHours > 0) {
+            const resolvedAt = Date.parse(market.resolvedAt);
+            if (isNaN(resolvedAt)) {
+                return `no resolution time to check against the ${maxAgeHours}h limit`;
+            }
+            if (Date.now() - resolvedAt > maxAgeHours * 3600 * 1000) {
+                return `resolved more than ${maxAgeHours}h ago`;
+            }
+        }
+        return null;
+    }
+
+    // Block at the resolution time; null (latest block) when it is unknown or the lookup fails
+    async resolutionBlock(market) {
+        const resolvedAt = Date.parse(market.resolvedAt);
+        if (isNaN(resolvedAt)) return null;
+
+        try {
+            return await this.winnerTracker.findBlockByTimestamp(Math.floor(resolvedAt / 1000));
+        } catch (error) {
+            console.log(`⚠️  Could not find the resolution block of market ${market.id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    getStats() {
+        return { policy: this.policy, ...this.stats };
+    }
+}
+
+// Unset, empty or non-numeric values fall back to the default
+function parseNumber(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = WinnerAutoTracker;
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+
+const ACTIVE_STATES = new Set(['queued', 'running']);
+
+// Background queue for winner tracking. Each /track-winners request becomes a job with
+// an ID that callers can poll (GET /jobs/:id) or cancel (DELETE /jobs/:id). Up to
+// `concurrency` jobs scan at a time; failed attempts are retried with a growing delay.
+// Jobs are persisted on every state change, and jobs that were queued or running when
+// the process stopped are queued again on start (holder scans resume from their
+// checkpoints). `notify(data)` receives job_progress updates for SSE/WebSocket clients.
+class WinnerJobQueue {
+    constructor(options = {}) {
+        this.winnerTracker = options.winnerTracker;
+        this.storage = options.storage || null;
+        this.notify = options.notify || (() => {});
+        this.concurrency = options.concurrency || parseInt(process.env.WINNER_JOB_CONCURRENCY) || 1;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WINNER_JOB_MAX_ATTEMPTS) || 3;
+        this.retryDelay = (options.retrySeconds || parseInt(process.env.WINNER_JOB_RETRY_SECONDS) || 30) * 1000;
+        this.historyLimit = options.historyLimit || parseInt(process.env.WINNER_JOB_HISTORY) || 200;
+        this.progressInterval = options.progressInterval ?? 1000;
+
+        // Optional caps on running jobs per job source, e.g. { auto: 1 }
+        this.sourceLimits = options.sourceLimits || {};
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = new Map(); // jobId -> AbortController
+        this.retryTimers = new Map();
+        this.lastProgress = new Map();
+
+        this.ready = this.load(options.ready);
+    }
+
+    // Restores persisted jobs and re-queues unfinished ones
+    async load(storageReady) {
+        await storageReady;
+        if (!this.storage) return;
+
+        try {
+            const stored = await this.storage.loadWinnerJobs();
+            let resumed = 0;
+            for (const job of stored) {
+                this.jobs.set(job.id, job);
+                if (ACTIVE_STATES.has(job.state)) {
+                    job.state = 'queued';
+                    this.queue.push(job.id);
+                    resumed++;
+                }
+            }
+            if (resumed > 0) {
+                console.log(`🧾 Resuming ${resumed} winner tracking jobs from storage`);
+            }
+        } catch (error) {
+            console.error('Error loading stored winner jobs:', error);
+        }
+        this.pump();
+    }
+
+    // Queues a job, or returns the queued/running job for the same market, outcome and block
+    async enqueue(marketId, winningOutcome, blockNumber = null, options = {}) {
+        await this.ready;
+
+        const existing = Array.from(this.jobs.values()).find(job =>
+            ACTIVE_STATES.has(job.state) &&
+            job.marketId === String(marketId) &&
+            job.winningOutcome === winningOutcome &&
+            job.blockNumber === blockNumber
+        );
+        if (existing) return { job: existing, created: false };
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type: 'track-winners',
+            marketId: String(marketId),
+            winningOutcome,
+            blockNumber,
+            source: options.source || 'api',
+            state: 'queued',
+            attempts: 0,
+            maxAttempts: this.maxAttempts,
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null,
+            nextAttemptAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job.id);
+        console.log(`🧾 Queued winner tracking job ${job.id} for market ${job.marketId}, outcome: ${winningOutcome}`);
+
+        await this.update(job, {});
+        this.pump();
+        return { job, created: true };
+    }
+
+    // Starts queued jobs in order; jobs whose source is at its limit wait for a later pump
+    pump() {
+        let index = 0;
+        while (this.running.size < this.concurrency && index < this.queue.length) {
+            const job = this.jobs.get(this.queue[index]);
+            if (!job || job.state !== 'queued') {
+                this.queue.splice(index, 1);
+            } else if (this.atSourceLimit(job.source)) {
+                index++;
+            } else {
+                this.queue.splice(index, 1);
+                this.run(job);
+            }
+        }
+    }
+
+    atSourceLimit(source) {
+        const limit = this.sourceLimits[source];
+        if (!limit) return false;
+
+        let running = 0;
+        for (const id of this.running.keys()) {
+            if (this.jobs.get(id)?.source === source) running++;
+        }
+        return running >= limit;
+    }
+
+    async run(job) {
+        const controller = new AbortController();
+        this.running.set(job.id, controller);
+
+        await this.update(job, {
+            state: 'running',
+            attempts: job.attempts + 1,
+            startedAt: new Date().toISOString(),
+            nextAttemptAt: null,
+            error: null
+        });
+
+        try {
+            const winnerData = await this.winnerTracker.runMarketWinners(job.marketId, job.winningOutcome, job.blockNumber, {
+                signal: controller.signal,
+                onProgress: (progress) => this.reportProgress(job, progress)
+            });
+
+            // A scan that finished its last chunk after cancel() still stays cancelled
+            if (controller.signal.aborted) {
+                await this.markCancelled(job);
+                return;
+            }
+
+            await this.update(job, {
+                state: 'done',
+                finishedAt: new Date().toISOString(),
+                progress: job.progress ? { ...job.progress, phase: 'done', percent: 100 } : null,
+                result: {
+                    positionId: winnerData.positionId,
+                    resolutionBlock: winnerData.resolutionBlock,
+                    winnerCount: winnerData.winnerCount,
+                    totalPayout: winnerData.totalPayout,
+                    verified: winnerData.verification ? winnerData.verification.verified : null
+                }
+            });
+            console.log(`✅ Winner tracking job ${job.id} completed for market ${job.marketId}`);
+        } catch (error) {
+            if (controller.signal.aborted) {
+                await this.markCancelled(job);
+            } else if (error.retryable !== false && job.attempts < job.maxAttempts) {
+                this.scheduleRetry(job, error);
+            } else {
+                await this.update(job, { state: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+                console.error(`❌ Winner tracking job ${job.id} failed for market ${job.marketId}:`, error.message);
+            }
+        } finally {
+            this.running.delete(job.id);
+            this.lastProgress.delete(job.id);
+            this.prune();
+            this.pump();
+        }
+    }
+
+    scheduleRetry(job, error) {
+        const delay = this.retryDelay * job.attempts;
+        console.log(`🔁 Winner tracking job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${error.message}, retrying in ${delay / 1000}s`);
+
+        this.update(job, {
+            state: 'queued',
+            error: error.message,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(job.id);
+            if (job.state !== 'queued') return;
+            this.queue.push(job.id);
+            this.pump();
+        }, delay);
+        timer.unref();
+        this.retryTimers.set(job.id, timer);
+    }
+
+    // Progress is published at most once per progressInterval per job (phase changes always)
+    reportProgress(job, progress) {
+        const percent = progress.totalBlocks ? Math.round(progress.scannedBlocks / progress.totalBlocks * 1000) / 10 : null;
+        const previous = job.progress;
+        job.progress = { ...progress, percent: progress.phase === 'scanning' ? percent : previous?.percent ?? null };
+
+        const now = Date.now();
+        const phaseChanged = !previous || previous.phase !== progress.phase;
+        if (!phaseChanged && now - (this.lastProgress.get(job.id) || 0) < this.progressInterval) return;
+
+        this.lastProgress.set(job.id, now);
+        this.update(job, {});
+    }
+
+    async cancel(id) {
+        await this.ready;
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (!ACTIVE_STATES.has(job.state)) return job;
+
+        const controller = this.running.get(id);
+        if (controller) {
+            // The scan stops before its next chunk; run() then marks the job cancelled
+            controller.abort();
+            return job;
+        }
+
+        clearTimeout(this.retryTimers.get(id));
+        this.retryTimers.delete(id);
+        this.queue = this.queue.filter(queuedId => queuedId !== id);
+        await this.markCancelled(job);
+        return job;
+    }
+
+    async markCancelled(job) {
+        await this.update(job, { state: 'cancelled', finishedAt: new Date().toISOString() });
+        console.log(`🛑 Winner tracking job ${job.id} cancelled`);
+    }
+
+    // Applies changes, persists the job and publishes a job_progress update
+    async update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        this.notify({ type: 'job_progress', jobId: job.id, marketId: job.marketId, job: { ...job }, timestamp: job.updatedAt });
+
+        if (!this.storage) return;
+        try {
+            await this.storage.saveWinnerJob(job);
+        } catch (error) {
+            console.error(`Error saving winner job ${job.id}:`, error);
+        }
+    }
+
+    // Drops the oldest finished jobs beyond historyLimit
+    prune() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => !ACTIVE_STATES.has(job.state))
+            .sort((a, b) => (a.finishedAt || a.updatedAt).localeCompare(b.finishedAt || b.updatedAt));
+
+        for (const job of finished.slice(0, Math.max(finished.length - this.historyLimit, 0))) {
+            this.jobs.delete(job.id);
+            if (this.storage) {
+                this.storage.deleteWinnerJob(job.id).catch(error => {
+                    console.error(`Error deleting winner job ${job.id}:`, error);
+                });
+            }
+        }
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    // Newest first; optional state and marketId filters
+    list(options = {}) {
+        const states = options.state ? new Set(String(options.state).split(',')) : null;
+        return Array.from(this.jobs.values())
+            .filter(job => !states || states.has(job.state))
+            .filter(job => !options.marketId || job.marketId === String(options.marketId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, options.limit || 100);
+    }
+
+    getStats() {
+        const stats = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+        for (const job of this.jobs.values()) {
+            stats[job.state] = (stats[job.state] || 0) + 1;
+        }
+        return { concurrency: this.concurrency, ...stats };
+    }
+}
+
+module.exports = WinnerJobQueue;
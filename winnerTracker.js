@@ -1,11 +1,13 @@
 const { ethers } = require('ethers');
+const ctf = require('./ctf');
 
 class PolymarketWinnerTracker {
-    constructor() {
+    constructor(options = {}) {
         this.provider = new ethers.JsonRpcProvider(process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com');
         
-        // Polymarket CTF Exchange Contract on Polygon
-        this.ctfExchangeAddress = '0x4bfb41d5b3570defd03c39a9a4d8de6bd8b8982e';
+        // Outcome tokens are ERC1155 positions on the ConditionalTokens contract (the CTF
+        // Exchanges only match orders and move those tokens)
+        this.conditionalTokensAddress = process.env.CTF_CONTRACT_ADDRESS || ctf.CONDITIONAL_TOKENS_ADDRESS;
         
         // ERC1155 ABI for tracking transfers
         this.erc1155ABI = [
@@ -15,137 +17,460 @@ class PolymarketWinnerTracker {
             "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])"
         ];
         
-        this.contract = new ethers.Contract(this.ctfExchangeAddress, this.erc1155ABI, this.provider);
+        this.contract = new ethers.Contract(this.conditionalTokensAddress, this.erc1155ABI, this.provider);
+        this.transferTopics = [[
+            this.contract.interface.getEvent('TransferSingle').topicHash,
+            this.contract.interface.getEvent('TransferBatch').topicHash
+        ]];
+
+        // Snapshots are checked against balanceOfBatch at the snapshot block (needs an archive RPC)
+        this.verifySnapshots = process.env.WINNER_VERIFY_SNAPSHOTS !== 'false';
+        this.verifyBatchSize = parseInt(process.env.WINNER_VERIFY_BATCH_SIZE) || 200;
+
+        // Holder scans: eth_getLogs range (shrunk when the RPC rejects it, grown again after
+        // successes), how far before the market's start date to begin, checkpoint interval
+        this.chunkSize = parseInt(process.env.WINNER_SCAN_CHUNK_SIZE) || 10000;
+        this.maxChunkSize = Math.max(parseInt(process.env.WINNER_SCAN_MAX_CHUNK_SIZE) || 50000, this.chunkSize);
+        this.startMarginSeconds = (parseFloat(process.env.WINNER_SCAN_START_MARGIN_HOURS) || 24) * 3600;
+        this.checkpointInterval = (parseInt(process.env.WINNER_CHECKPOINT_SECONDS) || 30) * 1000;
+
+        // Collateral tokens for computing position IDs locally (see ctf.js)
+        this.collateralAddress = process.env.CTF_COLLATERAL_ADDRESS || ctf.USDC_ADDRESS;
+        this.negRiskCollateralAddress = process.env.NEG_RISK_COLLATERAL_ADDRESS || ctf.NEG_RISK_COLLATERAL_ADDRESS;
+        
+        // Market tracker used to look up outcome token IDs and condition IDs
+        this.tracker = options.tracker || null;
         
         // Store winner data
         this.marketWinners = new Map(); // marketId -> { winners: [], totalPayout: 0, winningOutcome: '' }
         this.holderSnapshots = new Map(); // positionId -> Map(address -> balance)
+        this.scanCheckpoints = new Map(); // used when there is no storage backend
+        
+        // Optional storage backend shared with the market tracker
+        this.storage = options.storage || null;
+        this.ready = this.storage ? this.loadWinners(options.ready) : Promise.resolve();
     }
 
-    async trackMarketWinners(marketId, winningOutcome, resolutionBlockNumber = null) {
+    async loadWinners(storageReady) {
         try {
-            console.log(`🏆 Tracking winners for market ${marketId}, outcome: ${winningOutcome}`);
-            
-            // Get the position ID for the winning outcome token
-            const positionId = await this.getPositionId(marketId, winningOutcome);
-            
-            if (!positionId) {
-                console.log(`❌ Could not determine position ID for market ${marketId}`);
-                return null;
+            await storageReady;
+            const stored = await this.storage.loadMarketWinners();
+            for (const [marketId, data] of stored) {
+                this.marketWinners.set(marketId, data);
             }
+            if (stored.size > 0) {
+                console.log(`🏆 Loaded winner data for ${stored.size} markets from storage`);
+            }
+        } catch (error) {
+            console.error('Error loading stored winner data:', error);
+        }
+    }
 
-            // Get block number for resolution (current if not specified)
-            const blockNumber = resolutionBlockNumber || await this.provider.getBlockNumber();
-            
-            // Build snapshot of token holders at resolution time
-            const holders = await this.buildHolderSnapshot(positionId, blockNumber);
-            
-            // Calculate total payout
-            const totalPayout = Array.from(holders.values()).reduce((sum, balance) => sum + balance, 0);
-            
-            const winnerData = {
-                marketId,
-                winningOutcome,
-                positionId: positionId.toString(),
-                resolutionBlock: blockNumber,
-                winners: Array.from(holders.entries()).map(([address, balance]) => ({
-                    address,
-                    winningTokens: balance,
-                    payoutUSDC: balance // 1:1 ratio, each winning token = 1 USDC
-                })),
-                totalPayout,
-                winnerCount: holders.size,
-                timestamp: new Date().toISOString()
-            };
-
-            this.marketWinners.set(marketId, winnerData);
-            
-            console.log(`🎉 Found ${holders.size} winners for market ${marketId}`);
-            console.log(`💰 Total payout: ${totalPayout} USDC`);
-            
-            return winnerData;
-            
+    async trackMarketWinners(marketId, winningOutcome, resolutionBlockNumber = null) {
+        try {
+            return await this.runMarketWinners(marketId, winningOutcome, resolutionBlockNumber);
         } catch (error) {
             console.error(`Error tracking winners for market ${marketId}:`, error);
             return null;
         }
     }
 
-    async buildHolderSnapshot(positionId, blockNumber) {
+    // Same as trackMarketWinners but throws on failure (errors with retryable === false
+    // will fail the same way again). options.onProgress receives scan progress and
+    // options.signal (an AbortSignal) stops the scan between chunks.
+    async runMarketWinners(marketId, winningOutcome, resolutionBlockNumber = null, options = {}) {
+        console.log(`🏆 Tracking winners for market ${marketId}, outcome: ${winningOutcome}`);
+        
+        // Get the position ID for the winning outcome token
+        const positionId = await this.getPositionId(marketId, winningOutcome);
+        
+        if (!positionId) {
+            const error = new Error(`Could not determine position ID for market ${marketId}, outcome ${winningOutcome}`);
+            error.retryable = false;
+            throw error;
+        }
+
+        // Get block number for resolution (current if not specified)
+        const blockNumber = resolutionBlockNumber || await this.provider.getBlockNumber();
+        
+        // Balances of every account that touched the position up to the resolution block
+        const balances = await this.collectBalances(positionId, blockNumber, { ...options, marketId });
+        if (options.onProgress) {
+            options.onProgress({ phase: 'verifying', positionId: positionId.toString(), accounts: balances.size });
+        }
+        const verification = this.verifySnapshots ?
+            await this.verifyBalances(positionId, balances, blockNumber) :
+            null;
+
+        // A checkpoint that does not reproduce on-chain balances is not worth resuming from
+        if (verification && verification.mismatches > 0) {
+            await this.deleteCheckpoint(this.checkpointKey(positionId));
+        }
+
+        // Each winning token redeems for 1 USDC; both use 6 decimals
+        const holders = Array.from(balances.entries())
+            .filter(([, balance]) => balance > 0n)
+            .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0));
+        const totalBalance = holders.reduce((sum, [, balance]) => sum + balance, 0n);
+        
+        const winnerData = {
+            marketId,
+            winningOutcome,
+            positionId: positionId.toString(),
+            contractAddress: this.conditionalTokensAddress,
+            resolutionBlock: blockNumber,
+            winners: holders.map(([address, balance]) => ({
+                address,
+                balance: balance.toString(),
+                winningTokens: toUSDC(balance),
+                payoutUSDC: toUSDC(balance)
+            })),
+            totalBalance: totalBalance.toString(),
+            totalPayout: toUSDC(totalBalance),
+            winnerCount: holders.length,
+            verification,
+            timestamp: new Date().toISOString()
+        };
+
+        this.marketWinners.set(marketId, winnerData);
+        if (this.storage) {
+            await this.storage.saveMarketWinners(winnerData);
+        }
+        
+        console.log(`🎉 Found ${holders.length} winners for market ${marketId}`);
+        console.log(`💰 Total payout: ${ethers.formatUnits(totalBalance, ctf.USDC_DECIMALS)} USDC`);
+        
+        return winnerData;
+    }
+
+    // address -> balance (BigInt, 6-decimal base units) of holders with a positive balance
+    async buildHolderSnapshot(positionId, blockNumber, options = {}) {
         try {
-            const holders = new Map();
-            
-            // Query all transfer events for this position ID up to the resolution block
-            const filter = this.contract.filters.TransferSingle(null, null, null, positionId, null);
-            
-            // Get events in chunks to avoid RPC limits
-            const fromBlock = 0; // Could optimize by getting market creation block
-            const chunkSize = 10000;
-            
-            for (let start = fromBlock; start <= blockNumber; start += chunkSize) {
+            const balances = await this.collectBalances(positionId, blockNumber, options);
+            return new Map(Array.from(balances).filter(([, balance]) => balance > 0n));
+        } catch (error) {
+            console.error(`Error building holder snapshot for position ${positionId}:`, error);
+            return new Map();
+        }
+    }
+
+    // Replays TransferSingle and TransferBatch logs of one position in block/log order.
+    // Accounts whose balance went back to zero are kept so they can be verified too.
+    //
+    // The scan starts at the block of the market's start date (options.marketId), or at a
+    // stored checkpoint for the position, and checkpoints its progress and partial balances
+    // so an interrupted scan resumes. A completed scan stays checkpointed, so tracking the
+    // same position at a later block only scans the blocks in between.
+    async collectBalances(positionId, blockNumber, options = {}) {
+        const id = BigInt(positionId);
+        const key = this.checkpointKey(positionId);
+        let checkpoint = await this.loadCheckpoint(key);
+
+        if (checkpoint && checkpoint.nextBlock > blockNumber + 1) {
+            console.log(`⏪ Checkpoint for position ${positionId} is past block ${blockNumber}, rescanning`);
+            checkpoint = null;
+        }
+
+        if (checkpoint) {
+            console.log(`⏩ Resuming scan of position ${positionId} at block ${checkpoint.nextBlock} (${Object.keys(checkpoint.balances).length} accounts so far)`);
+        } else {
+            const startBlock = options.startBlock ?? (options.marketId ? await this.findStartBlock(options.marketId) : 0);
+            checkpoint = {
+                key,
+                positionId: id.toString(),
+                contractAddress: this.conditionalTokensAddress,
+                startBlock,
+                nextBlock: startBlock,
+                chunkSize: this.chunkSize,
+                balances: {}
+            };
+        }
+
+        const balances = new Map(Object.entries(checkpoint.balances).map(([address, balance]) => [address, BigInt(balance)]));
+        let chunkSize = checkpoint.chunkSize || this.chunkSize;
+        let successes = 0;
+        let lastSave = Date.now();
+
+        const reportProgress = () => {
+            if (!options.onProgress) return;
+            const totalBlocks = Math.max(blockNumber - checkpoint.startBlock + 1, 0);
+            options.onProgress({
+                phase: 'scanning',
+                positionId: checkpoint.positionId,
+                startBlock: checkpoint.startBlock,
+                endBlock: blockNumber,
+                nextBlock: checkpoint.nextBlock,
+                scannedBlocks: Math.min(checkpoint.nextBlock - checkpoint.startBlock, totalBlocks),
+                totalBlocks,
+                accounts: balances.size
+            });
+        };
+        reportProgress();
+
+        try {
+            while (checkpoint.nextBlock <= blockNumber) {
+                if (options.signal && options.signal.aborted) {
+                    const error = new Error(`Scan of position ${positionId} cancelled at block ${checkpoint.nextBlock}`);
+                    error.name = 'AbortError';
+                    throw error;
+                }
+
+                const start = checkpoint.nextBlock;
                 const end = Math.min(start + chunkSize - 1, blockNumber);
-                
+
                 console.log(`📊 Querying transfers for position ${positionId}, blocks ${start}-${end}`);
-                
-                const events = await this.contract.queryFilter(filter, start, end);
-                
-                // Process transfer events to build balance snapshot
-                for (const event of events) {
-                    const { from, to, value } = event.args;
-                    const amount = parseInt(value.toString());
-                    
-                    // Subtract from sender (except mint from zero address)
-                    if (from !== ethers.ZeroAddress) {
-                        const currentBalance = holders.get(from) || 0;
-                        const newBalance = currentBalance - amount;
-                        if (newBalance <= 0) {
-                            holders.delete(from);
-                        } else {
-                            holders.set(from, newBalance);
-                        }
-                    }
-                    
-                    // Add to receiver (except burn to zero address)
-                    if (to !== ethers.ZeroAddress) {
-                        const currentBalance = holders.get(to) || 0;
-                        holders.set(to, currentBalance + amount);
-                    }
+
+                let logs;
+                try {
+                    logs = await this.provider.getLogs({
+                        address: this.conditionalTokensAddress,
+                        topics: this.transferTopics,
+                        fromBlock: start,
+                        toBlock: end
+                    });
+                } catch (error) {
+                    const reduced = reducedChunkSize(error, end - start + 1);
+                    if (!reduced) throw error;
+
+                    console.log(`↘️  RPC rejected blocks ${start}-${end}, retrying with ${reduced}-block chunks`);
+                    chunkSize = reduced;
+                    successes = 0;
+                    continue;
                 }
-            }
-            
-            // Filter out zero balances
-            const activeHolders = new Map();
-            for (const [address, balance] of holders) {
-                if (balance > 0) {
-                    activeHolders.set(address, balance);
+
+                for (const transfer of this.parseTransfers(logs, id)) {
+                    applyTransfer(balances, transfer);
+                }
+                checkpoint.nextBlock = end + 1;
+                reportProgress();
+
+                // Grow back after a run of accepted ranges
+                if (++successes >= 5 && chunkSize < this.maxChunkSize) {
+                    chunkSize = Math.min(chunkSize * 2, this.maxChunkSize);
+                    successes = 0;
+                }
+
+                if (Date.now() - lastSave >= this.checkpointInterval) {
+                    await this.saveCheckpoint(checkpoint, balances, chunkSize);
+                    lastSave = Date.now();
                 }
             }
-            
-            return activeHolders;
-            
         } catch (error) {
-            console.error(`Error building holder snapshot for position ${positionId}:`, error);
-            return new Map();
+            await this.saveCheckpoint(checkpoint, balances, chunkSize);
+            throw error;
         }
+
+        await this.saveCheckpoint(checkpoint, balances, chunkSize);
+        return balances;
     }
 
-    async getPositionId(marketId, outcome) {
-        // This would need to be implemented based on how your system maps
-        // market IDs to Polymarket position IDs. Options:
+    // First block to scan for a market: the last block before its start date (minus a
+    // safety margin), or genesis when the date is unknown
+    async findStartBlock(marketId) {
+        const found = this.tracker ? await this.tracker.getMarket(String(marketId)) : null;
+        const startDate = found && (found.market.startDate || found.event.startDate || found.event.creationDate);
+        const time = startDate ? Date.parse(startDate) : NaN;
+
+        if (isNaN(time)) {
+            console.log(`⚠️  No start date for market ${marketId}, scanning from genesis`);
+            return 0;
+        }
+
+        try {
+            const block = await this.findBlockByTimestamp(Math.floor(time / 1000) - this.startMarginSeconds);
+            console.log(`🔎 Market ${marketId} starts around block ${block} (${startDate})`);
+            return block;
+        } catch (error) {
+            console.log(`⚠️  Could not find the start block of market ${marketId}: ${error.message}, scanning from genesis`);
+            return 0;
+        }
+    }
+
+    // Binary search for the last block with a timestamp at or before `timestamp`
+    async findBlockByTimestamp(timestamp) {
+        let low = 0;
+        let high = await this.provider.getBlockNumber();
+
+        const latest = await this.provider.getBlock(high);
+        if (latest.timestamp <= timestamp) return high;
+
+        while (low < high) {
+            const mid = Math.floor((low + high + 1) / 2);
+            const block = await this.provider.getBlock(mid);
+            if (block.timestamp <= timestamp) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    checkpointKey(positionId) {
+        return `${this.conditionalTokensAddress.toLowerCase()}:${BigInt(positionId)}`;
+    }
+
+    async loadCheckpoint(key) {
+        return this.storage ? this.storage.getScanCheckpoint(key) : this.scanCheckpoints.get(key) || null;
+    }
+
+    async saveCheckpoint(checkpoint, balances, chunkSize) {
+        checkpoint.balances = Object.fromEntries(Array.from(balances, ([address, balance]) => [address, balance.toString()]));
+        checkpoint.chunkSize = chunkSize;
+        checkpoint.updatedAt = new Date().toISOString();
+
+        try {
+            if (this.storage) {
+                await this.storage.saveScanCheckpoint(checkpoint);
+            } else {
+                this.scanCheckpoints.set(checkpoint.key, { ...checkpoint });
+            }
+        } catch (error) {
+            console.error(`Error saving scan checkpoint for position ${checkpoint.positionId}:`, error);
+        }
+    }
+
+    async deleteCheckpoint(key) {
+        if (this.storage) {
+            await this.storage.deleteScanCheckpoint(key);
+        } else {
+            this.scanCheckpoints.delete(key);
+        }
+    }
+
+    // { from, to, value } for each movement of position `id`, in block/log order
+    parseTransfers(logs, id) {
+        const ordered = [...logs].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        const transfers = [];
         
-        // Option 1: If you store position IDs in market data
-        // return market.outcomes.find(o => o.outcome === outcome)?.positionId;
+        for (const log of ordered) {
+            const parsed = this.contract.interface.parseLog(log);
+            if (!parsed) continue;
+            const { from, to } = parsed.args;
+            
+            if (parsed.name === 'TransferSingle') {
+                if (parsed.args.id === id) {
+                    transfers.push({ from, to, value: parsed.args.value });
+                }
+            } else if (parsed.name === 'TransferBatch') {
+                // Positional: `values` on an ethers Result is Array.prototype.values
+                const [, , , ids, values] = parsed.args;
+                for (let i = 0; i < ids.length; i++) {
+                    if (ids[i] === id) {
+                        transfers.push({ from, to, value: values[i] });
+                    }
+                }
+            }
+        }
         
-        // Option 2: Calculate from conditionId (would need market's conditionId)
-        // const conditionId = await this.getConditionId(marketId);
-        // return this.calculatePositionId(conditionId, outcome);
+        return transfers;
+    }
+
+    // Compares replayed balances with balanceOfBatch at the same block
+    async verifyBalances(positionId, balances, blockNumber) {
+        const id = BigInt(positionId);
+        const accounts = Array.from(balances.keys());
+        const mismatches = [];
         
-        // Option 3: Query from Polymarket API
-        // return await this.getPositionIdFromAPI(marketId, outcome);
+        try {
+            for (let i = 0; i < accounts.length; i += this.verifyBatchSize) {
+                const batch = accounts.slice(i, i + this.verifyBatchSize);
+                const onChain = await this.contract.balanceOfBatch(batch, batch.map(() => id), { blockTag: blockNumber });
+                
+                batch.forEach((address, index) => {
+                    if (onChain[index] !== balances.get(address)) {
+                        mismatches.push({ address, snapshot: balances.get(address).toString(), onChain: onChain[index].toString() });
+                    }
+                });
+            }
+        } catch (error) {
+            console.log(`⚠️  Could not verify snapshot of position ${positionId} with balanceOfBatch: ${error.message}`);
+            return { method: 'balanceOfBatch', verified: false, checked: 0, mismatches: 0, error: error.message };
+        }
         
-        // For now, return null - this needs market-specific implementation
-        console.log(`⚠️  Position ID mapping not implemented for market ${marketId}, outcome ${outcome}`);
-        return null;
+        if (mismatches.length > 0) {
+            console.log(`⚠️  ${mismatches.length} of ${accounts.length} snapshot balances differ from balanceOfBatch for position ${positionId}`);
+        } else {
+            console.log(`✅ Snapshot of position ${positionId} matches balanceOfBatch for ${accounts.length} accounts`);
+        }
+        
+        return {
+            method: 'balanceOfBatch',
+            verified: mismatches.length === 0,
+            checked: accounts.length,
+            mismatches: mismatches.length,
+            samples: mismatches.slice(0, 10)
+        };
+    }
+
+    // ERC1155 position ID (as a BigInt) of an outcome, matched by name or index
+    async getPositionId(marketId, outcome) {
+        const mapping = await this.getPositionMapping(marketId);
+        if (!mapping) {
+            console.log(`⚠️  Market ${marketId} not found, cannot map outcome ${outcome} to a position ID`);
+            return null;
+        }
+
+        const wanted = String(outcome).trim().toLowerCase();
+        const match = mapping.outcomes.find(o => o.outcome && o.outcome.toLowerCase() === wanted) ||
+            mapping.outcomes.find(o => String(o.index) === wanted);
+
+        if (!match) {
+            console.log(`⚠️  Outcome ${outcome} not found in market ${marketId} (${mapping.outcomes.map(o => o.outcome).join(', ')})`);
+            return null;
+        }
+        if (!match.positionId) {
+            console.log(`⚠️  Market ${marketId} has neither a token ID nor a condition ID for outcome ${match.outcome}`);
+            return null;
+        }
+        if (match.matches === false) {
+            console.log(`⚠️  Token ID of ${match.outcome} in market ${marketId} differs from the computed position ID, using the token ID`);
+        }
+        return BigInt(match.positionId);
+    }
+
+    // Outcome -> position ID mapping of a market. The CLOB token ID from Gamma is the
+    // ERC1155 position ID; when the condition ID is known it is also computed locally
+    // (index set 1 << outcome index, USDC or neg-risk wrapped collateral) as a check
+    // and as the fallback for outcomes without a token ID.
+    async getPositionMapping(marketId) {
+        if (!this.tracker) {
+            console.log('⚠️  Winner tracker has no market tracker to look up position IDs');
+            return null;
+        }
+
+        const found = await this.tracker.getMarket(String(marketId));
+        if (!found) return null;
+
+        const { market } = found;
+        const conditionId = ethers.isHexString(market.conditionId, 32) ? market.conditionId : null;
+        const collateral = market.negRisk ? this.negRiskCollateralAddress : this.collateralAddress;
+
+        const outcomes = (market.outcomes || []).map((outcome, index) => {
+            const tokenId = outcome.tokenId ? String(outcome.tokenId) : null;
+            const computed = conditionId ? ctf.positionIdForOutcome(conditionId, index, collateral).toString() : null;
+
+            return {
+                index,
+                outcome: outcome.outcome,
+                indexSet: ctf.indexSetFor(index).toString(),
+                tokenId,
+                computedPositionId: computed,
+                positionId: tokenId || computed,
+                source: tokenId ? 'clobTokenId' : (computed ? 'computed' : null),
+                matches: tokenId && computed ? tokenId === computed : null,
+                winner: outcome.winner || false
+            };
+        });
+
+        return {
+            marketId: String(market.id),
+            question: market.question,
+            conditionId,
+            negRisk: Boolean(market.negRisk),
+            collateralToken: collateral,
+            outcomes
+        };
     }
 
     async verifyWinnerPayout(marketId, address) {
@@ -242,4 +567,41 @@ class PolymarketWinnerTracker {
     }
 }
 
-module.exports = PolymarketWinnerTracker;
\ No newline at end of file
+// Mints come from and burns go to the zero address, which is not an account
+function applyTransfer(balances, { from, to, value }) {
+    if (from !== ethers.ZeroAddress) {
+        balances.set(from, (balances.get(from) || 0n) - value);
+    }
+    if (to !== ethers.ZeroAddress) {
+        balances.set(to, (balances.get(to) || 0n) + value);
+    }
+}
+
+// Smaller eth_getLogs range after a range or result-size rejection, or null when the
+// error is something else (or the range cannot shrink). Uses the range some providers
+// suggest in the message ("this block range should work: [0x.., 0x..]") when given.
+function reducedChunkSize(error, size) {
+    const message = [error.message, error.shortMessage, error.error?.message, error.info?.error?.message]
+        .filter(Boolean)
+        .join(' ');
+    if (/rate limit|too many requests/i.test(message)) return null;
+    if (!/block range|range (is )?too (large|wide)|exceed|too many|limit|more than \d+ results|response size|timeout|timed out/i.test(message)) {
+        return null;
+    }
+    if (size <= 1) return null;
+
+    const suggested = message.match(/\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i);
+    if (suggested) {
+        const range = Number(BigInt(suggested[2]) - BigInt(suggested[1])) + 1;
+        if (range > 0 && range < size) return range;
+    }
+    return Math.floor(size / 2);
+}
+
+function toUSDC(balance) {
+    return parseFloat(ethers.formatUnits(balance, ctf.USDC_DECIMALS));
+}
+
+module.exports = PolymarketWinnerTracker;
+module.exports.applyTransfer = applyTransfer;
+module.exports.reducedChunkSize = reducedChunkSize;